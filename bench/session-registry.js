@@ -0,0 +1,64 @@
+// Benchmark: gameId lookup cost of the session registry compared with the
+// linear scan over every session that the routes used before.
+//
+//   npm run bench
+const { createSessionRegistry } = require('../lib/session-registry');
+
+const SESSION_COUNTS = [100, 1000, 10000, 50000];
+const LOOKUPS = 20000;
+
+function createSession(index) {
+    return {
+        gameId: `${1700000000000 + index}-${index.toString(36).padStart(9, '0')}`,
+        playerId: `player-${index}`,
+        cards: [],
+        heldCards: [],
+        roundsPlayed: 0
+    };
+}
+
+function linearScan(sessions, gameId) {
+    for (const [, state] of sessions.entries()) {
+        if (state.gameId === gameId) {
+            return state;
+        }
+    }
+    return null;
+}
+
+// Average nanoseconds per lookup over random gameIds
+function measure(lookup, gameIds, lookups) {
+    let found = 0;
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < lookups; i++) {
+        if (lookup(gameIds[(i * 7919) % gameIds.length])) found++;
+    }
+    const elapsed = process.hrtime.bigint() - start;
+    if (found !== lookups) {
+        throw new Error(`Expected ${lookups} hits, got ${found}`);
+    }
+    return Number(elapsed) / lookups;
+}
+
+function run() {
+    console.log('sessions   registry ns/op   linear scan ns/op');
+    for (const count of SESSION_COUNTS) {
+        const registry = createSessionRegistry();
+        const gameIds = [];
+        for (let i = 0; i < count; i++) {
+            const session = createSession(i);
+            registry.set(session);
+            gameIds.push(session.gameId);
+        }
+
+        // The linear scan gets fewer lookups at large sizes so the run stays short
+        const scanLookups = Math.max(200, Math.floor(LOOKUPS * 100 / count));
+        measure(gameId => registry.getByGameId(gameId), gameIds, LOOKUPS); // warm-up
+        const registryNs = measure(gameId => registry.getByGameId(gameId), gameIds, LOOKUPS);
+        const scanNs = measure(gameId => linearScan(registry, gameId), gameIds, scanLookups);
+
+        console.log(`${String(count).padStart(8)}   ${registryNs.toFixed(0).padStart(15)}   ${scanNs.toFixed(0).padStart(17)}`);
+    }
+}
+
+run();
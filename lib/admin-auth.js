@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { sendError } = require('./api-errors');
+
+// Access to the admin API: the operator API key in the `X-Admin-Key` header,
+// or a wallet session (see wallet-auth.js) of one of the admin wallets. With
+// neither configured the admin API is turned off.
+function createAdminAuth({ apiKey = null, adminWallets = [], walletAuth, onDenied = () => {} }) {
+    const wallets = new Set(adminWallets);
+    const enabled = Boolean(apiKey) || wallets.size > 0;
+
+    // Compare hashes so the check takes the same time whatever the key length
+    function matchesApiKey(value) {
+        if (!apiKey) return false;
+        const expected = crypto.createHash('sha256').update(apiKey).digest();
+        const actual = crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Express middleware - sets req.adminActor ('api-key' or 'wallet:<address>')
+    function requireAdmin(req, res, next) {
+        if (!enabled) {
+            return sendError(res, 404, 'ROUTE_NOT_FOUND', 'Endpoint not found');
+        }
+
+        const key = req.get('x-admin-key');
+        if (key !== undefined) {
+            if (matchesApiKey(key)) {
+                req.adminActor = 'api-key';
+                return next();
+            }
+            onDenied(req, 'anonymous', 'invalid API key');
+            return sendError(res, 401, 'INVALID_ADMIN_KEY', 'Invalid admin API key');
+        }
+
+        const token = walletAuth.getBearerToken(req);
+        const session = token ? walletAuth.getSession(token) : null;
+        if (!session) {
+            onDenied(req, 'anonymous', 'no credentials');
+            return sendError(res, 401, 'ADMIN_AUTH_REQUIRED', 'Admin API key or admin wallet session required');
+        }
+
+        if (!wallets.has(session.playerId)) {
+            onDenied(req, `wallet:${session.playerId}`, 'not an admin wallet');
+            return sendError(res, 403, 'NOT_ADMIN_WALLET', 'Wallet is not an admin wallet');
+        }
+
+        req.adminActor = `wallet:${session.playerId}`;
+        next();
+    }
+
+    return {
+        enabled,
+        requireAdmin
+    };
+}
+
+module.exports = {
+    createAdminAuth
+};
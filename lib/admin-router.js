@@ -0,0 +1,399 @@
+const express = require('express');
+const { logger: defaultLogger } = require('./logger');
+const { sendError } = require('./api-errors');
+const { validate, fields } = require('./validation');
+const { PAYOUT_STATUSES, PAYOUT_KINDS } = require('./payouts');
+const { REFUND_REASONS } = require('./refunds');
+
+const MAX_PAGE_SIZE = 500;
+
+const paging = {
+    limit: fields.limit(MAX_PAGE_SIZE, 50),
+    offset: fields.offset
+};
+
+// Body of the actions that only take an optional reason
+const reasonBody = validate({ body: { reason: fields.reason } });
+const payoutKey = { type: 'string', maxLength: 200 };
+
+function optionalReason(body) {
+    return typeof body.reason === 'string' && body.reason.trim() ? body.reason.trim().slice(0, 500) : null;
+}
+
+// Operator API, mounted under /lucky-triple/admin. Every request goes through
+// `requireAdmin`; every action that changes something is written to the audit
+// log with its outcome, whether it succeeded or not.
+//
+// The game operations live in the server and are passed in:
+//   describeGame(gameState)           summary of a session for listings
+//   forceEndGame(gameState, options)  end a running game without a reward
+//   refundEntryFee(gameId, actor)     refund the entry fee, returns { ok, status, code, error, refund, payout }
+//   refundLedger                      entry fee refunds (lib/refunds.js)
+//   gameTrail                         per-game audit trail (lib/game-trail.js)
+//   gameCreation                      { getState, pause(reason, actor), resume(actor) }
+//   treasury                          treasury monitor (lib/treasury.js)
+//   rpcPool                           RPC endpoints with failover (lib/rpc-pool.js), null
+//                                     when the server was given its own connection
+//   walletLimits                      per-wallet deny list, daily caps and reset cooldown (lib/wallet-limits.js)
+//   tournaments                       scheduled tournaments (lib/tournaments.js)
+//   createTournament(options, actor)  create a tournament, returns { ok, status, code, error, tournament }
+//   settleTournament(id, actor)       rank a tournament that has ended and queue its prizes
+//   cancelTournament(id, options)     cancel a tournament and refund its buy-ins, returns
+//                                     { ok, status, code, error, tournament, refunds }
+//   getConfig()                       effective configuration, without secrets
+//
+// Failed actions return { status, code, error }, answered in the API error
+// shape (lib/api-errors.js).
+function createAdminRouter({
+    requireAdmin,
+    auditLog,
+    sessionRegistry,
+    payoutQueue,
+    gameCreation,
+    treasury,
+    rpcPool,
+    describeGame,
+    forceEndGame,
+    refundEntryFee,
+    refundLedger,
+    gameTrail,
+    walletLimits,
+    tournaments,
+    createTournament,
+    settleTournament,
+    cancelTournament,
+    getConfig,
+    logger = defaultLogger
+}) {
+    const router = express.Router();
+    router.use(requireAdmin);
+
+    // Run an admin action, write it to the audit log and send the result
+    async function perform(req, res, { action, target = null, details = null }, run) {
+        let result;
+        try {
+            result = await run();
+        } catch (error) {
+            logger.error('admin.action-failed', { action, target, error });
+            result = { status: 500, code: 'ADMIN_ACTION_FAILED', error: 'Admin action failed' };
+        }
+
+        const failed = Boolean(result.error);
+        auditLog.record({
+            actor: req.adminActor,
+            action,
+            target,
+            details,
+            outcome: failed ? 'failure' : 'success',
+            error: failed ? result.error : null
+        });
+
+        if (failed) {
+            return sendError(res, result.status || 400, result.code, result.error);
+        }
+        res.status(result.status || 200).json(result.body);
+    }
+
+    // Active sessions (running and recently ended), newest first
+    router.get('/games', validate({
+        query: {
+            status: { type: 'string', enum: ['active', 'ended', 'all'], default: 'all' },
+            playerId: fields.address,
+            variant: { type: 'string', maxLength: 64 },
+            practice: { type: 'boolean' },
+            ...paging
+        }
+    }), (req, res) => {
+        const { status, playerId, variant, practice, limit, offset } = req.query;
+
+        const games = Array.from(sessionRegistry.values())
+            .filter(gameState => (status === 'all' || (status === 'ended') === Boolean(gameState.isEnded)) &&
+                (!playerId || gameState.playerId === playerId) &&
+                (!variant || gameState.variant === variant) &&
+                (practice === undefined || (gameState.practice === true) === practice))
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+        res.json({
+            total: games.length,
+            games: games.slice(offset, offset + limit).map(describeGame)
+        });
+    });
+
+    // Export of one game's audit trail, oldest event first. ?format=ndjson
+    // downloads it as one JSON event per line.
+    router.get('/games/:gameId/trail', validate({
+        params: { gameId: fields.gameId },
+        query: { format: { type: 'string', enum: ['json', 'ndjson'], default: 'json' } }
+    }), (req, res) => {
+        const { gameId } = req.params;
+        const { format } = req.query;
+
+        const trail = gameTrail.get(gameId);
+        if (!trail) {
+            return sendError(res, 404, 'TRAIL_NOT_FOUND', 'No trail found for this game');
+        }
+
+        if (format === 'ndjson') {
+            res.set('Content-Type', 'application/x-ndjson');
+            res.set('Content-Disposition', `attachment; filename="game-${trail.gameId}-trail.ndjson"`);
+            return res.send(trail.events.map(event => JSON.stringify({ gameId: trail.gameId, playerId: trail.playerId, ...event })).join('\n') + '\n');
+        }
+        res.json(trail);
+    });
+
+    router.post('/games/:gameId/end', validate({ params: { gameId: fields.gameId } }), reasonBody, (req, res) => {
+        const { gameId } = req.params;
+        const reason = optionalReason(req.body);
+
+        perform(req, res, { action: 'game.force-end', target: gameId, details: { reason } }, () => {
+            const gameState = sessionRegistry.getByGameId(gameId);
+            if (!gameState) {
+                return { status: 404, code: 'GAME_NOT_FOUND', error: 'Game not found' };
+            }
+            if (gameState.isEnded) {
+                return { status: 409, code: 'GAME_ENDED', error: 'Game has already ended' };
+            }
+            forceEndGame(gameState, { reason, actor: req.adminActor });
+            return { body: describeGame(gameState) };
+        });
+    });
+
+    router.post('/games/:gameId/refund', validate({ params: { gameId: fields.gameId } }), reasonBody, (req, res) => {
+        const { gameId } = req.params;
+        const reason = optionalReason(req.body);
+
+        perform(req, res, { action: 'game.refund', target: gameId, details: { reason } }, () => {
+            const result = refundEntryFee(gameId, req.adminActor);
+            if (!result.ok) {
+                return { status: result.status, code: result.code, error: result.error };
+            }
+            return { body: { refund: result.refund, payout: result.payout } };
+        });
+    });
+
+    router.get('/refunds', validate({
+        query: {
+            playerId: fields.address,
+            reason: { type: 'string', enum: Object.keys(REFUND_REASONS) },
+            status: { type: 'string', enum: PAYOUT_STATUSES },
+            ...paging
+        }
+    }), (req, res) => {
+        const { playerId, reason, status, limit, offset } = req.query;
+        res.json(refundLedger.list({ playerId, reason, status, limit, offset }));
+    });
+
+    router.get('/payouts', validate({
+        query: {
+            status: { type: 'string', enum: PAYOUT_STATUSES },
+            kind: { type: 'string', enum: PAYOUT_KINDS },
+            playerId: fields.address,
+            gameId: fields.gameId,
+            ...paging
+        }
+    }), (req, res) => {
+        const { status, kind, playerId, gameId, limit, offset } = req.query;
+
+        const payouts = Array.from(payoutQueue.records.values())
+            .filter(payout => (!status || payout.status === status) &&
+                (!kind || payout.kind === kind) &&
+                (!playerId || payout.playerId === playerId) &&
+                (!gameId || payout.gameId === gameId))
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        res.json({
+            total: payouts.length,
+            payouts: payouts.slice(offset, offset + limit)
+        });
+    });
+
+    router.post('/payouts/:key/retry', validate({ params: { key: payoutKey } }), reasonBody, (req, res) => {
+        const { key } = req.params;
+        const reason = optionalReason(req.body);
+
+        // A reward that failed before it was sent has had the entry fee refunded
+        // instead; sending it now would pay the player twice
+        const payout = payoutQueue.get(key);
+        const refund = payout && payout.kind === 'reward' ? refundLedger.findByGameId(payout.gameId) : null;
+        const feeRefunded = Boolean(refund && refund.reason === 'payout-failed');
+
+        perform(req, res, { action: 'payout.retry', target: key, details: { reason, refundKey: feeRefunded ? refund.key : undefined } }, () => {
+            if (feeRefunded) {
+                return { status: 409, code: 'REWARD_REFUNDED', error: `The entry fee was refunded instead of this reward (refund ${refund.key})` };
+            }
+            const result = payoutQueue.retry(key);
+            if (!result.ok) {
+                return { status: result.code === 'PAYOUT_NOT_FOUND' ? 404 : 409, code: result.code, error: result.error };
+            }
+            return { body: result.record };
+        });
+    });
+
+    router.post('/payouts/:key/cancel', validate({ params: { key: payoutKey } }), reasonBody, (req, res) => {
+        const { key } = req.params;
+        const reason = optionalReason(req.body);
+
+        perform(req, res, { action: 'payout.cancel', target: key, details: { reason } }, () => {
+            const result = payoutQueue.cancel(key);
+            if (!result.ok) {
+                return { status: result.code === 'PAYOUT_NOT_FOUND' ? 404 : 409, code: result.code, error: result.error };
+            }
+            return { body: result.record };
+        });
+    });
+
+    router.post('/game-creation/pause', reasonBody, (req, res) => {
+        const reason = optionalReason(req.body);
+        perform(req, res, { action: 'game-creation.pause', details: { reason } }, () => {
+            return { body: gameCreation.pause(reason, req.adminActor) };
+        });
+    });
+
+    router.post('/game-creation/resume', validate({ body: {} }), (req, res) => {
+        perform(req, res, { action: 'game-creation.resume' }, () => {
+            return { body: gameCreation.resume(req.adminActor) };
+        });
+    });
+
+    router.get('/treasury', (req, res) => {
+        res.json(treasury.getStatus());
+    });
+
+    router.post('/treasury/refresh', validate({ body: {} }), (req, res) => {
+        perform(req, res, { action: 'treasury.refresh' }, async () => {
+            await treasury.refresh();
+            const status = treasury.getStatus();
+            if (status.lastError) {
+                return { status: 502, code: 'TREASURY_REFRESH_FAILED', error: `Failed to read treasury balance: ${status.lastError}` };
+            }
+            return { body: status };
+        });
+    });
+
+    router.get('/rpc', (req, res) => {
+        if (!rpcPool) {
+            return sendError(res, 404, 'RPC_POOL_DISABLED', 'RPC endpoints are not managed by this server');
+        }
+        res.json(rpcPool.getStatus());
+    });
+
+    router.post('/rpc/check', validate({ body: {} }), (req, res) => {
+        if (!rpcPool) {
+            return sendError(res, 404, 'RPC_POOL_DISABLED', 'RPC endpoints are not managed by this server');
+        }
+        perform(req, res, { action: 'rpc.check' }, async () => {
+            return { body: await rpcPool.checkHealth() };
+        });
+    });
+
+    router.get('/wallets/denied', (req, res) => {
+        const denied = walletLimits.listDenied();
+        res.json({ total: denied.length, wallets: denied });
+    });
+
+    // Deny a wallet: /start, /reset and the game actions answer 403 until it is allowed again
+    router.put('/wallets/denied/:address', validate({ params: { address: fields.address } }), reasonBody, (req, res) => {
+        const { address } = req.params;
+        const reason = optionalReason(req.body);
+
+        perform(req, res, { action: 'wallet.deny', target: address, details: { reason } }, () => {
+            const result = walletLimits.deny(address, { reason, actor: req.adminActor });
+            if (!result.ok) {
+                return { status: 409, code: result.code, error: result.error };
+            }
+            return { body: result.entry };
+        });
+    });
+
+    router.delete('/wallets/denied/:address', validate({ params: { address: fields.address } }), reasonBody, (req, res) => {
+        const { address } = req.params;
+        const reason = optionalReason(req.body);
+
+        perform(req, res, { action: 'wallet.allow', target: address, details: { reason } }, () => {
+            const result = walletLimits.allow(address, { actor: req.adminActor });
+            if (!result.ok) {
+                return { status: result.code === 'WALLET_NOT_DENIED' ? 404 : 409, code: result.code, error: result.error };
+            }
+            return { body: walletLimits.getStatus(address) };
+        });
+    });
+
+    // Today's usage of a wallet against the daily caps, its reset cooldown and deny list entry
+    router.get('/wallets/:address', validate({ params: { address: fields.address } }), (req, res) => {
+        res.json(walletLimits.getStatus(req.params.address));
+    });
+
+    router.post('/tournaments', validate({
+        body: {
+            name: { type: 'string', required: true, maxLength: 100 },
+            variant: { type: 'string', maxLength: 64 },
+            startsAt: { type: 'integer', required: true, min: 0 },
+            endsAt: { type: 'integer', required: true, min: 0 },
+            gamesPerPlayer: { type: 'integer', required: true, min: 1, max: 100 },
+            buyIn: { type: 'number', min: 0, default: 0 },
+            guaranteedPool: { type: 'number', min: 0, default: 0 },
+            prizeSplit: { type: 'array', required: true, items: { type: 'number', exclusiveMin: 0, max: 100 }, minItems: 1, maxItems: 100 },
+            maxPlayers: { type: 'integer', min: 1 }
+        }
+    }), (req, res) => {
+        const { name } = req.body;
+
+        perform(req, res, { action: 'tournament.create', target: name, details: req.body }, () => {
+            const result = createTournament(req.body, req.adminActor);
+            if (!result.ok) {
+                return { status: result.status, code: result.code, error: result.error };
+            }
+            return { status: 201, body: result.tournament };
+        });
+    });
+
+    // Settle now instead of waiting for the server, once the window has closed
+    router.post('/tournaments/:tournamentId/settle', validate({ params: { tournamentId: fields.tournamentId } }), reasonBody, (req, res) => {
+        const { tournamentId } = req.params;
+        const reason = optionalReason(req.body);
+
+        perform(req, res, { action: 'tournament.settle', target: tournamentId, details: { reason } }, () => {
+            const result = settleTournament(tournamentId, req.adminActor);
+            if (!result.ok) {
+                return { status: result.status, code: result.code, error: result.error };
+            }
+            return { body: tournaments.getStandings(tournamentId) };
+        });
+    });
+
+    // Call a tournament off: no prizes, every buy-in is refunded (reason tournament-cancelled)
+    router.post('/tournaments/:tournamentId/cancel', validate({ params: { tournamentId: fields.tournamentId } }), reasonBody, (req, res) => {
+        const { tournamentId } = req.params;
+        const reason = optionalReason(req.body);
+
+        perform(req, res, { action: 'tournament.cancel', target: tournamentId, details: { reason } }, () => {
+            const result = cancelTournament(tournamentId, { actor: req.adminActor, reason });
+            if (!result.ok) {
+                return { status: result.status, code: result.code, error: result.error };
+            }
+            return { body: { tournament: result.tournament, refunds: result.refunds } };
+        });
+    });
+
+    router.get('/config', (req, res) => {
+        res.json(getConfig());
+    });
+
+    router.get('/audit', validate({
+        query: {
+            action: { type: 'string', maxLength: 200 },
+            actor: { type: 'string', maxLength: 200 },
+            target: { type: 'string', maxLength: 200 },
+            ...paging
+        }
+    }), (req, res) => {
+        const { action, actor, target, limit, offset } = req.query;
+        res.json(auditLog.list({ action, actor, target, limit, offset }));
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter
+};
@@ -0,0 +1,79 @@
+// Error responses of the HTTP API. Every error has the same shape:
+//   { error: 'message for people', code: 'MACHINE_READABLE_CODE', details? }
+// Clients branch on `code`; the message may change wording at any time.
+const ERROR_CODES = {
+    INVALID_REQUEST: 'A body field, path parameter or query parameter failed validation (see details)',
+    INVALID_JSON: 'The request body is not valid JSON',
+    ROUTE_NOT_FOUND: 'No such endpoint',
+    RATE_LIMITED: 'Too many requests, try again later',
+    INTERNAL_ERROR: 'Unexpected server error',
+
+    AUTH_REQUIRED: 'A wallet session token is required',
+    NONCE_EXPIRED: 'The sign-in nonce is unknown or expired, request a new one',
+    INVALID_WALLET_SIGNATURE: 'The signed sign-in message does not verify',
+    WALLET_MISMATCH: 'playerId is not the signed-in wallet',
+    NOT_GAME_OWNER: 'The game belongs to another wallet',
+
+    GAME_NOT_FOUND: 'No game with this ID',
+    GAME_TIMED_OUT: 'The game ran out of time',
+    GAME_ENDED: 'The game has already ended',
+    GAME_IN_PROGRESS: 'Only available once the game has ended',
+    GAME_CREATION_PAUSED: 'New games are paused by an operator',
+    INVALID_ROUND: 'The action is not allowed in the current round',
+    HOLD_LIMIT_EXCEEDED: 'More cards held than the variant allows',
+    ADVISOR_DISABLED: 'The hold advisor is not available for this game',
+    WALLET_DENIED: 'The wallet is on the deny list',
+    DAILY_GAME_LIMIT_REACHED: 'The wallet has played its paid games for the day (UTC)',
+    DAILY_WINNINGS_LIMIT_REACHED: 'The wallet has won its CARDS for the day (UTC)',
+    RESET_COOLDOWN: 'Too many resets in a short time, wait for the cooldown',
+
+    TOURNAMENT_NOT_FOUND: 'No tournament with this ID',
+    TOURNAMENT_CLOSED: 'The tournament has ended or was cancelled, registration is closed',
+    TOURNAMENT_ALREADY_JOINED: 'The wallet is already registered for the tournament',
+    TOURNAMENT_FULL: 'The tournament has no places left',
+    TOURNAMENT_NOT_JOINED: 'The wallet is not registered for the tournament',
+    TOURNAMENT_NOT_RUNNING: 'Tournament games can only be started during the tournament window',
+    TOURNAMENT_NO_GAMES_LEFT: 'The wallet has started all its tournament games',
+
+    FEE_REQUIRED: 'An entry fee signature is required for a paid game',
+    FEE_NOT_VERIFIED: 'The entry fee transaction was not found or does not pay the entry fee',
+    FEE_ALREADY_USED: 'The entry fee transaction already paid for another game',
+    FEE_VERIFICATION_UNAVAILABLE: 'The entry fee could not be checked right now, try again',
+    TREASURY_INSUFFICIENT_FUNDS: 'The treasury cannot cover the largest reward of a new game',
+    TREASURY_BALANCE_UNAVAILABLE: 'The treasury balance is not known yet',
+
+    PAYOUT_NOT_FOUND: 'No payout for this game or key',
+    PAYOUT_STATE_CONFLICT: 'The payout is in a state that does not allow the action',
+    REWARD_REFUNDED: 'The reward failed and the entry fee was refunded instead, so it cannot be retried',
+    REFUND_ALREADY_REQUESTED: 'The entry fee has already been refunded',
+    NO_ENTRY_FEE: 'The game has no entry fee to refund',
+    LEDGER_ACCOUNT_NOT_FOUND: 'No CARDS token account for this address (memory ledger)',
+    LEDGER_TRANSFER_FAILED: 'The memory ledger refused the transfer or airdrop',
+
+    ADMIN_AUTH_REQUIRED: 'An admin API key or admin wallet session is required',
+    INVALID_ADMIN_KEY: 'The admin API key is wrong',
+    NOT_ADMIN_WALLET: 'The signed-in wallet is not an admin wallet',
+    TRAIL_NOT_FOUND: 'No audit trail for this game',
+    WALLET_NOT_DENIED: 'The wallet is not on the deny list',
+    WALLET_DENIED_BY_CONFIG: 'The wallet is denied by DENIED_WALLETS and cannot be changed through the API',
+    INVALID_TOURNAMENT: 'The tournament times, variant or prize split are not valid',
+    TOURNAMENT_NOT_ENDED: 'The tournament window has not closed yet',
+    TOURNAMENT_ALREADY_SETTLED: 'The tournament has already been settled',
+    TOURNAMENT_CANCELLED: 'The tournament has been cancelled',
+    TOURNAMENT_GAMES_RUNNING: 'Tournament games are still being played, settle once they end',
+    RPC_POOL_DISABLED: 'The server was given its own connection and manages no RPC endpoints',
+    TREASURY_REFRESH_FAILED: 'Reading the treasury balance failed',
+    ADMIN_ACTION_FAILED: 'The admin action failed unexpectedly'
+};
+
+function sendError(res, status, code, message, extra = {}) {
+    if (!ERROR_CODES[code]) {
+        throw new Error(`Unknown API error code "${code}"`);
+    }
+    return res.status(status).json({ error: message, code, ...extra });
+}
+
+module.exports = {
+    ERROR_CODES,
+    sendError
+};
@@ -0,0 +1,1000 @@
+const { ERROR_CODES } = require('./api-errors');
+const { COMBINATIONS } = require('./game-rules');
+const { ADVISOR_MODES } = require('./variants');
+const { PAYOUT_STATUSES, PAYOUT_KINDS } = require('./payouts');
+const { REFUND_REASONS } = require('./refunds');
+const { TOURNAMENT_STATUSES } = require('./tournaments');
+const leaderboard = require('./leaderboard');
+
+// What the HTTP API answers, for the OpenAPI document (lib/openapi.js). Paths,
+// parameters and request bodies are read from the routes; this file adds the
+// summaries, the response bodies and the error codes of every route. Keep it
+// next to the handlers: `npm run contract` fails when a handler answers
+// something that is not described here.
+
+// Schema shorthands
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const timestamp = { type: 'integer', description: 'Unix time in milliseconds' };
+const nullable = schema => ({ ...schema, nullable: true });
+const arrayOf = items => ({ type: 'array', items });
+const mapOf = values => ({ type: 'object', additionalProperties: values });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const enumOf = values => ({ type: 'string', enum: values });
+
+// An object with exactly these properties; names in `optional` may be left out
+function object(properties, optional = []) {
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties).filter(name => !optional.includes(name)),
+        additionalProperties: false
+    };
+}
+
+function json(schema, description = 'OK') {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+const indexes = arrayOf(integer);
+const cards = arrayOf(ref('Card'));
+const combination = ref('Combination');
+const payoutStatus = nullable(enumOf(PAYOUT_STATUSES));
+
+const schemas = {
+    Error: {
+        type: 'object',
+        description: 'Every error. Some codes add fields, e.g. `reason` (GAME_CREATION_PAUSED), `timeRemaining` (GAME_TIMED_OUT) or `retryAfter` in seconds (DAILY_GAME_LIMIT_REACHED, DAILY_WINNINGS_LIMIT_REACHED, RESET_COOLDOWN, also sent as Retry-After).',
+        properties: {
+            error: { type: 'string', description: 'Message for people, wording may change' },
+            code: enumOf(Object.keys(ERROR_CODES)),
+            details: arrayOf(object({
+                location: enumOf(['params', 'query', 'body']),
+                field: nullable(string),
+                message: string
+            }))
+        },
+        required: ['error', 'code'],
+        additionalProperties: true
+    },
+    Card: object({ suit: string, rank: string, hidden: boolean }),
+    Combination: enumOf(COMBINATIONS),
+    Variant: object({
+        id: string,
+        name: string,
+        description: string,
+        deckSize: integer,
+        suits: arrayOf(string),
+        ranks: arrayOf(string),
+        maxRounds: integer,
+        holdLimit: integer,
+        timeoutMs: integer,
+        entryFee: number,
+        paytable: mapOf(number),
+        advisor: enumOf(ADVISOR_MODES)
+    }),
+    NewGame: object({
+        gameId: string,
+        playerId: string,
+        cards,
+        combination,
+        reward: number,
+        roundsLeft: integer,
+        isEnded: boolean,
+        timeRemaining: { type: 'number', description: 'Seconds' },
+        maxRounds: integer,
+        variant: string,
+        holdLimit: integer,
+        practice: boolean,
+        serverTime: timestamp,
+        serverSeedHash: string,
+        clientSeed: string,
+        nextServerSeedHash: { type: 'string', description: 'Hash of the server seed committed for the wallet\'s next game' },
+        message: string
+    }, ['serverTime']),
+    Round: object({
+        gameId: string,
+        playerId: string,
+        cards,
+        combination,
+        reward: number,
+        roundsLeft: integer,
+        remainingCards: { type: 'integer', description: 'Cards left in the deck' },
+        isEnded: boolean,
+        timeRemaining: { type: 'number', description: 'Seconds' },
+        serverTime: timestamp,
+        heldCards: indexes,
+        previouslyHeld: { ...indexes, description: 'Indexes held into this draw' },
+        rewardPaid: boolean,
+        serverSeed: { type: 'string', description: 'Only once the game has ended' }
+    }, ['serverSeed']),
+    GameResult: object({
+        gameId: string,
+        playerId: string,
+        combination,
+        reward: number,
+        gameCompleted: boolean,
+        isEnded: boolean,
+        isWin: boolean,
+        timeRemaining: number,
+        message: string,
+        rewardPaid: boolean,
+        serverSeed: string,
+        serverSeedHash: string,
+        clientSeed: string
+    }),
+    TimeStatus: object({
+        timeRemaining: { type: 'number', description: 'Seconds' },
+        isTimedOut: boolean,
+        isEnded: boolean,
+        serverTime: timestamp
+    }),
+    GameStatus: object({
+        gameId: string,
+        playerId: string,
+        isEnded: boolean,
+        timedOut: boolean,
+        timeRemaining: { type: 'number', description: 'Seconds' },
+        serverTime: timestamp,
+        roundsLeft: integer,
+        currentCombination: combination,
+        currentReward: number,
+        rewardPaid: boolean,
+        practice: boolean,
+        payoutStatus
+    }),
+    HoldAdvice: object({
+        gameId: string,
+        roundsPlayed: integer,
+        roundsLeft: integer,
+        cards,
+        deckSize: integer,
+        currentCombination: combination,
+        currentReward: number,
+        stop: object({ expectedReward: number }),
+        holds: arrayOf(object({
+            heldIndexes: indexes,
+            heldCards: cards,
+            expectedReward: number,
+            probabilities: mapOf(number)
+        })),
+        best: object({ action: enumOf(['check', 'hold']), heldIndexes: indexes, expectedReward: number })
+    }),
+    GamePayout: object({
+        gameId: string,
+        playerId: string,
+        amount: number,
+        status: enumOf(PAYOUT_STATUSES),
+        signature: nullable(string),
+        attempts: integer,
+        error: { type: 'string', description: 'Only for failed payouts' },
+        createdAt: timestamp,
+        confirmedAt: nullable(timestamp),
+        updatedAt: timestamp
+    }, ['error']),
+    Verification: object({
+        gameId: string,
+        playerId: string,
+        serverSeed: string,
+        serverSeedHash: string,
+        hashMatches: boolean,
+        clientSeed: string,
+        variant: string,
+        algorithm: string,
+        decks: arrayOf(object({ deckNonce: integer, cards: { ...cards, description: 'In draw order' } })),
+        rounds: arrayOf(object({ round: integer, heldIndexes: indexes, deckNonce: integer, cards, combination, reward: number }))
+    }),
+    Replay: object({
+        gameId: string,
+        playerId: string,
+        variant: string,
+        practice: boolean,
+        entryFee: number,
+        maxRounds: integer,
+        holdLimit: integer,
+        serverSeedHash: string,
+        clientSeed: string,
+        serverSeed: nullable(string),
+        startedAt: timestamp,
+        endedAt: nullable(timestamp),
+        isEnded: boolean,
+        result: nullable(ref('GameOutcome')),
+        cards,
+        combination,
+        reward: number,
+        rounds: arrayOf(object({
+            round: integer,
+            time: timestamp,
+            deckNonce: integer,
+            deckRefilled: boolean,
+            heldIndexes: indexes,
+            heldCards: cards,
+            dealt: cards,
+            replaced: arrayOf(object({ index: integer, from: ref('Card'), to: ref('Card') })),
+            cards,
+            combination,
+            reward: number,
+            cardsLeft: integer
+        }))
+    }),
+    GameOutcome: enumOf(['win', 'loss', 'timeout', 'abandoned', 'cancelled']),
+    HistoryGame: object({
+        gameId: string,
+        playerId: string,
+        variant: string,
+        entryFee: number,
+        entryFeeSignature: nullable(string),
+        result: ref('GameOutcome'),
+        cards,
+        combination,
+        reward: number,
+        roundsPlayed: integer,
+        maxRounds: integer,
+        timedOut: boolean,
+        payoutStatus,
+        payoutSignature: nullable(string),
+        startedAt: timestamp,
+        endedAt: timestamp
+    }),
+    PlayerStats: object({
+        playerId: string,
+        gamesPlayed: integer,
+        wins: integer,
+        losses: integer,
+        timeouts: integer,
+        abandoned: integer,
+        cancelled: integer,
+        winRate: number,
+        totalFees: number,
+        totalRewards: number,
+        netCards: number,
+        biggestWin: number,
+        combinations: mapOf(integer),
+        firstGameAt: nullable(timestamp),
+        lastGameAt: nullable(timestamp)
+    }),
+    Leaderboard: object({
+        period: enumOf(leaderboard.PERIODS),
+        metric: enumOf(leaderboard.METRICS),
+        startsAt: nullable(timestamp),
+        resetsAt: nullable(timestamp),
+        players: integer,
+        rankings: arrayOf(object({
+            rank: integer,
+            playerId: string,
+            value: number,
+            gamesPlayed: integer,
+            netCards: number,
+            biggestWin: number,
+            luckyTriples: integer
+        }))
+    }),
+    Payout: object({
+        key: string,
+        kind: enumOf(PAYOUT_KINDS),
+        gameId: nullable(string),
+        playerId: string,
+        amount: number,
+        status: enumOf(PAYOUT_STATUSES),
+        signature: nullable(string),
+        lastValidBlockHeight: nullable(integer),
+        attempts: integer,
+        lastError: nullable(string),
+        sendFailed: { type: 'boolean', description: 'The last send failed after signing; the signature is checked until its blockhash expires' },
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        submittedAt: nullable(timestamp),
+        confirmedAt: nullable(timestamp),
+        cancelRequested: boolean,
+        nextAttemptAt: nullable(timestamp)
+    }),
+    Refund: object({
+        key: string,
+        gameId: nullable(string),
+        playerId: string,
+        amount: number,
+        entryFeeSignature: nullable(string),
+        reason: enumOf(Object.keys(REFUND_REASONS)),
+        requestedBy: string,
+        payoutKey: string,
+        status: enumOf(PAYOUT_STATUSES),
+        signature: nullable(string),
+        createdAt: timestamp,
+        updatedAt: timestamp
+    }),
+    GameSummary: object({
+        gameId: string,
+        playerId: string,
+        variant: string,
+        practice: boolean,
+        tournamentId: nullable(string),
+        entryFee: number,
+        roundsPlayed: integer,
+        maxRounds: integer,
+        cards,
+        heldCards: indexes,
+        currentCombination: combination,
+        currentReward: number,
+        isEnded: boolean,
+        timedOut: boolean,
+        forcedEnd: nullable(object({ by: string, reason: nullable(string), at: timestamp })),
+        startedAt: timestamp,
+        lastActionTime: timestamp,
+        timeRemaining: { type: 'integer', description: 'Seconds' },
+        payoutStatus
+    }),
+    GameCreation: object({
+        paused: boolean,
+        reason: nullable(string),
+        changedBy: nullable(string),
+        changedAt: nullable(timestamp)
+    }),
+    Treasury: object({
+        balance: nullable(number),
+        owed: number,
+        available: nullable(number),
+        refreshedAt: nullable(timestamp),
+        stale: boolean,
+        lastError: nullable(string),
+        lowBalanceThreshold: nullable(number),
+        lowBalance: boolean
+    }),
+    RpcStatus: object({
+        active: string,
+        endpoints: arrayOf(object({
+            name: string,
+            url: { type: 'string', description: 'Origin only' },
+            active: boolean,
+            healthy: boolean,
+            slot: nullable(integer),
+            latencyMs: nullable(number),
+            lastCheckedAt: nullable(timestamp),
+            lastError: nullable(string),
+            lastFailureAt: nullable(timestamp),
+            consecutiveFailures: integer
+        }))
+    }),
+    LedgerAccount: object({
+        address: string,
+        balance: number,
+        createdAt: timestamp,
+        transfers: arrayOf(object({
+            signature: string,
+            kind: enumOf(['airdrop', 'transfer']),
+            from: nullable(string),
+            to: string,
+            amount: number,
+            units: integer,
+            createdAt: timestamp
+        }))
+    }),
+    Tournament: object({
+        id: string,
+        name: string,
+        variant: string,
+        status: enumOf(TOURNAMENT_STATUSES),
+        startsAt: timestamp,
+        endsAt: timestamp,
+        gamesPerPlayer: integer,
+        buyIn: { type: 'number', description: 'CARDS, 0 for a free tournament' },
+        guaranteedPool: { type: 'number', description: 'CARDS the treasury adds to the buy-ins' },
+        prizeSplit: { ...arrayOf(number), description: 'Percent of the pool for each place' },
+        maxPlayers: nullable(integer),
+        players: integer,
+        pool: number,
+        createdBy: string,
+        createdAt: timestamp,
+        settledAt: nullable(timestamp),
+        settledBy: nullable(string),
+        prizes: nullable(arrayOf(object({ rank: integer, playerId: string, amount: number, payoutKey: string }))),
+        cancelledAt: nullable(timestamp),
+        cancelledBy: nullable(string),
+        cancelReason: nullable(string)
+    }),
+    TournamentEntry: object({
+        tournamentId: string,
+        playerId: string,
+        buyIn: number,
+        buyInSignature: nullable(string),
+        joinedAt: timestamp,
+        score: number,
+        scoredAt: nullable(timestamp),
+        games: arrayOf(object({
+            gameId: string,
+            startedAt: timestamp,
+            endedAt: nullable(timestamp),
+            result: nullable(string),
+            combination: nullable(combination),
+            score: number
+        }))
+    }),
+    Standings: object({
+        tournament: ref('Tournament'),
+        standings: arrayOf(object({
+            rank: integer,
+            playerId: string,
+            score: number,
+            gamesPlayed: integer,
+            gamesLeft: integer,
+            bestCombination: nullable(combination),
+            prize: { type: 'number', description: 'CARDS won at settlement, or won if the tournament ended now' }
+        }))
+    }),
+    DeniedWallet: object({
+        playerId: string,
+        source: { ...enumOf(['config', 'admin']), description: '`config` entries come from DENIED_WALLETS and cannot be lifted through the API' },
+        reason: nullable(string),
+        deniedBy: string,
+        deniedAt: nullable(timestamp)
+    }),
+    WalletStatus: object({
+        playerId: string,
+        denied: nullable(ref('DeniedWallet')),
+        day: { type: 'string', description: 'UTC day the usage counts for, e.g. 2024-05-01' },
+        games: { type: 'integer', description: 'Paid games started today' },
+        cardsWon: { type: 'number', description: 'CARDS won today' },
+        dailyGameCap: nullable(integer),
+        dailyWinningsCap: nullable(number),
+        resetCooldownUntil: nullable(timestamp)
+    })
+};
+
+// Who may call a route, and the errors of the check
+const securitySchemes = {
+    wallet: {
+        scheme: { type: 'http', scheme: 'bearer', description: 'Wallet session token from /lucky-triple/auth/verify' },
+        security: [{ wallet: [] }],
+        errors: { 401: ['AUTH_REQUIRED'] }
+    },
+    streamToken: {
+        scheme: { type: 'apiKey', in: 'query', name: 'token', description: 'Wallet session token, for EventSource' },
+        security: [{ wallet: [] }, { streamToken: [] }],
+        errors: { 401: ['AUTH_REQUIRED'] }
+    },
+    adminKey: {
+        scheme: { type: 'apiKey', in: 'header', name: 'X-Admin-Key' },
+        // An admin wallet session works too
+        security: [{ adminKey: [] }, { wallet: [] }],
+        errors: {
+            401: ['ADMIN_AUTH_REQUIRED', 'INVALID_ADMIN_KEY'],
+            403: ['NOT_ADMIN_WALLET'],
+            404: ['ROUTE_NOT_FOUND']
+        }
+    }
+};
+
+const tags = [
+    { name: 'Sign-in' },
+    { name: 'Games' },
+    { name: 'Fairness', description: 'Provably fair shuffle and replays' },
+    { name: 'Players' },
+    { name: 'Tournaments', description: 'Scheduled tournaments; created and settled through the admin API' },
+    { name: 'Server' },
+    { name: 'Development', description: 'Only with PAYMENT_BACKEND=memory or outside production' },
+    { name: 'Admin', description: 'Operators only; every action is written to the audit log' }
+];
+
+const gameErrors = { 403: ['NOT_GAME_OWNER'], 404: ['GAME_NOT_FOUND'] };
+// Game actions also refuse denied wallets
+const gameActionErrors = { ...gameErrors, 403: ['NOT_GAME_OWNER', 'WALLET_DENIED'] };
+const timedOut = ['GAME_TIMED_OUT'];
+const newGameErrors = {
+    400: ['FEE_REQUIRED', 'FEE_NOT_VERIFIED', 'FEE_ALREADY_USED'],
+    403: ['WALLET_MISMATCH', 'WALLET_DENIED'],
+    429: ['DAILY_GAME_LIMIT_REACHED', 'DAILY_WINNINGS_LIMIT_REACHED'],
+    503: ['GAME_CREATION_PAUSED', 'TREASURY_INSUFFICIENT_FUNDS', 'TREASURY_BALANCE_UNAVAILABLE', 'FEE_VERIFICATION_UNAVAILABLE']
+};
+const page = properties => object({ total: integer, ...properties });
+const openObject = { type: 'object', additionalProperties: true };
+
+// Routes by 'METHOD /path', as registered with Express
+const operations = {
+    'GET /': {
+        operationId: 'getRoot',
+        summary: 'Server is running',
+        tags: ['Server'],
+        responses: { 200: json(object({ message: string })) }
+    },
+    'GET /metrics': {
+        operationId: 'getMetrics',
+        summary: 'Prometheus metrics',
+        tags: ['Server'],
+        responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: string } } } }
+    },
+    'GET /lucky-triple/openapi.json': {
+        operationId: 'getOpenApi',
+        summary: 'This document',
+        tags: ['Server'],
+        responses: { 200: json(openObject) }
+    },
+    'GET /lucky-triple/variants': {
+        operationId: 'listVariants',
+        summary: 'Game variants',
+        tags: ['Games'],
+        responses: { 200: json(object({ defaultVariant: string, variants: arrayOf(ref('Variant')) })) }
+    },
+    'POST /lucky-triple/auth/nonce': {
+        operationId: 'issueNonce',
+        summary: 'Sign-in nonce and the message to sign',
+        tags: ['Sign-in'],
+        responses: { 200: json(object({ playerId: string, nonce: string, message: string, expiresAt: timestamp })) }
+    },
+    'POST /lucky-triple/auth/verify': {
+        operationId: 'verifySignature',
+        summary: 'Session token for a signed sign-in message',
+        description: '`signature` is the base58 ed25519 signature of `message` from /auth/nonce.',
+        tags: ['Sign-in'],
+        responses: {
+            200: json(object({
+                playerId: string,
+                token: string,
+                expiresAt: timestamp,
+                nextServerSeedHash: { type: 'string', description: 'Hash of the server seed committed for the wallet\'s next game' }
+            }))
+        },
+        errors: { 401: ['NONCE_EXPIRED', 'INVALID_WALLET_SIGNATURE'] }
+    },
+    'POST /lucky-triple/start': {
+        operationId: 'startGame',
+        summary: 'Start a game, replacing a running one',
+        description: 'Paid games need `entryFeeSignature`, the signature of the entry fee transfer to the treasury. Practice games are free and pay no rewards.',
+        tags: ['Games'],
+        auth: 'wallet',
+        responses: { 200: json(ref('NewGame')) },
+        errors: newGameErrors
+    },
+    'POST /lucky-triple/reset': {
+        operationId: 'resetGame',
+        summary: 'Start a new game in place of the current one',
+        tags: ['Games'],
+        auth: 'wallet',
+        responses: { 200: json(ref('NewGame')) },
+        errors: { ...newGameErrors, 429: [...newGameErrors[429], 'RESET_COOLDOWN'] }
+    },
+    'POST /lucky-triple/hold': {
+        operationId: 'holdCards',
+        summary: 'Cards to keep in the next draw',
+        tags: ['Games'],
+        auth: 'wallet',
+        responses: { 200: json(object({ success: boolean, heldCards: indexes })) },
+        errors: { ...gameActionErrors, 400: ['GAME_ENDED', 'HOLD_LIMIT_EXCEEDED', 'INVALID_ROUND'] }
+    },
+    'POST /lucky-triple/draw': {
+        operationId: 'drawCards',
+        summary: 'Draw the next hand',
+        tags: ['Games'],
+        auth: 'wallet',
+        responses: { 200: json(ref('Round')) },
+        errors: { ...gameActionErrors, 400: ['GAME_ENDED', 'INVALID_ROUND', ...timedOut] }
+    },
+    'POST /lucky-triple/check': {
+        operationId: 'checkGame',
+        summary: 'End the game with the current hand',
+        tags: ['Games'],
+        auth: 'wallet',
+        responses: { 200: json(ref('GameResult')) },
+        errors: { ...gameActionErrors, 400: ['GAME_ENDED', ...timedOut] }
+    },
+    'GET /lucky-triple/status/:gameId': {
+        operationId: 'getGameStatus',
+        summary: 'State of a running game',
+        tags: ['Games'],
+        auth: 'wallet',
+        responses: { 200: json(ref('GameStatus')) },
+        errors: { ...gameErrors, 400: timedOut }
+    },
+    'GET /lucky-triple/time/:gameId': {
+        operationId: 'getTimeRemaining',
+        summary: 'Remaining time of a game (polling, kept for older clients)',
+        tags: ['Games'],
+        auth: 'wallet',
+        responses: { 200: json(ref('TimeStatus')) },
+        errors: gameActionErrors
+    },
+    'GET /lucky-triple/advise/:gameId': {
+        operationId: 'adviseHold',
+        summary: 'Expected reward of every hold for the current hand',
+        tags: ['Games'],
+        auth: 'wallet',
+        responses: { 200: json(ref('HoldAdvice')) },
+        errors: { ...gameErrors, 400: ['GAME_ENDED', 'INVALID_ROUND', ...timedOut], 403: ['NOT_GAME_OWNER', 'WALLET_DENIED', 'ADVISOR_DISABLED'] }
+    },
+    'GET /lucky-triple/payout/:gameId': {
+        operationId: 'getGamePayout',
+        summary: 'Payout of a winning game',
+        tags: ['Games'],
+        auth: 'wallet',
+        responses: { 200: json(ref('GamePayout')) },
+        errors: { 403: ['NOT_GAME_OWNER'], 404: ['PAYOUT_NOT_FOUND'] }
+    },
+    'GET /lucky-triple/events/:gameId': {
+        operationId: 'streamGameEvents',
+        summary: 'Live game stream (Server-Sent Events)',
+        description: 'Events: `state` on connect, then `round`, `hold`, `tick`, `timeout`, `ended` and `payout`, each with a JSON payload.',
+        tags: ['Games'],
+        auth: 'streamToken',
+        responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: string } } } },
+        errors: gameErrors
+    },
+    'GET /lucky-triple/verify/:gameId': {
+        operationId: 'verifyGame',
+        summary: 'Decks and draws of a finished game, rebuilt from its revealed seeds',
+        tags: ['Fairness'],
+        responses: { 200: json(ref('Verification')) },
+        errors: { 400: ['GAME_IN_PROGRESS'], 404: ['GAME_NOT_FOUND'] }
+    },
+    'GET /lucky-triple/replay/:gameId': {
+        operationId: 'replayGame',
+        summary: 'Round-by-round replay of a finished game',
+        tags: ['Fairness'],
+        responses: { 200: json(ref('Replay')) },
+        errors: { 400: ['GAME_IN_PROGRESS'], 404: ['GAME_NOT_FOUND'] }
+    },
+    'GET /lucky-triple/players/:playerId/history': {
+        operationId: 'getPlayerHistory',
+        summary: 'Finished games of a player, newest first',
+        tags: ['Players'],
+        responses: { 200: json(page({ playerId: string, limit: integer, offset: integer, games: arrayOf(ref('HistoryGame')) })) }
+    },
+    'GET /lucky-triple/players/:playerId/refunds': {
+        operationId: 'getPlayerRefunds',
+        summary: 'Entry fee refunds of a player, newest first',
+        tags: ['Players'],
+        responses: {
+            200: json(page({
+                playerId: string,
+                refunds: arrayOf(object({
+                    key: string,
+                    gameId: nullable(string),
+                    amount: number,
+                    reason: enumOf(Object.keys(REFUND_REASONS)),
+                    status: enumOf(PAYOUT_STATUSES),
+                    signature: nullable(string),
+                    createdAt: timestamp,
+                    updatedAt: timestamp
+                }))
+            }))
+        }
+    },
+    'GET /lucky-triple/players/:playerId/stats': {
+        operationId: 'getPlayerStats',
+        summary: 'Statistics of a player across all finished games',
+        tags: ['Players'],
+        responses: { 200: json(ref('PlayerStats')) }
+    },
+    'GET /lucky-triple/tournaments': {
+        operationId: 'listTournaments',
+        summary: 'Tournaments, latest start first',
+        tags: ['Tournaments'],
+        responses: { 200: json(page({ tournaments: arrayOf(ref('Tournament')) })) }
+    },
+    'GET /lucky-triple/tournaments/:tournamentId/standings': {
+        operationId: 'getTournamentStandings',
+        summary: 'Ranking of a tournament with the prize of every place',
+        tags: ['Tournaments'],
+        responses: { 200: json(ref('Standings')) },
+        errors: { 404: ['TOURNAMENT_NOT_FOUND'] }
+    },
+    'POST /lucky-triple/tournaments/:tournamentId/join': {
+        operationId: 'joinTournament',
+        summary: 'Register for a tournament',
+        description: 'Tournaments with a buy-in need `buyInSignature`, the signature of the buy-in transfer to the treasury.',
+        tags: ['Tournaments'],
+        auth: 'wallet',
+        responses: { 200: json(object({ tournament: ref('Tournament'), entry: ref('TournamentEntry') })) },
+        errors: {
+            400: ['FEE_REQUIRED', 'FEE_NOT_VERIFIED', 'FEE_ALREADY_USED'],
+            403: ['WALLET_MISMATCH', 'WALLET_DENIED'],
+            404: ['TOURNAMENT_NOT_FOUND'],
+            409: ['TOURNAMENT_CLOSED', 'TOURNAMENT_ALREADY_JOINED', 'TOURNAMENT_FULL'],
+            503: ['FEE_VERIFICATION_UNAVAILABLE']
+        }
+    },
+    'POST /lucky-triple/tournaments/:tournamentId/games': {
+        operationId: 'startTournamentGame',
+        summary: 'Start a tournament game, replacing a running game',
+        description: 'Played with /draw, /hold and /check. Tournament games are free and pay no reward; the final combination scores its paytable value.',
+        tags: ['Tournaments'],
+        auth: 'wallet',
+        responses: {
+            200: json({
+                ...schemas.NewGame,
+                properties: { tournamentId: string, gamesLeft: integer, ...schemas.NewGame.properties },
+                required: ['tournamentId', 'gamesLeft', ...schemas.NewGame.required]
+            })
+        },
+        errors: {
+            403: ['WALLET_MISMATCH', 'WALLET_DENIED', 'TOURNAMENT_NOT_JOINED'],
+            404: ['TOURNAMENT_NOT_FOUND'],
+            409: ['TOURNAMENT_NOT_RUNNING', 'TOURNAMENT_NO_GAMES_LEFT'],
+            503: ['GAME_CREATION_PAUSED']
+        }
+    },
+    'GET /lucky-triple/leaderboard': {
+        operationId: 'getLeaderboard',
+        summary: 'Leaderboard of the current day, week or all time',
+        tags: ['Players'],
+        responses: { 200: json(ref('Leaderboard')) }
+    },
+    'GET /lucky-triple/debug/server-state': {
+        operationId: 'getDebugState',
+        summary: 'Sessions, completed games and payouts (404 in production)',
+        tags: ['Development'],
+        responses: {
+            200: json(object({
+                activePlayers: arrayOf(string),
+                activePlayerCount: integer,
+                completedGames: arrayOf(object({
+                    gameId: string,
+                    playerId: string,
+                    result: ref('GameOutcome'),
+                    timestamp,
+                    processed: boolean
+                })),
+                completedGameCount: integer,
+                paidRewards: arrayOf(object({
+                    key: string,
+                    status: enumOf(PAYOUT_STATUSES),
+                    signature: nullable(string),
+                    attempts: integer
+                })),
+                paidRewardsCount: integer,
+                totalGames: integer
+            }))
+        },
+        errors: { 404: ['ROUTE_NOT_FOUND'] }
+    },
+    'POST /lucky-triple/dev/ledger/airdrop': {
+        operationId: 'ledgerAirdrop',
+        summary: 'Give a wallet CARDS (memory ledger)',
+        tags: ['Development'],
+        responses: { 200: json(object({ signature: string, balance: number })) },
+        errors: { 400: ['LEDGER_TRANSFER_FAILED'] }
+    },
+    'POST /lucky-triple/dev/ledger/transfer': {
+        operationId: 'ledgerTransfer',
+        summary: 'Send CARDS from the signed-in wallet, to the treasury unless `to` is given (memory ledger)',
+        description: 'The returned signature is an entry fee signature for /start and /reset.',
+        tags: ['Development'],
+        auth: 'wallet',
+        responses: { 200: json(object({ signature: string, balance: number })) },
+        errors: { 400: ['LEDGER_TRANSFER_FAILED'] }
+    },
+    'GET /lucky-triple/dev/ledger/accounts/:address': {
+        operationId: 'getLedgerAccount',
+        summary: 'Balance and transfers of a wallet (memory ledger)',
+        tags: ['Development'],
+        responses: { 200: json(ref('LedgerAccount')) },
+        errors: { 404: ['LEDGER_ACCOUNT_NOT_FOUND'] }
+    },
+
+    // Admin API, see lib/admin-router.js
+    'GET /lucky-triple/admin/games': {
+        operationId: 'adminListGames',
+        summary: 'Active sessions, newest first',
+        tags: ['Admin'],
+        responses: { 200: json(page({ games: arrayOf(ref('GameSummary')) })) }
+    },
+    'GET /lucky-triple/admin/games/:gameId/trail': {
+        operationId: 'adminGetTrail',
+        summary: 'Audit trail of a game, oldest event first',
+        tags: ['Admin'],
+        responses: {
+            200: {
+                description: 'The trail, or one event per line with format=ndjson',
+                content: {
+                    'application/json': {
+                        schema: object({
+                            gameId: string,
+                            playerId: string,
+                            createdAt: timestamp,
+                            updatedAt: timestamp,
+                            events: arrayOf({
+                                type: 'object',
+                                properties: { seq: integer, time: timestamp, event: string, requestId: nullable(string) },
+                                required: ['seq', 'time', 'event'],
+                                additionalProperties: true
+                            })
+                        })
+                    },
+                    'application/x-ndjson': { schema: string }
+                }
+            }
+        },
+        errors: { 404: ['TRAIL_NOT_FOUND'] }
+    },
+    'POST /lucky-triple/admin/games/:gameId/end': {
+        operationId: 'adminEndGame',
+        summary: 'End a running game without a reward',
+        tags: ['Admin'],
+        responses: { 200: json(ref('GameSummary')) },
+        errors: { 404: ['GAME_NOT_FOUND'], 409: ['GAME_ENDED'], 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'POST /lucky-triple/admin/games/:gameId/refund': {
+        operationId: 'adminRefundGame',
+        summary: 'Refund the entry fee of a game',
+        tags: ['Admin'],
+        responses: { 200: json(object({ refund: ref('Refund'), payout: ref('Payout') })) },
+        errors: { 400: ['NO_ENTRY_FEE'], 404: ['GAME_NOT_FOUND'], 409: ['REFUND_ALREADY_REQUESTED'], 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'GET /lucky-triple/admin/refunds': {
+        operationId: 'adminListRefunds',
+        summary: 'Entry fee refunds, newest first',
+        tags: ['Admin'],
+        responses: { 200: json(page({ refunds: arrayOf(ref('Refund')) })) }
+    },
+    'GET /lucky-triple/admin/payouts': {
+        operationId: 'adminListPayouts',
+        summary: 'Payouts (rewards and refunds), newest first',
+        tags: ['Admin'],
+        responses: { 200: json(page({ payouts: arrayOf(ref('Payout')) })) }
+    },
+    'POST /lucky-triple/admin/payouts/:key/retry': {
+        operationId: 'adminRetryPayout',
+        summary: 'Send a failed or cancelled payout again',
+        tags: ['Admin'],
+        responses: { 200: json(ref('Payout')) },
+        errors: { 404: ['PAYOUT_NOT_FOUND'], 409: ['PAYOUT_STATE_CONFLICT', 'REWARD_REFUNDED'], 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'POST /lucky-triple/admin/payouts/:key/cancel': {
+        operationId: 'adminCancelPayout',
+        summary: 'Cancel a payout that has not been paid',
+        tags: ['Admin'],
+        responses: { 200: json(ref('Payout')) },
+        errors: { 404: ['PAYOUT_NOT_FOUND'], 409: ['PAYOUT_STATE_CONFLICT'], 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'POST /lucky-triple/admin/game-creation/pause': {
+        operationId: 'adminPauseGames',
+        summary: 'Refuse new games',
+        tags: ['Admin'],
+        responses: { 200: json(ref('GameCreation')) },
+        errors: { 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'POST /lucky-triple/admin/game-creation/resume': {
+        operationId: 'adminResumeGames',
+        summary: 'Accept new games again',
+        tags: ['Admin'],
+        responses: { 200: json(ref('GameCreation')) },
+        errors: { 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'GET /lucky-triple/admin/treasury': {
+        operationId: 'adminGetTreasury',
+        summary: 'Treasury balance and what it owes',
+        tags: ['Admin'],
+        responses: { 200: json(ref('Treasury')) }
+    },
+    'POST /lucky-triple/admin/treasury/refresh': {
+        operationId: 'adminRefreshTreasury',
+        summary: 'Read the treasury balance now',
+        tags: ['Admin'],
+        responses: { 200: json(ref('Treasury')) },
+        errors: { 500: ['ADMIN_ACTION_FAILED'], 502: ['TREASURY_REFRESH_FAILED'] }
+    },
+    'GET /lucky-triple/admin/rpc': {
+        operationId: 'adminGetRpc',
+        summary: 'RPC endpoints in priority order with their health',
+        tags: ['Admin'],
+        responses: { 200: json(ref('RpcStatus')) },
+        errors: { 404: ['RPC_POOL_DISABLED'] }
+    },
+    'POST /lucky-triple/admin/rpc/check': {
+        operationId: 'adminCheckRpc',
+        summary: 'Health-check every RPC endpoint now',
+        tags: ['Admin'],
+        responses: { 200: json(ref('RpcStatus')) },
+        errors: { 404: ['RPC_POOL_DISABLED'], 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'GET /lucky-triple/admin/config': {
+        operationId: 'adminGetConfig',
+        summary: 'Effective configuration, without secrets',
+        tags: ['Admin'],
+        responses: {
+            200: json(object({
+                network: string,
+                rpc: nullable(ref('RpcStatus')),
+                payments: openObject,
+                dataDir: string,
+                environment: string,
+                defaultVariant: string,
+                variants: arrayOf(openObject),
+                game: mapOf(integer),
+                gameCreation: ref('GameCreation'),
+                admin: object({ apiKeyConfigured: boolean, adminWallets: arrayOf(string) }),
+                walletLimits: object({
+                    gameActionsPer5Minutes: integer,
+                    gamesCreatedPerMinute: integer,
+                    deniedWallets: { type: 'integer', description: 'Wallets in DENIED_WALLETS' },
+                    dailyGameCap: nullable(integer),
+                    dailyWinningsCap: nullable(number),
+                    resetCooldown: object({ after: integer, windowMs: integer, cooldownMs: integer })
+                })
+            }))
+        }
+    },
+    'POST /lucky-triple/admin/tournaments': {
+        operationId: 'adminCreateTournament',
+        summary: 'Schedule a tournament',
+        description: 'Times are Unix milliseconds. `prizeSplit` lists the percent of the pool for each place and may add up to at most 100.',
+        tags: ['Admin'],
+        responses: { 201: json(ref('Tournament'), 'Created') },
+        errors: { 400: ['INVALID_TOURNAMENT'], 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'POST /lucky-triple/admin/tournaments/:tournamentId/settle': {
+        operationId: 'adminSettleTournament',
+        summary: 'Rank a tournament that has ended and pay its prizes',
+        description: 'The server settles ended tournaments on its own once their last games have ended; this settles one now.',
+        tags: ['Admin'],
+        responses: { 200: json(ref('Standings')) },
+        errors: {
+            404: ['TOURNAMENT_NOT_FOUND'],
+            409: ['TOURNAMENT_NOT_ENDED', 'TOURNAMENT_ALREADY_SETTLED', 'TOURNAMENT_CANCELLED', 'TOURNAMENT_GAMES_RUNNING'],
+            500: ['ADMIN_ACTION_FAILED']
+        }
+    },
+    'POST /lucky-triple/admin/tournaments/:tournamentId/cancel': {
+        operationId: 'adminCancelTournament',
+        summary: 'Cancel a tournament and refund its buy-ins',
+        description: 'Any tournament that has not been settled can be cancelled. No prizes are paid; every buy-in is refunded with reason `tournament-cancelled`.',
+        tags: ['Admin'],
+        responses: { 200: json(object({ tournament: ref('Tournament'), refunds: arrayOf(ref('Refund')) })) },
+        errors: {
+            404: ['TOURNAMENT_NOT_FOUND'],
+            409: ['TOURNAMENT_ALREADY_SETTLED', 'TOURNAMENT_CANCELLED'],
+            500: ['ADMIN_ACTION_FAILED']
+        }
+    },
+    'GET /lucky-triple/admin/wallets/denied': {
+        operationId: 'adminListDeniedWallets',
+        summary: 'Wallets that may not play',
+        tags: ['Admin'],
+        responses: { 200: json(page({ wallets: arrayOf(ref('DeniedWallet')) })) }
+    },
+    'PUT /lucky-triple/admin/wallets/denied/:address': {
+        operationId: 'adminDenyWallet',
+        summary: 'Refuse new games and game actions of a wallet',
+        tags: ['Admin'],
+        responses: { 200: json(ref('DeniedWallet')) },
+        errors: { 409: ['WALLET_DENIED_BY_CONFIG'], 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'DELETE /lucky-triple/admin/wallets/denied/:address': {
+        operationId: 'adminAllowWallet',
+        summary: 'Take a wallet off the deny list',
+        tags: ['Admin'],
+        responses: { 200: json(ref('WalletStatus')) },
+        errors: { 404: ['WALLET_NOT_DENIED'], 409: ['WALLET_DENIED_BY_CONFIG'], 500: ['ADMIN_ACTION_FAILED'] }
+    },
+    'GET /lucky-triple/admin/wallets/:address': {
+        operationId: 'adminGetWalletStatus',
+        summary: "Today's usage of a wallet against the daily caps, its reset cooldown and deny list entry",
+        tags: ['Admin'],
+        responses: { 200: json(ref('WalletStatus')) }
+    },
+    'GET /lucky-triple/admin/audit': {
+        operationId: 'adminListAudit',
+        summary: 'Audit log of admin actions, newest first',
+        tags: ['Admin'],
+        responses: {
+            200: json(page({
+                entries: arrayOf(object({
+                    id: integer,
+                    time: timestamp,
+                    actor: string,
+                    action: string,
+                    target: nullable(string),
+                    details: nullable(openObject),
+                    outcome: enumOf(['success', 'failure']),
+                    error: nullable(string)
+                }))
+            }))
+        }
+    }
+};
+
+module.exports = {
+    schemas,
+    securitySchemes,
+    tags,
+    operations
+};
@@ -0,0 +1,61 @@
+// Append-only log of operator actions (admin API). Entries are stored under
+// increasing ids so they come back in the order they were written; the oldest
+// entries are dropped once `maxEntries` is reached.
+const { logger: defaultLogger } = require('./logger');
+
+function createAuditLog({ store = new Map(), now = Date.now, maxEntries = 10000, logger = defaultLogger } = {}) {
+    let sequence = 0;
+
+    // Continue numbering after the stored entries, e.g. after the store was reloaded from the journal
+    function rebuildIndex() {
+        sequence = 0;
+        for (const entry of store.values()) {
+            sequence = Math.max(sequence, entry.id);
+        }
+    }
+
+    // entry: { actor, action, target, details, outcome, error }
+    function record({ actor, action, target = null, details = null, outcome = 'success', error = null }) {
+        const entry = {
+            id: ++sequence,
+            time: now(),
+            actor,
+            action,
+            target,
+            details,
+            outcome,
+            error
+        };
+        store.set(String(entry.id), entry);
+        logger[outcome === 'success' ? 'info' : 'warn'](`audit.${action}`, { auditId: entry.id, actor, target, outcome, error });
+
+        if (store.size > maxEntries) {
+            const oldest = Array.from(store.keys()).slice(0, store.size - maxEntries);
+            oldest.forEach(key => store.delete(key));
+        }
+        return entry;
+    }
+
+    // Newest entries first
+    function list({ action, actor, target, limit = 50, offset = 0 } = {}) {
+        const entries = Array.from(store.values())
+            .filter(entry => (!action || entry.action === action) &&
+                (!actor || entry.actor === actor) &&
+                (!target || entry.target === target))
+            .sort((a, b) => b.id - a.id);
+        return {
+            total: entries.length,
+            entries: entries.slice(offset, offset + limit)
+        };
+    }
+
+    return {
+        rebuildIndex,
+        record,
+        list
+    };
+}
+
+module.exports = {
+    createAuditLog
+};
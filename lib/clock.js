@@ -0,0 +1,73 @@
+// Time and timers used by the server and the modules with background work.
+// Everything that schedules a timer or reads the time takes a clock, so a
+// test can swap in createManualClock() and fast-forward games past their
+// timeouts and cleanup intervals without waiting for them.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, delayMs) => setTimeout(fn, delayMs),
+    clearTimeout: timer => clearTimeout(timer),
+    setInterval: (fn, intervalMs) => setInterval(fn, intervalMs),
+    clearInterval: timer => clearInterval(timer)
+};
+
+// Clock that only moves when advance() is called. Timers fire in time order
+// as the clock passes them; advance() waits for each callback's promise, so
+// the work it started is done when advance() resolves.
+function createManualClock(startTime = 0) {
+    let time = startTime;
+    let nextId = 1;
+    const timers = new Map(); // id -> { at, fn, intervalMs }
+
+    function schedule(fn, delayMs, intervalMs) {
+        const id = nextId++;
+        timers.set(id, { at: time + Math.max(0, delayMs || 0), fn, intervalMs });
+        return id;
+    }
+
+    function cancel(id) {
+        timers.delete(id);
+    }
+
+    function nextDue(until) {
+        let next = null;
+        for (const [id, timer] of timers.entries()) {
+            if (timer.at <= until && (!next || timer.at < next.timer.at)) {
+                next = { id, timer };
+            }
+        }
+        return next;
+    }
+
+    async function advance(ms) {
+        const until = time + ms;
+        let due = nextDue(until);
+        while (due) {
+            time = due.timer.at;
+            if (due.timer.intervalMs) {
+                due.timer.at += Math.max(1, due.timer.intervalMs);
+            } else {
+                timers.delete(due.id);
+            }
+            await due.timer.fn();
+            due = nextDue(until);
+        }
+        time = until;
+    }
+
+    return {
+        now: () => time,
+        setTimeout: (fn, delayMs) => schedule(fn, delayMs, null),
+        clearTimeout: cancel,
+        setInterval: (fn, intervalMs) => schedule(fn, intervalMs, intervalMs),
+        clearInterval: cancel,
+        advance,
+        get pendingTimers() {
+            return timers.size;
+        }
+    };
+}
+
+module.exports = {
+    systemClock,
+    createManualClock
+};
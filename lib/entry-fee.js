@@ -0,0 +1,125 @@
+const bs58 = require('bs58');
+
+// Fee transactions older than this are refused, so an old signature cannot be
+// replayed once it has been forgotten by the used-signature cleanup
+const DEFAULT_MAX_FEE_AGE_MS = 15 * 60 * 1000;
+
+// Verifies entry fee payments through the payment backend (on-chain, or the
+// in-memory ledger) and makes sure every fee pays for one game only.
+function createEntryFeeVerifier({
+    paymentBackend,
+    maxAgeMs = DEFAULT_MAX_FEE_AGE_MS,
+    now = Date.now,
+    // signature -> { playerId, gameId, entryFee, status, timestamp }. status: 'pending' while the
+    // transaction is checked, 'verified' until a game is created for it, then 'used'; a
+    // tournament buy-in ends as 'buy-in' with its tournamentId and is never bound to a game
+    usedSignatures = new Map()
+}) {
+    function isValidSignatureFormat(signature) {
+        if (typeof signature !== 'string') return false;
+        try {
+            return bs58.decode(signature).length === 64;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Verify the signature pays `entryFee` CARDS and reserve it for a new game. The
+    // reservation is made before the RPC call so two concurrent requests cannot use the same fee.
+    async function claim(signature, playerId, entryFee) {
+        if (!isValidSignatureFormat(signature)) {
+            return { valid: false, code: 'FEE_NOT_VERIFIED', error: 'Invalid entry fee transaction signature' };
+        }
+        if (usedSignatures.has(signature)) {
+            return { valid: false, code: 'FEE_ALREADY_USED', error: 'Entry fee transaction has already been used for another game' };
+        }
+
+        usedSignatures.set(signature, { playerId, gameId: null, entryFee, status: 'pending', timestamp: now() });
+
+        let result;
+        try {
+            result = await paymentBackend.verifyEntryFee({ signature, playerId, amount: entryFee, maxAgeMs });
+        } catch (error) {
+            usedSignatures.delete(signature);
+            throw error;
+        }
+
+        if (!result.valid) {
+            usedSignatures.delete(signature);
+            return { code: 'FEE_NOT_VERIFIED', ...result };
+        }
+
+        const entry = usedSignatures.get(signature);
+        if (entry) {
+            entry.status = 'verified';
+            usedSignatures.set(signature, entry);
+        }
+        return result;
+    }
+
+    // Bind a claimed signature to the game it paid for (gameId null: the fee
+    // was refunded instead, the signature stays used)
+    function assignGame(signature, gameId) {
+        const entry = usedSignatures.get(signature);
+        if (entry) {
+            entry.gameId = gameId;
+            entry.status = 'used';
+            usedSignatures.set(signature, entry);
+        }
+    }
+
+    // Bind a claimed signature to the tournament it bought into. Buy-ins are kept
+    // apart from game fees: they are only given back by the tournament itself.
+    function assignTournament(signature, tournamentId) {
+        const entry = usedSignatures.get(signature);
+        if (entry) {
+            entry.tournamentId = tournamentId;
+            entry.status = 'buy-in';
+            usedSignatures.set(signature, entry);
+        }
+    }
+
+    // Give a claimed signature back, e.g. when the game could not be created
+    function release(signature) {
+        const entry = usedSignatures.get(signature);
+        if (entry && (entry.status === 'pending' || entry.status === 'verified')) {
+            usedSignatures.delete(signature);
+        }
+    }
+
+    // Forget signatures that are too old to pass the age check anyway
+    function cleanup() {
+        const cutoff = now() - maxAgeMs * 2;
+        let removedCount = 0;
+        for (const [signature, entry] of usedSignatures.entries()) {
+            if ((entry.status === 'used' || entry.status === 'buy-in') && entry.timestamp < cutoff) {
+                usedSignatures.delete(signature);
+                removedCount++;
+            }
+        }
+        return removedCount;
+    }
+
+    // Fees that were verified but never got a game, e.g. the server stopped in
+    // between, for at least minAgeMs
+    function findUnassigned(minAgeMs = 0) {
+        const cutoff = now() - minAgeMs;
+        return Array.from(usedSignatures.entries())
+            .filter(([, entry]) => entry.status === 'verified' && entry.timestamp <= cutoff)
+            .map(([signature, entry]) => ({ signature, ...entry }));
+    }
+
+    return {
+        claim,
+        assignGame,
+        assignTournament,
+        release,
+        findUnassigned,
+        cleanup,
+        usedSignatures
+    };
+}
+
+module.exports = {
+    createEntryFeeVerifier
+};
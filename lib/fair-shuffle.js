@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { HAND_SIZE, dealHand } = require('./game-rules');
+
+// Description returned with every verification so players can rebuild the deck themselves
+const ALGORITHM = 'HMAC-SHA256(key=serverSeed, message=`${clientSeed}:${deckNonce}:${cursor}`) split into ' +
+    'big-endian uint32 values, uniform integers by rejection sampling, Fisher-Yates shuffle from the last card down';
+
+const UINT32_RANGE = 0x100000000;
+
+// randomBytes(size) -> Buffer, replaceable so tests can deal known games
+function generateServerSeed(randomBytes = crypto.randomBytes) {
+    return randomBytes(32).toString('hex');
+}
+
+function generateClientSeed(randomBytes = crypto.randomBytes) {
+    return randomBytes(16).toString('hex');
+}
+
+// randomBytes from a fixed seed, for tests and tools that must deal the same
+// games (and IDs, seeds and tokens) on every run. Never for real games.
+function createSeededRandomBytes(seed) {
+    let counter = 0;
+    return size => {
+        const blocks = [];
+        for (let length = 0; length < size; length += 32) {
+            blocks.push(crypto.createHash('sha256').update(`${seed}:${counter++}`).digest());
+        }
+        return Buffer.concat(blocks).subarray(0, size);
+    };
+}
+
+function hashServerSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+// Deterministic RNG. Each HMAC block yields 8 uint32 values, a new block is
+// computed with the next cursor once they are used up.
+function createSeededRng(serverSeed, clientSeed, deckNonce) {
+    let cursor = 0;
+    let block = null;
+    let offset = 0;
+
+    function nextUint32() {
+        if (!block || offset >= block.length) {
+            block = crypto.createHmac('sha256', serverSeed)
+                .update(`${clientSeed}:${deckNonce}:${cursor}`)
+                .digest();
+            cursor++;
+            offset = 0;
+        }
+        const value = block.readUInt32BE(offset);
+        offset += 4;
+        return value;
+    }
+
+    // Uniform integer in [0, max) without modulo bias
+    function nextInt(max) {
+        const limit = UINT32_RANGE - (UINT32_RANGE % max);
+        let value;
+        do {
+            value = nextUint32();
+        } while (value >= limit);
+        return value % max;
+    }
+
+    return { nextInt };
+}
+
+// Fisher-Yates shuffle (in place)
+function shuffleDeck(deck, rng) {
+    for (let i = deck.length - 1; i > 0; i--) {
+        const j = rng.nextInt(i + 1);
+        [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    return deck;
+}
+
+// Rebuild every deck and draw of a game from its revealed seeds. Mirrors the
+// draw logic of /lucky-triple/draw: a fresh deck (next nonce) is shuffled
+// whenever fewer than HAND_SIZE cards are left, held positions keep their card.
+function replayDraws({ serverSeed, clientSeed, draws }, createDeck) {
+    let deckNonce = 0;
+    let deck = shuffleDeck(createDeck(), createSeededRng(serverSeed, clientSeed, deckNonce));
+    const decks = [{ deckNonce, cards: [...deck].reverse() }];
+    const rounds = [];
+    let previousCards = [];
+
+    draws.forEach((heldIndexes, index) => {
+        if (deck.length < HAND_SIZE) {
+            deckNonce++;
+            deck = shuffleDeck(createDeck(), createSeededRng(serverSeed, clientSeed, deckNonce));
+            decks.push({ deckNonce, cards: [...deck].reverse() });
+        }
+
+        const cards = dealHand(deck, previousCards, index > 0 ? heldIndexes : []);
+
+        rounds.push({ round: index + 1, heldIndexes, deckNonce, cards });
+        previousCards = cards;
+    });
+
+    return { decks, rounds };
+}
+
+module.exports = {
+    ALGORITHM,
+    generateServerSeed,
+    generateClientSeed,
+    createSeededRandomBytes,
+    hashServerSeed,
+    createSeededRng,
+    shuffleDeck,
+    replayDraws
+};
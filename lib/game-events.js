@@ -0,0 +1,85 @@
+// Server-Sent Events hub - one stream per game. Clients subscribe with
+// EventSource and receive countdown ticks, round results, timeouts and
+// payout status changes without polling.
+function createGameEventHub({ retryMs = 3000 } = {}) {
+    const streams = new Map(); // gameId -> Set of responses
+
+    function write(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Open an SSE stream for the game on this response
+    function subscribe(gameId, req, res, initialState) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${retryMs}\n\n`);
+
+        if (!streams.has(gameId)) {
+            streams.set(gameId, new Set());
+        }
+        streams.get(gameId).add(res);
+
+        if (initialState) {
+            write(res, 'state', initialState);
+        }
+
+        req.on('close', () => {
+            const clients = streams.get(gameId);
+            if (!clients) return;
+            clients.delete(res);
+            if (clients.size === 0) {
+                streams.delete(gameId);
+            }
+        });
+    }
+
+    function publish(gameId, event, data) {
+        const clients = streams.get(gameId);
+        if (!clients) return 0;
+        for (const res of clients) {
+            write(res, event, data);
+        }
+        return clients.size;
+    }
+
+    // Send a last event and end every stream of the game
+    function close(gameId, event = 'closed', data = { gameId }) {
+        const clients = streams.get(gameId);
+        if (!clients) return;
+        for (const res of clients) {
+            write(res, event, data);
+            res.end();
+        }
+        streams.delete(gameId);
+    }
+
+    function closeAll() {
+        for (const gameId of Array.from(streams.keys())) {
+            close(gameId);
+        }
+    }
+
+    return {
+        subscribe,
+        publish,
+        close,
+        closeAll,
+        gameIds: () => Array.from(streams.keys()),
+        get streamCount() {
+            let count = 0;
+            for (const clients of streams.values()) {
+                count += clients.size;
+            }
+            return count;
+        }
+    };
+}
+
+module.exports = {
+    createGameEventHub
+};
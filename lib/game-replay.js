@@ -0,0 +1,114 @@
+// Round-by-round record of every game, for replays in the frontend and for
+// settling disputes: the cards dealt in each draw, the indexes held, the cards
+// they replaced, the combination after the draw and any deck refill. Records
+// are stored by gameId and outlive the session.
+function createGameReplays({ store = new Map(), now = Date.now } = {}) {
+    function start(gameState) {
+        const record = {
+            gameId: gameState.gameId,
+            playerId: gameState.playerId,
+            variant: gameState.variant,
+            practice: gameState.practice === true,
+            entryFee: gameState.entryFee,
+            maxRounds: gameState.maxRounds,
+            holdLimit: gameState.holdLimit,
+            serverSeedHash: gameState.fairness.serverSeedHash,
+            clientSeed: gameState.fairness.clientSeed,
+            serverSeed: null, // revealed when the game ends
+            startedAt: gameState.timestamp,
+            endedAt: null,
+            updatedAt: now(),
+            isEnded: false,
+            result: null,
+            cards: [],
+            combination: 'None',
+            reward: 0,
+            rounds: []
+        };
+        store.set(record.gameId, record);
+        return record;
+    }
+
+    // Record the draw that just produced gameState.cards from previousCards
+    // with heldIndexes kept. deckRefilled: a new deck was shuffled for it.
+    function recordDraw(gameState, { previousCards, heldIndexes, deckRefilled }) {
+        const record = store.get(gameState.gameId);
+        if (!record) return null;
+
+        const replaced = [];
+        const dealt = [];
+        gameState.cards.forEach((card, index) => {
+            if (heldIndexes.includes(index)) return;
+            dealt.push(card);
+            if (previousCards[index]) {
+                replaced.push({ index, from: previousCards[index], to: card });
+            }
+        });
+
+        const round = {
+            round: gameState.roundsPlayed,
+            time: now(),
+            deckNonce: gameState.fairness.deckNonce,
+            deckRefilled,
+            heldIndexes,
+            heldCards: heldIndexes.map(index => previousCards[index]),
+            dealt,
+            replaced,
+            cards: gameState.cards,
+            combination: gameState.currentCombination,
+            reward: gameState.currentReward,
+            cardsLeft: gameState.deck.length
+        };
+        record.rounds.push(round);
+        record.cards = gameState.cards;
+        record.combination = gameState.currentCombination;
+        record.reward = gameState.currentReward;
+        record.updatedAt = round.time;
+        store.set(record.gameId, record);
+        return round;
+    }
+
+    // The game ended with `result` (see player history); its seed is revealed by now
+    function finish(gameState, result) {
+        const record = store.get(gameState.gameId);
+        if (!record || record.isEnded) return record || null;
+
+        record.isEnded = true;
+        record.result = result;
+        record.reward = result === 'win' ? gameState.currentReward : 0;
+        record.serverSeed = gameState.fairness && gameState.fairness.revealed ? gameState.fairness.serverSeed : null;
+        record.endedAt = now();
+        record.updatedAt = record.endedAt;
+        store.set(record.gameId, record);
+        return record;
+    }
+
+    function get(gameId) {
+        return store.get(gameId) || null;
+    }
+
+    // Remove records not updated for maxAgeMs
+    function cleanup(maxAgeMs) {
+        const cutoff = now() - maxAgeMs;
+        let removedCount = 0;
+        for (const [gameId, record] of Array.from(store.entries())) {
+            if (record.updatedAt < cutoff) {
+                store.delete(gameId);
+                removedCount++;
+            }
+        }
+        return removedCount;
+    }
+
+    return {
+        start,
+        recordDraw,
+        finish,
+        get,
+        cleanup
+    };
+}
+
+module.exports = {
+    createGameReplays
+};
@@ -0,0 +1,122 @@
+// Game rules shared by the server and the tools: deck building and hand
+// evaluation for a game variant (see lib/variants.js).
+
+// Every hand has three cards
+const HAND_SIZE = 3;
+
+// Combinations from highest to lowest
+const COMBINATIONS = ['Lucky Triple', 'Straight Flush', 'Triple', 'Straight', 'Flush', 'None'];
+
+// Utility function to create an ordered deck for the variant
+function createDeck(deckSpec) {
+    const deck = [];
+
+    // Each suit holds every rank, the whole set repeated `copies` times
+    for (let copy = 0; copy < deckSpec.copies; copy++) {
+        for (let suit of deckSpec.suits) {
+            for (let rank of deckSpec.ranks) {
+                deck.push({ suit, rank, hidden: false });
+            }
+        }
+    }
+
+    return deck;
+}
+
+// Draw a new hand: held positions keep their card from the previous hand, the
+// others are drawn from the end of the deck (same order as /lucky-triple/draw)
+function dealHand(deck, previousCards, heldIndexes) {
+    const cards = new Array(HAND_SIZE);
+    for (let i = 0; i < HAND_SIZE; i++) {
+        if (heldIndexes.includes(i) && previousCards[i]) {
+            // Keep the held card from previous round
+            cards[i] = previousCards[i];
+        } else {
+            // Draw new card for non-held position
+            cards[i] = deck.pop();
+        }
+    }
+    return cards;
+}
+
+// Rank order cache - the order is read for every evaluated hand
+const rankOrderCache = new WeakMap();
+
+// Rank order for straights - position of the rank in the variant's rank list
+function getRankOrder(variant) {
+    let rankOrder = rankOrderCache.get(variant);
+    if (!rankOrder) {
+        rankOrder = {};
+        variant.ranks.forEach((rank, index) => {
+            rankOrder[rank] = index + 1;
+        });
+        rankOrderCache.set(variant, rankOrder);
+    }
+    return rankOrder;
+}
+
+function result(combination, variant) {
+    return {
+        combination,
+        reward: variant.paytable[combination] || 0
+    };
+}
+
+// Function to evaluate hand combination with the variant's rank order and paytable
+function evaluateHandCombination(cards, variant) {
+    if (cards.length !== HAND_SIZE) return { combination: 'None', reward: 0 };
+
+    const rankOrder = getRankOrder(variant);
+
+    // Check if all cards have the same suit
+    const sameSuit = cards.every(card => card.suit === cards[0].suit);
+
+    // Check if all cards have the same rank
+    const sameRank = cards.every(card => card.rank === cards[0].rank);
+
+    // Check for Lucky Triple (same rank, same suit)
+    if (sameRank && sameSuit) {
+        return result('Lucky Triple', variant);
+    }
+
+    // Check for Triple (same rank, different suits)
+    if (sameRank) {
+        return result('Triple', variant);
+    }
+
+    // Sort cards by rank for straight check
+    const sortedCards = [...cards].sort((a, b) => rankOrder[a.rank] - rankOrder[b.rank]);
+
+    // Check for straight
+    const isStraight = sortedCards.every((card, index) => {
+        if (index === 0) return true;
+        return rankOrder[card.rank] - rankOrder[sortedCards[index - 1].rank] === 1;
+    });
+
+    // Check for Straight Flush (straight with same suit)
+    if (isStraight && sameSuit) {
+        return result('Straight Flush', variant);
+    }
+
+    // Check for Straight
+    if (isStraight) {
+        return result('Straight', variant);
+    }
+
+    // Check for Flush (same suit)
+    if (sameSuit) {
+        return result('Flush', variant);
+    }
+
+    // Default: None
+    return result('None', variant);
+}
+
+module.exports = {
+    HAND_SIZE,
+    COMBINATIONS,
+    createDeck,
+    dealHand,
+    getRankOrder,
+    evaluateHandCombination
+};
@@ -0,0 +1,55 @@
+const { logger: defaultLogger, currentRequestId } = require('./logger');
+
+// Per-game audit trail - every step of a game in the order it happened
+// (created, draws with the held indexes and cards, holds, check or timeout,
+// payout submitted and confirmed), kept by gameId so one game's trail can be
+// exported in one piece. Every event is also written to the log as `game.<event>`.
+function createGameTrail({ store = new Map(), now = Date.now, logger = defaultLogger } = {}) {
+    // subject: anything with gameId and playerId (a game state or a payout).
+    // Pass { log: false } for events the caller has already logged.
+    function record({ gameId, playerId }, event, data = {}, { log = true } = {}) {
+        const trail = store.get(gameId) || { gameId, playerId, createdAt: now(), updatedAt: null, events: [] };
+        const entry = {
+            seq: trail.events.length + 1,
+            time: now(),
+            event,
+            requestId: currentRequestId(),
+            ...data
+        };
+        trail.events.push(entry);
+        trail.updatedAt = entry.time;
+        store.set(gameId, trail);
+
+        if (log) {
+            logger.info(`game.${event}`, { gameId, playerId, ...data });
+        }
+        return entry;
+    }
+
+    function get(gameId) {
+        return store.get(gameId) || null;
+    }
+
+    // Remove trails of games without any event for maxAgeMs
+    function cleanup(maxAgeMs) {
+        const cutoff = now() - maxAgeMs;
+        let removedCount = 0;
+        for (const [gameId, trail] of Array.from(store.entries())) {
+            if (trail.updatedAt < cutoff) {
+                store.delete(gameId);
+                removedCount++;
+            }
+        }
+        return removedCount;
+    }
+
+    return {
+        record,
+        get,
+        cleanup
+    };
+}
+
+module.exports = {
+    createGameTrail
+};
@@ -0,0 +1,383 @@
+const { HAND_SIZE, COMBINATIONS, evaluateHandCombination } = require('./game-rules');
+
+// Exact expected rewards of hold decisions, following the real draw rules:
+// held positions keep their card, the others are drawn from the deck, and a
+// fresh full deck replaces the deck when fewer than HAND_SIZE cards are left.
+//
+// Cards are reduced to their type (suit + rank) and a deck to the cards that
+// are missing from a full deck. The last draw of a game is not enumerated:
+// its combination counts are taken from full-deck totals minus the hands that
+// use a missing card (inclusion-exclusion), which is what makes exhaustive
+// enumeration of a whole game fast enough.
+
+const COMBINATION_COUNT = COMBINATIONS.length;
+
+// Ties are resolved in favour of the earlier option (stop, then smaller holds)
+const EPSILON = 1e-12;
+
+function binomial(n, k) {
+    if (k < 0 || k > n) return 0;
+    let result = 1;
+    for (let i = 1; i <= k; i++) {
+        result = result * (n - k + i) / i;
+    }
+    return result;
+}
+
+function permutations(items) {
+    if (items.length <= 1) return [items];
+    const result = [];
+    items.forEach((item, index) => {
+        const rest = [...items.slice(0, index), ...items.slice(index + 1)];
+        for (const permutation of permutations(rest)) {
+            result.push([item, ...permutation]);
+        }
+    });
+    return result;
+}
+
+// Every subset of hand positions with at most `holdLimit` cards, smallest first
+function getHoldOptions(holdLimit) {
+    const options = [];
+    for (let mask = 0; mask < (1 << HAND_SIZE); mask++) {
+        const heldIndexes = [];
+        for (let i = 0; i < HAND_SIZE; i++) {
+            if (mask & (1 << i)) heldIndexes.push(i);
+        }
+        if (heldIndexes.length <= holdLimit) options.push(heldIndexes);
+    }
+    return options.sort((a, b) => a.length - b.length);
+}
+
+// `cacheSize`: analyses of hands kept by analyzeHand(), the oldest are dropped first
+function createHoldSolver(variant, { paytable = variant.paytable, cacheSize = 5000 } = {}) {
+    const suitCount = variant.suits.length;
+    const rankCount = variant.ranks.length;
+    const typeCount = suitCount * rankCount;
+    const copies = variant.copies || 1;
+    const deckSize = typeCount * copies;
+    const rules = { ranks: variant.ranks, paytable };
+    const holdOptions = getHoldOptions(variant.holdLimit);
+
+    const payouts = COMBINATIONS.map(combination => paytable[combination] || 0);
+
+    const suitIndex = new Map(variant.suits.map((suit, index) => [suit, index]));
+    const rankIndex = new Map(variant.ranks.map((rank, index) => [rank, index]));
+
+    function typeOf(card) {
+        return suitIndex.get(card.suit) * rankCount + rankIndex.get(card.rank);
+    }
+
+    function cardOf(type) {
+        return { suit: variant.suits[Math.floor(type / rankCount)], rank: variant.ranks[type % rankCount] };
+    }
+
+    // Combination index of every hand of three card types
+    const combinationTable = new Uint8Array(typeCount * typeCount * typeCount);
+    for (let a = 0; a < typeCount; a++) {
+        for (let b = 0; b < typeCount; b++) {
+            for (let c = 0; c < typeCount; c++) {
+                const { combination } = evaluateHandCombination([cardOf(a), cardOf(b), cardOf(c)], rules);
+                combinationTable[(a * typeCount + b) * typeCount + c] = COMBINATIONS.indexOf(combination);
+            }
+        }
+    }
+
+    function combinationOf(a, b, c) {
+        return combinationTable[(a * typeCount + b) * typeCount + c];
+    }
+
+    // Combination counts of `held` plus every pair of cards drawn from `counts`
+    function countPairs(held, counts, out, offset) {
+        for (let t = 0; t < typeCount; t++) {
+            if (counts[t] >= 2) {
+                out[offset + combinationOf(held, t, t)] += binomial(counts[t], 2);
+            }
+            for (let u = t + 1; u < typeCount; u++) {
+                out[offset + combinationOf(held, t, u)] += counts[t] * counts[u];
+            }
+        }
+    }
+
+    // Full-deck totals used by the last draw:
+    //   pairTotals[a, b]  hands {a, b, x} for every card x of the full deck
+    //   singleTotals[a]   hands {a, x, y} for every pair of the full deck
+    //   missingTotals[a]  the same, with one card of type a taken out of the deck
+    //   deckTotals        every hand of three cards of the full deck
+    const fullCounts = new Array(typeCount).fill(copies);
+    const pairTotals = new Float64Array(typeCount * typeCount * COMBINATION_COUNT);
+    const singleTotals = new Float64Array(typeCount * COMBINATION_COUNT);
+    const missingTotals = new Float64Array(typeCount * COMBINATION_COUNT);
+    const deckTotals = new Float64Array(COMBINATION_COUNT);
+
+    for (let a = 0; a < typeCount; a++) {
+        for (let b = 0; b < typeCount; b++) {
+            const offset = (a * typeCount + b) * COMBINATION_COUNT;
+            for (let t = 0; t < typeCount; t++) {
+                pairTotals[offset + combinationOf(a, b, t)] += copies;
+            }
+        }
+        countPairs(a, fullCounts, singleTotals, a * COMBINATION_COUNT);
+
+        const counts = [...fullCounts];
+        counts[a] -= 1;
+        countPairs(a, counts, missingTotals, a * COMBINATION_COUNT);
+    }
+    forEachDraw([...fullCounts], HAND_SIZE, ([a, b, c], weight) => {
+        deckTotals[combinationOf(a, b, c)] += weight;
+    });
+
+    function addVector(target, source, offset, scale) {
+        for (let i = 0; i < COMBINATION_COUNT; i++) {
+            target[i] += scale * source[offset + i];
+        }
+    }
+
+    // Distribution of the combination after the last draw of the game.
+    // `missing` lists the card types absent from the deck (one entry per card).
+    function lastDrawDistribution(held, missing, cardsLeft) {
+        const counts = new Float64Array(COMBINATION_COUNT);
+        const m = missing.length;
+
+        if (held.length === 2) {
+            const [a, b] = held;
+            addVector(counts, pairTotals, (a * typeCount + b) * COMBINATION_COUNT, 1);
+            for (let x = 0; x < m; x++) {
+                counts[combinationOf(a, b, missing[x])] -= 1;
+            }
+        } else if (held.length === 1) {
+            const [a] = held;
+            addVector(counts, singleTotals, a * COMBINATION_COUNT, 1);
+            for (let x = 0; x < m; x++) {
+                const y = missing[x];
+                addVector(counts, pairTotals, (a * typeCount + y) * COMBINATION_COUNT, -1);
+                counts[combinationOf(a, y, y)] += 1;
+                for (let z = x + 1; z < m; z++) {
+                    counts[combinationOf(a, y, missing[z])] += 1;
+                }
+            }
+        } else {
+            addVector(counts, deckTotals, 0, 1);
+            for (let x = 0; x < m; x++) {
+                const a = missing[x];
+                addVector(counts, missingTotals, a * COMBINATION_COUNT, -1);
+                for (let y = x + 1; y < m; y++) {
+                    const b = missing[y];
+                    addVector(counts, pairTotals, (a * typeCount + b) * COMBINATION_COUNT, 1);
+                    counts[combinationOf(a, b, a)] -= 1;
+                    counts[combinationOf(a, b, b)] -= 1;
+                    for (let z = y + 1; z < m; z++) {
+                        counts[combinationOf(a, b, missing[z])] -= 1;
+                    }
+                }
+            }
+        }
+
+        const draws = binomial(cardsLeft, HAND_SIZE - held.length);
+        for (let i = 0; i < COMBINATION_COUNT; i++) {
+            counts[i] /= draws;
+        }
+        return counts;
+    }
+
+    function expectedReward(distribution) {
+        let total = 0;
+        for (let i = 0; i < COMBINATION_COUNT; i++) {
+            total += distribution[i] * payouts[i];
+        }
+        return total;
+    }
+
+    // Every multiset of `size` card types that can be drawn from `counts`,
+    // with the number of card combinations it stands for
+    function forEachDraw(counts, size, callback, from = 0, drawn = [], weight = 1) {
+        if (drawn.length === size) {
+            callback(drawn, weight);
+            return;
+        }
+        for (let t = from; t < typeCount; t++) {
+            if (counts[t] === 0) continue;
+            let taken = 0;
+            for (let i = drawn.length - 1; i >= 0 && drawn[i] === t; i--) taken++;
+            counts[t]--;
+            drawn.push(t);
+            // Weight of k copies of t is C(count, k), built up one copy at a time
+            forEachDraw(counts, size, callback, t, drawn, weight * (counts[t] + 1) / (taken + 1));
+            drawn.pop();
+            counts[t]++;
+        }
+    }
+
+    // Distribution when holding `heldIndexes` of `hand` and drawing the rest
+    function holdDistribution(hand, heldIndexes, missing, cardsLeft, roundsLeft) {
+        const held = heldIndexes.map(index => hand[index]);
+        const drawSize = HAND_SIZE - held.length;
+
+        // Not enough cards for a hand: a full deck replaces the deck
+        if (cardsLeft < HAND_SIZE) {
+            missing = [];
+            cardsLeft = deckSize;
+        }
+
+        if (roundsLeft === 1) {
+            return lastDrawDistribution(held, missing, cardsLeft);
+        }
+
+        const counts = [...fullCounts];
+        missing.forEach(type => counts[type]--);
+
+        const distribution = new Float64Array(COMBINATION_COUNT);
+        forEachDraw(counts, drawSize, (drawn, weight) => {
+            const next = bestDecision([...held, ...drawn], [...missing, ...drawn], cardsLeft - drawSize, roundsLeft - 1);
+            addVector(distribution, next.distribution, 0, weight);
+        });
+
+        const draws = binomial(cardsLeft, drawSize);
+        for (let i = 0; i < COMBINATION_COUNT; i++) {
+            distribution[i] /= draws;
+        }
+        return distribution;
+    }
+
+    function stopDistribution(hand) {
+        const distribution = new Float64Array(COMBINATION_COUNT);
+        distribution[combinationOf(hand[0], hand[1], hand[2])] = 1;
+        return distribution;
+    }
+
+    // Every option at a decision point: stop with the current hand, or hold and draw
+    function evaluateOptions(hand, missing, cardsLeft, roundsLeft) {
+        const stopped = stopDistribution(hand);
+        const options = [{ stop: true, heldIndexes: null, distribution: stopped, expectedReward: expectedReward(stopped) }];
+
+        if (roundsLeft > 0) {
+            for (const heldIndexes of holdOptions) {
+                const distribution = holdDistribution(hand, heldIndexes, missing, cardsLeft, roundsLeft);
+                options.push({ stop: false, heldIndexes, distribution, expectedReward: expectedReward(distribution) });
+            }
+        }
+        return options;
+    }
+
+    function bestOption(options) {
+        return options.reduce((best, option) => (option.expectedReward > best.expectedReward + EPSILON ? option : best));
+    }
+
+    function bestDecision(hand, missing, cardsLeft, roundsLeft) {
+        if (roundsLeft === 0) {
+            const distribution = stopDistribution(hand);
+            return { stop: true, heldIndexes: null, distribution, expectedReward: expectedReward(distribution) };
+        }
+        return bestOption(evaluateOptions(hand, missing, cardsLeft, roundsLeft));
+    }
+
+    // Symmetries of the game: any relabelling of the suits, and reversing the
+    // rank order (straights stay straights). Used to solve each distinct first
+    // hand once. Suits are only permuted for up to 6 suits.
+    const suitPermutations = suitCount <= 6 ? permutations([...Array(suitCount).keys()]) : [[...Array(suitCount).keys()]];
+
+    function canonicalKey(hand) {
+        let key = null;
+        for (const permutation of suitPermutations) {
+            for (const reversed of [false, true]) {
+                const mapped = hand.map(type => {
+                    const suit = permutation[Math.floor(type / rankCount)];
+                    const rank = reversed ? rankCount - 1 - (type % rankCount) : type % rankCount;
+                    return suit * rankCount + rank;
+                }).sort((a, b) => a - b).join(',');
+                if (key === null || mapped < key) key = mapped;
+            }
+        }
+        return key;
+    }
+
+    function toResult(distribution) {
+        return {
+            expectedReward: expectedReward(distribution),
+            probabilities: Object.fromEntries(COMBINATIONS.map((combination, i) => [combination, distribution[i]]))
+        };
+    }
+
+    // Exact result of a whole game under optimal holds
+    function analyzeGame() {
+        const classes = new Map(); // canonical key -> { hand, weight }
+        forEachDraw([...fullCounts], HAND_SIZE, (drawn, weight) => {
+            const key = canonicalKey(drawn);
+            const entry = classes.get(key);
+            if (entry) {
+                entry.weight += weight;
+            } else {
+                classes.set(key, { hand: [...drawn], weight });
+            }
+        });
+
+        const distribution = new Float64Array(COMBINATION_COUNT);
+        for (const { hand, weight } of classes.values()) {
+            const decision = bestDecision(hand, hand, deckSize - HAND_SIZE, variant.maxRounds - 1);
+            addVector(distribution, decision.distribution, 0, weight);
+        }
+
+        const hands = binomial(deckSize, HAND_SIZE);
+        for (let i = 0; i < COMBINATION_COUNT; i++) {
+            distribution[i] /= hands;
+        }
+
+        return {
+            ...toResult(distribution),
+            firstHands: hands,
+            distinctFirstHands: classes.size
+        };
+    }
+
+    // Results by hand (in order), cards missing from the deck and draws left.
+    // The same situation comes up in many games, e.g. every first hand.
+    const handCache = new Map();
+
+    // Every option for the current hand of a game in progress, given the cards
+    // still in the deck and the number of draws left
+    function analyzeHand({ cards, deck, roundsLeft }) {
+        const counts = [...fullCounts];
+        deck.forEach(card => counts[typeOf(card)]--);
+        const missing = [];
+        counts.forEach((count, type) => {
+            for (let i = 0; i < count; i++) missing.push(type);
+        });
+
+        const hand = cards.map(typeOf);
+        const key = `${roundsLeft}|${hand.join(',')}|${missing.join(',')}`;
+        if (handCache.has(key)) {
+            return handCache.get(key);
+        }
+
+        const options = evaluateOptions(hand, missing, deck.length, roundsLeft);
+        const best = bestOption(options);
+        const analysis = {
+            options: options.map(option => ({
+                stop: option.stop,
+                heldIndexes: option.heldIndexes,
+                ...toResult(option.distribution)
+            })),
+            best: {
+                stop: best.stop,
+                heldIndexes: best.heldIndexes,
+                expectedReward: best.expectedReward
+            }
+        };
+
+        handCache.set(key, analysis);
+        if (handCache.size > cacheSize) {
+            handCache.delete(handCache.keys().next().value);
+        }
+        return analysis;
+    }
+
+    return {
+        analyzeGame,
+        analyzeHand
+    };
+}
+
+module.exports = {
+    createHoldSolver,
+    getHoldOptions
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { logger: defaultLogger } = require('./logger');
+
+// Map that writes every set/delete to the journal. Values are stored as JSON,
+// so anything kept in a journaled map has to be plain data. `serialize(value)`
+// picks what is written, e.g. to leave out data that can be rebuilt on load.
+class JournaledMap extends Map {
+    constructor(name, journal, { serialize = value => value } = {}) {
+        super();
+        this.name = name;
+        this.journal = journal;
+        this.serialize = serialize;
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        if (this.journal) {
+            this.journal.append({ s: this.name, op: 'set', k: key, v: this.serialize(value) });
+        }
+        return this;
+    }
+
+    delete(key) {
+        const existed = super.delete(key);
+        if (existed && this.journal) {
+            this.journal.append({ s: this.name, op: 'delete', k: key });
+        }
+        return existed;
+    }
+
+    clear() {
+        for (const key of Array.from(this.keys())) {
+            this.delete(key);
+        }
+    }
+
+    // Used while replaying the journal - no write back
+    restore(key, value) {
+        super.set(key, value);
+    }
+
+    forget(key) {
+        super.delete(key);
+    }
+}
+
+// Append-only journal file behind a set of named maps. On startup the journal
+// is replayed to rebuild every map, then compacted into one line per entry.
+function createJournalStore({ file, logger = defaultLogger }) {
+    const maps = new Map(); // name -> JournaledMap
+    let fd = null;
+
+    function append(entry) {
+        if (fd === null) return;
+        fs.writeSync(fd, JSON.stringify(entry) + '\n');
+    }
+
+    const journal = { append };
+
+    // Get (or create) the named map. Must be called before load().
+    function map(name, options) {
+        if (!maps.has(name)) {
+            maps.set(name, new JournaledMap(name, journal, options));
+        }
+        return maps.get(name);
+    }
+
+    // Replay the journal file into the registered maps and open it for appending
+    function load() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        let replayed = 0;
+        if (fs.existsSync(file)) {
+            const lines = fs.readFileSync(file, 'utf8').split('\n');
+            lines.forEach((line, index) => {
+                if (!line.trim()) return;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    // A crash can leave the last line half written
+                    logger.warn('journal.unreadable-line', { file, line: index + 1 });
+                    return;
+                }
+                const target = maps.get(entry.s);
+                if (!target) return;
+                if (entry.op === 'set') {
+                    target.restore(entry.k, entry.v);
+                } else if (entry.op === 'delete') {
+                    target.forget(entry.k);
+                }
+                replayed++;
+            });
+        }
+
+        compact();
+        return replayed;
+    }
+
+    // Rewrite the journal with the current contents of every map
+    function compact() {
+        const tmpFile = `${file}.tmp`;
+        const lines = [];
+        for (const [name, target] of maps.entries()) {
+            for (const [key, value] of target.entries()) {
+                lines.push(JSON.stringify({ s: name, op: 'set', k: key, v: target.serialize(value) }));
+            }
+        }
+        fs.writeFileSync(tmpFile, lines.length > 0 ? lines.join('\n') + '\n' : '');
+
+        if (fd !== null) {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpFile, file);
+        fd = fs.openSync(file, 'a');
+    }
+
+    function close() {
+        if (fd !== null) {
+            fs.closeSync(fd);
+            fd = null;
+        }
+    }
+
+    return {
+        map,
+        load,
+        compact,
+        close
+    };
+}
+
+module.exports = {
+    createJournalStore,
+    JournaledMap
+};
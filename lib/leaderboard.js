@@ -0,0 +1,174 @@
+// Leaderboards by period (daily, weekly, all-time), built from finished games.
+// Entries are stored per period and player (`${periodKey}|${playerId}`), so a
+// finished game only rewrites the player's own entries. Periods follow UTC:
+// days start at midnight, weeks on Monday.
+const { logger: defaultLogger } = require('./logger');
+const { systemClock } = require('./clock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = ['daily', 'weekly', 'all-time'];
+
+// metric -> entry field
+const METRICS = {
+    'net-cards': 'netCards',
+    'biggest-win': 'biggestWin',
+    'lucky-triples': 'luckyTriples'
+};
+
+function startOfUtcDay(time) {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+// Start and end of the period containing `time`
+function getPeriodBounds(period, time) {
+    if (period === 'daily') {
+        const startsAt = startOfUtcDay(time);
+        return { startsAt, endsAt: startsAt + DAY_MS };
+    }
+    if (period === 'weekly') {
+        const dayStart = startOfUtcDay(time);
+        const daysSinceMonday = (new Date(dayStart).getUTCDay() + 6) % 7;
+        const startsAt = dayStart - daysSinceMonday * DAY_MS;
+        return { startsAt, endsAt: startsAt + 7 * DAY_MS };
+    }
+    return { startsAt: null, endsAt: null };
+}
+
+function getPeriodKey(period, time) {
+    const { startsAt } = getPeriodBounds(period, time);
+    return startsAt === null ? period : `${period}:${new Date(startsAt).toISOString().slice(0, 10)}`;
+}
+
+function createLeaderboards({ store = new Map(), clock = systemClock, now = clock.now, logger = defaultLogger } = {}) {
+    const boards = new Map(); // periodKey -> Map(playerId -> entry)
+    let resetTimer = null;
+
+    function index(entry) {
+        if (!boards.has(entry.periodKey)) {
+            boards.set(entry.periodKey, new Map());
+        }
+        boards.get(entry.periodKey).set(entry.playerId, entry);
+    }
+
+    // Rebuild the in-memory boards, e.g. after the store was reloaded from the journal
+    function rebuildIndex() {
+        boards.clear();
+        for (const entry of store.values()) {
+            index(entry);
+        }
+        resetExpired();
+    }
+
+    // Add a finished game (a player history record) to every period's board
+    function recordGame(record) {
+        const playedOut = record.result === 'win' || record.result === 'loss';
+
+        for (const period of PERIODS) {
+            const periodKey = getPeriodKey(period, record.endedAt);
+            const board = boards.get(periodKey);
+            const entry = (board && board.get(record.playerId)) || {
+                periodKey,
+                playerId: record.playerId,
+                gamesPlayed: 0,
+                netCards: 0,
+                biggestWin: 0,
+                luckyTriples: 0,
+                updatedAt: null
+            };
+
+            entry.gamesPlayed += 1;
+            entry.netCards += record.reward - (record.entryFee || 0);
+            entry.biggestWin = Math.max(entry.biggestWin, record.reward);
+            if (playedOut && record.combination === 'Lucky Triple') {
+                entry.luckyTriples += 1;
+            }
+            entry.updatedAt = record.endedAt;
+
+            store.set(`${periodKey}|${record.playerId}`, entry);
+            index(entry);
+        }
+    }
+
+    // Ranked entries of the current period. Players without a biggest win or a
+    // Lucky Triple are left out of those rankings.
+    function getLeaderboard(period, metric, { limit = 10 } = {}) {
+        resetExpired();
+
+        const field = METRICS[metric];
+        const periodKey = getPeriodKey(period, now());
+        const { startsAt, endsAt } = getPeriodBounds(period, now());
+        const board = boards.get(periodKey) || new Map();
+
+        const ranked = Array.from(board.values())
+            .filter(entry => metric === 'net-cards' || entry[field] > 0)
+            .sort((a, b) => b[field] - a[field] || a.updatedAt - b.updatedAt)
+            .slice(0, limit)
+            .map((entry, index) => ({
+                rank: index + 1,
+                playerId: entry.playerId,
+                value: entry[field],
+                gamesPlayed: entry.gamesPlayed,
+                netCards: entry.netCards,
+                biggestWin: entry.biggestWin,
+                luckyTriples: entry.luckyTriples
+            }));
+
+        return {
+            period,
+            metric,
+            startsAt,
+            resetsAt: endsAt,
+            players: board.size,
+            rankings: ranked
+        };
+    }
+
+    // Drop boards of periods that have ended
+    function resetExpired() {
+        const current = new Set(PERIODS.map(period => getPeriodKey(period, now())));
+        let removedCount = 0;
+        for (const [periodKey, board] of boards.entries()) {
+            if (current.has(periodKey)) continue;
+            for (const playerId of board.keys()) {
+                store.delete(`${periodKey}|${playerId}`);
+            }
+            boards.delete(periodKey);
+            removedCount++;
+        }
+        return removedCount;
+    }
+
+    // Reset the daily (and on Mondays the weekly) board at the next UTC midnight
+    function start() {
+        const delay = getPeriodBounds('daily', now()).endsAt - now();
+        resetTimer = clock.setTimeout(() => {
+            const removedCount = resetExpired();
+            logger.info('leaderboard.reset', { removedPeriods: removedCount });
+            start();
+        }, delay + 1000);
+    }
+
+    function stop() {
+        if (resetTimer) {
+            clock.clearTimeout(resetTimer);
+            resetTimer = null;
+        }
+    }
+
+    return {
+        rebuildIndex,
+        recordGame,
+        getLeaderboard,
+        resetExpired,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    createLeaderboards,
+    PERIODS,
+    METRICS: Object.keys(METRICS)
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging - one JSON object per line:
+//   {"time":"...","level":"info","msg":"game.draw","requestId":"...","gameId":"...","playerId":"...",...}
+// Lines written while a request is handled carry its requestId, taken from the
+// request context below, so every line of one request can be found together.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function currentRequestId() {
+    const context = requestContext.getStore();
+    return context ? context.requestId : null;
+}
+
+// Error objects do not survive JSON.stringify, log their message and stack instead
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+    return value;
+}
+
+function defaultWrite(line, level) {
+    if (LEVELS[level] >= LEVELS.warn) {
+        process.stderr.write(`${line}\n`);
+    } else {
+        process.stdout.write(`${line}\n`);
+    }
+}
+
+function createLogger({ level = process.env.LOG_LEVEL || 'info', fields = {}, write = defaultWrite, now = Date.now } = {}) {
+    if (!LEVELS[level]) {
+        throw new Error(`Unknown log level "${level}", use one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    function log(entryLevel, msg, data = {}) {
+        if (LEVELS[entryLevel] < LEVELS[level]) return;
+
+        const entry = { time: new Date(now()).toISOString(), level: entryLevel, msg };
+        const requestId = currentRequestId();
+        if (requestId) {
+            entry.requestId = requestId;
+        }
+        for (const [key, value] of Object.entries({ ...fields, ...data })) {
+            if (value !== undefined) {
+                entry[key] = serializeValue(value);
+            }
+        }
+
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (error) {
+            line = JSON.stringify({ time: entry.time, level: entryLevel, msg, requestId: entry.requestId, logError: error.message });
+        }
+        write(line, entryLevel);
+    }
+
+    return {
+        level,
+        debug: (msg, data) => log('debug', msg, data),
+        info: (msg, data) => log('info', msg, data),
+        warn: (msg, data) => log('warn', msg, data),
+        error: (msg, data) => log('error', msg, data),
+        isLevelEnabled: entryLevel => LEVELS[entryLevel] >= LEVELS[level],
+        // Logger that adds `extraFields` to every line, e.g. { component: 'payouts' }
+        child: extraFields => createLogger({ level, fields: { ...fields, ...extraFields }, write, now })
+    };
+}
+
+// Express middleware: take the caller's X-Request-Id (or make one up), echo it
+// in the response and run the rest of the request inside its context. Finished
+// requests are logged at debug level, failed ones at warn/error.
+function requestLogging(logger) {
+    return (req, res, next) => {
+        const header = req.get('X-Request-Id');
+        const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+
+        req.id = requestId;
+        res.set('X-Request-Id', requestId);
+
+        res.on('finish', () => {
+            const status = res.statusCode;
+            const entryLevel = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'debug';
+            requestContext.run({ requestId }, () => {
+                logger[entryLevel]('http.request', {
+                    method: req.method,
+                    path: req.originalUrl.split('?')[0],
+                    status,
+                    durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+                });
+            });
+        });
+
+        requestContext.run({ requestId }, next);
+    };
+}
+
+// Run `fn` outside of any request, e.g. a timer that was scheduled while handling one
+function runDetached(fn) {
+    return requestContext.exit(fn);
+}
+
+// Logger used by library modules that are not given one
+const logger = createLogger();
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    requestLogging,
+    currentRequestId,
+    runDetached,
+    logger
+};
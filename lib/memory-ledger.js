@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { TOKEN_DECIMALS, permanentError } = require('./token-transfer');
+const { logger: defaultLogger } = require('./logger');
+
+const UNITS_PER_CARD = Math.pow(10, TOKEN_DECIMALS);
+
+function toUnits(amount) {
+    return Math.round(amount * UNITS_PER_CARD);
+}
+
+function fromUnits(units) {
+    return units / UNITS_PER_CARD;
+}
+
+function isValidAddress(address) {
+    try {
+        new PublicKey(address);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// In-memory CARDS ledger - a payment backend (see lib/solana-payments.js) for
+// development and tests that needs no cluster. It keeps token accounts and
+// balances by wallet address (`accounts`) and transfers by signature
+// (`transfers`); signatures look like Solana ones and transfers confirm at
+// once. The treasury account is opened with `treasuryBalance` CARDS the first
+// time it is used. Players get CARDS with airdrop() and pay entry fees with
+// transfer(), whose signature is then used as the entry fee signature.
+function createMemoryLedger({
+    treasuryAccount,
+    treasuryBalance = 1000000,
+    accounts = new Map(),   // address -> { address, units, createdAt, updatedAt }
+    transfers = new Map(),  // signature -> { signature, kind, from, to, amount, units, createdAt }
+    randomBytes = crypto.randomBytes,
+    now = Date.now,
+    logger = defaultLogger
+}) {
+    function openAccount(address, units = 0) {
+        const account = { address, units, createdAt: now(), updatedAt: now() };
+        accounts.set(address, account);
+        logger.info('ledger.account-opened', { address, balance: fromUnits(units) });
+        return account;
+    }
+
+    function getTreasury() {
+        return accounts.get(treasuryAccount) || openAccount(treasuryAccount, toUnits(treasuryBalance));
+    }
+
+    function newSignature() {
+        return bs58.encode(randomBytes(64));
+    }
+
+    function recordTransfer(kind, from, to, units, signature = newSignature()) {
+        const transfer = {
+            signature,
+            kind,
+            from,
+            to,
+            amount: fromUnits(units),
+            units,
+            createdAt: now()
+        };
+        transfers.set(transfer.signature, transfer);
+        return transfer;
+    }
+
+    function credit(account, units) {
+        account.units += units;
+        account.updatedAt = now();
+        accounts.set(account.address, account);
+    }
+
+    // Give a wallet CARDS out of thin air, opening its token account if needed.
+    // amount 0 only opens the account.
+    function airdrop(address, amount) {
+        if (!isValidAddress(address)) {
+            return { ok: false, error: 'Invalid Solana address format' };
+        }
+        if (!Number.isFinite(amount) || amount < 0) {
+            return { ok: false, error: 'Amount must be a positive number of CARDS' };
+        }
+
+        const account = accounts.get(address) || openAccount(address);
+        const units = toUnits(amount);
+        credit(account, units);
+        const transfer = recordTransfer('airdrop', null, address, units);
+        logger.info('ledger.airdrop', { address, amount, signature: transfer.signature });
+        return { ok: true, transfer, balance: fromUnits(account.units) };
+    }
+
+    // Move CARDS between two token accounts; `to` defaults to the treasury
+    function transfer({ from, to = treasuryAccount, amount, signature }) {
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return { ok: false, error: 'Amount must be a positive number of CARDS' };
+        }
+        const source = from === treasuryAccount ? getTreasury() : accounts.get(from);
+        const destination = to === treasuryAccount ? getTreasury() : accounts.get(to);
+        if (!source) {
+            return { ok: false, error: 'Sender has no CARDS token account' };
+        }
+        if (!destination) {
+            return { ok: false, error: 'Receiver needs to create a CARDS token account first' };
+        }
+
+        const units = toUnits(amount);
+        if (source.units < units) {
+            return { ok: false, error: `Insufficient CARDS balance (${fromUnits(source.units)} available)` };
+        }
+
+        credit(source, -units);
+        credit(destination, units);
+        const record = recordTransfer('transfer', from, to, units, signature);
+        logger.info('ledger.transfer', { from, to, amount, signature: record.signature });
+        return { ok: true, transfer: record };
+    }
+
+    // Balance and transfers of one wallet, newest first
+    function getAccount(address, { limit = 50 } = {}) {
+        const account = address === treasuryAccount ? getTreasury() : accounts.get(address);
+        if (!account) return null;
+        return {
+            address,
+            balance: fromUnits(account.units),
+            createdAt: account.createdAt,
+            transfers: Array.from(transfers.values())
+                .filter(record => record.from === address || record.to === address)
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .slice(0, limit)
+        };
+    }
+
+    async function verifyEntryFee({ signature, playerId, amount, maxAgeMs }) {
+        const record = transfers.get(signature);
+        if (!record) {
+            return { valid: false, error: 'Entry fee transaction not found or not yet confirmed' };
+        }
+        if (now() - record.createdAt > maxAgeMs) {
+            return { valid: false, error: 'Entry fee transaction is too old' };
+        }
+        if (record.kind !== 'transfer' || record.from !== playerId || record.to !== treasuryAccount || record.units !== toUnits(amount)) {
+            return { valid: false, error: `Transaction is not a transfer of ${amount} CARDS from the player to the treasury` };
+        }
+        return { valid: true };
+    }
+
+    async function sendTransfer({ receiverAddress, amount, onSigned = () => {} }) {
+        if (!isValidAddress(receiverAddress)) {
+            throw permanentError('Invalid Solana address format');
+        }
+        if (!accounts.has(receiverAddress)) {
+            throw permanentError('Receiver needs to create a CARDS token account first');
+        }
+
+        // Like the cluster, the signature is known before the transfer is made
+        const signature = newSignature();
+        await onSigned({ signature, lastValidBlockHeight: null });
+
+        // Like a failed preflight on the cluster: worth retrying once the treasury is topped up
+        const result = transfer({ from: treasuryAccount, to: receiverAddress, amount, signature });
+        if (!result.ok) {
+            throw new Error(result.error);
+        }
+        return { signature: result.transfer.signature, lastValidBlockHeight: null };
+    }
+
+    // Transfers confirm at once; an unknown signature (e.g. the ledger was wiped) can never land
+    async function getTransferStatus(signature) {
+        return { status: transfers.has(signature) ? 'confirmed' : 'expired' };
+    }
+
+    async function getTreasuryBalance() {
+        return fromUnits(getTreasury().units);
+    }
+
+    function describe() {
+        return {
+            backend: 'memory',
+            treasuryAccount,
+            treasuryBalance: fromUnits(getTreasury().units),
+            accounts: accounts.size,
+            transfers: transfers.size
+        };
+    }
+
+    return {
+        name: 'memory',
+        verifyEntryFee,
+        sendTransfer,
+        getTransferStatus,
+        getTreasuryBalance,
+        describe,
+        airdrop,
+        transfer,
+        getAccount
+    };
+}
+
+module.exports = {
+    createMemoryLedger
+};
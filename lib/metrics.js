@@ -0,0 +1,168 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4):
+// counters, gauges and histograms with labels. Gauges can be read at scrape
+// time with a `collect` callback instead of being kept up to date.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function createMetricsRegistry() {
+    const metrics = [];
+
+    // Series are kept by their label values, in the order of `labelNames`
+    function seriesKey(labelNames, labels = {}) {
+        return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+    }
+
+    function labelsOf(labelNames, key) {
+        const values = JSON.parse(key);
+        return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+    }
+
+    function register(metric) {
+        if (metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        metrics.push(metric);
+        return metric;
+    }
+
+    function counter({ name, help, labelNames = [] }) {
+        const values = new Map();
+        register({
+            name,
+            help,
+            type: 'counter',
+            lines: () => Array.from(values.entries()).map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${formatValue(value)}`)
+        });
+        return {
+            inc(labels = {}, value = 1) {
+                const key = seriesKey(labelNames, labels);
+                values.set(key, (values.get(key) || 0) + value);
+            }
+        };
+    }
+
+    // collect() may return a number (no labels) or a list of { labels, value }
+    function gauge({ name, help, labelNames = [], collect = null }) {
+        const values = new Map();
+        register({
+            name,
+            help,
+            type: 'gauge',
+            lines: () => {
+                if (collect) {
+                    const collected = collect();
+                    const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+                    return samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+                }
+                return Array.from(values.entries()).map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${formatValue(value)}`);
+            }
+        });
+        return {
+            set(labels, value) {
+                values.set(seriesKey(labelNames, labels), value);
+            }
+        };
+    }
+
+    function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+        const series = new Map(); // key -> { counts, sum, count }
+        const bounds = [...buckets].sort((a, b) => a - b);
+
+        register({
+            name,
+            help,
+            type: 'histogram',
+            lines: () => {
+                const lines = [];
+                for (const [key, { counts, sum, count }] of series.entries()) {
+                    const labels = labelsOf(labelNames, key);
+                    bounds.forEach((bound, index) => {
+                        lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+                    });
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                    lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+                    lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+                }
+                return lines;
+            }
+        });
+
+        function observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            if (!series.has(key)) {
+                series.set(key, { counts: new Array(bounds.length).fill(0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            bounds.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+
+        return { observe };
+    }
+
+    function render() {
+        const lines = [];
+        for (const metric of metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.lines());
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render,
+        contentType: CONTENT_TYPE
+    };
+}
+
+// Time every call of the listed async methods of `target` (e.g. a Solana
+// connection). `observe(label, seconds, error)` is called once per call.
+function instrumentMethods(target, methods, observe) {
+    for (const [method, label] of Object.entries(methods)) {
+        const original = target[method];
+        if (typeof original !== 'function') continue;
+
+        target[method] = async function (...args) {
+            const startedAt = process.hrtime.bigint();
+            let failure = null;
+            try {
+                return await original.apply(this, args);
+            } catch (error) {
+                failure = error;
+                throw error;
+            } finally {
+                observe(label, Number(process.hrtime.bigint() - startedAt) / 1e9, failure);
+            }
+        };
+    }
+    return target;
+}
+
+module.exports = {
+    createMetricsRegistry,
+    instrumentMethods
+};
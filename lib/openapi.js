@@ -0,0 +1,299 @@
+const { ERROR_CODES } = require('./api-errors');
+
+// Solana addresses are base58 public keys
+const ADDRESS_PATTERN = '^[1-9A-HJ-NP-Za-km-z]{32,44}$';
+
+// Express path to OpenAPI path: /games/:gameId -> /games/{gameId}
+function toOpenApiPath(expressPath) {
+    return expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+// Routes of an Express app or router: { method, path, handlers }. Mounted
+// routers are left out, they are listed with their own base path.
+function listRoutes(router, basePath = '') {
+    const stack = router._router ? router._router.stack : router.stack;
+    const routes = [];
+    for (const layer of stack) {
+        if (!layer.route || typeof layer.route.path !== 'string') continue;
+        for (const method of Object.keys(layer.route.methods)) {
+            routes.push({
+                method: method.toUpperCase(),
+                path: basePath + layer.route.path,
+                handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+            });
+        }
+    }
+    return routes;
+}
+
+// JSON Schema of a validation field spec (lib/validation.js)
+function toJsonSchema(spec) {
+    const schema = {};
+    switch (spec.type) {
+        case 'address':
+            schema.type = 'string';
+            schema.pattern = ADDRESS_PATTERN;
+            schema.description = 'Solana address (base58)';
+            break;
+        case 'string':
+            schema.type = 'string';
+            schema.minLength = spec.minLength === undefined ? 1 : spec.minLength;
+            if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+            if (spec.pattern) schema.pattern = spec.pattern.source;
+            break;
+        case 'integer':
+        case 'number':
+            schema.type = spec.type;
+            if (spec.min !== undefined) schema.minimum = spec.min;
+            if (spec.max !== undefined) schema.maximum = spec.max;
+            if (spec.exclusiveMin !== undefined) {
+                schema.minimum = spec.exclusiveMin;
+                schema.exclusiveMinimum = true;
+            }
+            break;
+        case 'array':
+            schema.type = 'array';
+            schema.items = toJsonSchema(spec.items);
+            if (spec.minItems !== undefined) schema.minItems = spec.minItems;
+            if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+            if (spec.unique) schema.uniqueItems = true;
+            break;
+        default:
+            schema.type = spec.type;
+    }
+    if (spec.enum) {
+        schema.enum = typeof spec.enum === 'function' ? spec.enum() : spec.enum;
+    }
+    if (spec.default !== undefined) {
+        schema.default = spec.default;
+    }
+    return schema;
+}
+
+// Error response for a set of codes: the shared Error schema, with the codes
+// this route can answer in the description and in `x-error-codes`
+function errorResponse(codes) {
+    return {
+        description: codes.map(code => `\`${code}\`: ${ERROR_CODES[code]}`).join('\n\n'),
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+        'x-error-codes': codes
+    };
+}
+
+function addErrors(errors, status, codes) {
+    errors[status] = Array.from(new Set([...(errors[status] || []), ...codes]));
+}
+
+// Build the operation of one route from its validate() schema and its entry in `operations`
+function describeOperation(route, doc, { security, securitySchemes }) {
+    const validation = route.handlers.map(handler => handler.schema).find(Boolean) || {};
+    const operation = {
+        operationId: doc.operationId,
+        summary: doc.summary,
+        tags: doc.tags
+    };
+    if (doc.description) operation.description = doc.description;
+
+    const parameters = [];
+    for (const location of ['params', 'query']) {
+        for (const [name, spec] of Object.entries(validation[location] || {})) {
+            parameters.push({
+                name,
+                in: location === 'params' ? 'path' : 'query',
+                required: location === 'params' || Boolean(spec.required),
+                schema: toJsonSchema(spec)
+            });
+        }
+    }
+    if (parameters.length > 0) operation.parameters = parameters;
+
+    if (validation.body) {
+        const fieldsOfBody = Object.entries(validation.body);
+        const required = fieldsOfBody.filter(([, spec]) => spec.required).map(([name]) => name);
+        operation.requestBody = {
+            required: required.length > 0,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: Object.fromEntries(fieldsOfBody.map(([name, spec]) => [name, toJsonSchema(spec)])),
+                        required: required.length > 0 ? required : undefined,
+                        additionalProperties: false
+                    }
+                }
+            }
+        };
+    }
+
+    const auth = doc.auth || security;
+    if (auth) {
+        operation.security = securitySchemes[auth].security;
+    }
+
+    const errors = {};
+    if (validation.params || validation.query || validation.body) addErrors(errors, 400, ['INVALID_REQUEST']);
+    if (validation.body) addErrors(errors, 400, ['INVALID_JSON']);
+    if (auth) {
+        for (const [status, codes] of Object.entries(securitySchemes[auth].errors)) {
+            addErrors(errors, status, codes);
+        }
+    }
+    for (const [status, codes] of Object.entries(doc.errors || {})) {
+        addErrors(errors, status, codes);
+    }
+    addErrors(errors, 429, ['RATE_LIMITED']);
+    addErrors(errors, 500, ['INTERNAL_ERROR']);
+
+    operation.responses = {};
+    for (const [status, response] of Object.entries(doc.responses)) {
+        operation.responses[status] = response;
+    }
+    for (const [status, codes] of Object.entries(errors)) {
+        operation.responses[status] = errorResponse(codes);
+    }
+    return operation;
+}
+
+// OpenAPI 3 document of the routes that are actually registered. Paths,
+// methods, parameters and request bodies come from the routers and the
+// validate() schemas on each route; summaries, responses and the error codes
+// of each route come from `operations`, keyed by 'METHOD /path'.
+//   routers          [{ router, basePath, security }] - security names an
+//                    entry of securitySchemes that applies to every route
+//   securitySchemes  name -> { scheme, security, errors: { status: [codes] } }
+// A route without an entry in `operations` is still listed, marked with
+// `x-undocumented`.
+function buildOpenApiSpec({ info, servers, tags, routers, operations, schemas, securitySchemes }) {
+    const paths = {};
+    for (const { router, basePath = '', security = null } of routers) {
+        for (const route of listRoutes(router, basePath)) {
+            const key = `${route.method} ${route.path}`;
+            const openApiPath = toOpenApiPath(route.path);
+            paths[openApiPath] = paths[openApiPath] || {};
+
+            const doc = operations[key];
+            paths[openApiPath][route.method.toLowerCase()] = doc
+                ? describeOperation(route, doc, { security, securitySchemes })
+                : { summary: key, 'x-undocumented': true, responses: { default: { description: 'Not documented' } } };
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        servers,
+        tags,
+        paths,
+        components: {
+            schemas,
+            securitySchemes: Object.fromEntries(Object.entries(securitySchemes).map(([name, entry]) => [name, entry.scheme]))
+        }
+    };
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Check a value against a response schema of the document. Objects without
+// `additionalProperties` take no other properties, so a field added to a
+// handler but not to the document is reported too. Returns a list of problems.
+function checkValue(spec, schema, value, where = 'body', problems = []) {
+    if (value === null && schema.nullable) {
+        return problems;
+    }
+    if (schema.$ref) {
+        const name = schema.$ref.replace('#/components/schemas/', '');
+        return checkValue(spec, spec.components.schemas[name], value, where, problems);
+    }
+    if (value === null) {
+        if (!schema.nullable) problems.push(`${where} is null`);
+        return problems;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${where} is ${JSON.stringify(value)}, not one of ${schema.enum.join(', ')}`);
+        return problems;
+    }
+
+    const type = describeType(value);
+    switch (schema.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) problems.push(`${where} should be an integer, got ${type}`);
+            break;
+        case 'number':
+        case 'string':
+        case 'boolean':
+            if (type !== schema.type) problems.push(`${where} should be a ${schema.type}, got ${type}`);
+            break;
+        case 'array':
+            if (type !== 'array') {
+                problems.push(`${where} should be an array, got ${type}`);
+            } else if (schema.items) {
+                value.forEach((item, index) => checkValue(spec, schema.items, item, `${where}[${index}]`, problems));
+            }
+            break;
+        case 'object': {
+            if (type !== 'object') {
+                problems.push(`${where} should be an object, got ${type}`);
+                break;
+            }
+            const properties = schema.properties || {};
+            for (const name of schema.required || []) {
+                if (!(name in value)) problems.push(`${where}.${name} is missing`);
+            }
+            for (const [name, propertyValue] of Object.entries(value)) {
+                if (properties[name]) {
+                    checkValue(spec, properties[name], propertyValue, `${where}.${name}`, problems);
+                } else if (typeof schema.additionalProperties === 'object') {
+                    checkValue(spec, schema.additionalProperties, propertyValue, `${where}.${name}`, problems);
+                } else if (schema.additionalProperties !== true) {
+                    problems.push(`${where}.${name} is not in the document`);
+                }
+            }
+            break;
+        }
+        default:
+            // No type: anything goes
+    }
+    return problems;
+}
+
+// Check one response of `METHOD /path` (Express path syntax) against the
+// document: the status must be listed for the operation, the body must match
+// its schema and an error code must be one the operation lists for the status.
+function checkResponse(spec, { method, path, status, contentType, body }) {
+    const operation = (spec.paths[toOpenApiPath(path)] || {})[method.toLowerCase()];
+    if (!operation) {
+        return [`${method} ${path} is not in the document`];
+    }
+    const response = operation.responses[status];
+    if (!response) {
+        return [`status ${status} is not in the document`];
+    }
+
+    const mediaType = (contentType || '').split(';')[0].trim();
+    const content = response.content || {};
+    if (!content[mediaType]) {
+        return [`content type ${mediaType || 'none'} is not in the document (${Object.keys(content).join(', ') || 'no body'})`];
+    }
+    if (mediaType !== 'application/json') {
+        return [];
+    }
+
+    const problems = checkValue(spec, content[mediaType].schema, body);
+    if (response['x-error-codes'] && body && !response['x-error-codes'].includes(body.code)) {
+        problems.push(`error code ${body.code} is not listed for status ${status}`);
+    }
+    return problems;
+}
+
+module.exports = {
+    toOpenApiPath,
+    listRoutes,
+    toJsonSchema,
+    buildOpenApiSpec,
+    checkValue,
+    checkResponse
+};
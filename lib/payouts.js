@@ -0,0 +1,349 @@
+const { logger: defaultLogger } = require('./logger');
+const { systemClock } = require('./clock');
+
+const DEFAULT_OPTIONS = {
+    pollIntervalMs: 2000,       // how often submitted transfers are checked
+    maxAttempts: 8,             // submissions before a payout is marked as failed
+    baseRetryDelayMs: 2000,     // backoff after a transient failure, doubled per attempt
+    maxRetryDelayMs: 60 * 1000
+};
+
+const PAYOUT_STATUSES = ['pending', 'confirmed', 'failed', 'cancelled'];
+const PAYOUT_KINDS = ['reward', 'refund', 'prize'];
+
+// Payout queue - every CARDS transfer owed by the treasury goes through here.
+// A record stays 'pending' until its signature is confirmed; expired
+// transactions are re-sent with a fresh blockhash and transient failures are
+// retried with backoff. The signature of a transfer is journaled before it is
+// sent, so a send that failed half way or a crash is followed by checking that
+// signature, and a new transaction is only built once its blockhash has expired.
+// Records are keyed by an idempotency key so the same
+// payout can never be queued twice. Operators can retry a failed payout or
+// cancel one that has not been paid; a transfer that is already in flight is
+// only cancelled once its blockhash has expired.
+//
+// Listeners are called with the record and what happened to it: queued,
+// signed, submitted, send-failed (the send may still land), retry-scheduled,
+// resent (blockhash expired), confirmed, failed, cancel-requested, cancelled or
+// retried.
+function createPayoutQueue({
+    paymentBackend, // sends the transfers, see lib/solana-payments.js
+    clock = systemClock,
+    now = clock.now,
+    logger = defaultLogger,
+    records = new Map(), // key -> payout record, pending records are picked up by the next tick
+    ...options
+}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const listeners = [];
+    let timer = null;
+    let ticking = false;
+    let processingKey = null; // record being submitted or checked by the current tick
+
+    function onStatusChange(listener) {
+        listeners.push(listener);
+    }
+
+    // Save the record and tell listeners about the change
+    function notify(record, event) {
+        record.updatedAt = now();
+        records.set(record.key, record);
+        for (const listener of listeners) {
+            try {
+                listener(record, event);
+            } catch (error) {
+                logger.error('payout.listener-failed', { payoutKey: record.key, event, error });
+            }
+        }
+    }
+
+    // Queue a payout. Returns the existing record if the key was already used.
+    function enqueue({ key, kind = 'reward', gameId, playerId, amount }) {
+        if (records.has(key)) {
+            logger.info('payout.duplicate', { payoutKey: key, gameId, playerId });
+            return records.get(key);
+        }
+
+        const record = {
+            key,
+            kind,
+            gameId,
+            playerId,
+            amount,
+            status: 'pending',
+            signature: null,
+            lastValidBlockHeight: null,
+            attempts: 0,
+            lastError: null,
+            sendFailed: false,
+            createdAt: now(),
+            updatedAt: now(),
+            submittedAt: null,
+            confirmedAt: null,
+            cancelRequested: false,
+            nextAttemptAt: now()
+        };
+        notify(record, 'queued');
+
+        // Process straight away instead of waiting for the next poll
+        setImmediate(tick);
+        return record;
+    }
+
+    function get(key) {
+        return records.get(key) || null;
+    }
+
+    function findByGameId(gameId, kind = 'reward') {
+        for (const record of records.values()) {
+            if (record.gameId === gameId && record.kind === kind) {
+                return record;
+            }
+        }
+        return null;
+    }
+
+    // Fields logged with every payout line
+    function describe(record) {
+        return {
+            payoutKey: record.key,
+            kind: record.kind,
+            gameId: record.gameId,
+            playerId: record.playerId,
+            amount: record.amount,
+            attempts: record.attempts
+        };
+    }
+
+    function fail(record, error) {
+        record.status = 'failed';
+        record.lastError = error.message;
+        record.nextAttemptAt = null;
+        logger.error('payout.failed', { ...describe(record), error: error.message });
+        notify(record, 'failed');
+    }
+
+    function markCancelled(record) {
+        record.status = 'cancelled';
+        record.signature = null;
+        record.nextAttemptAt = null;
+        logger.info('payout.cancelled', describe(record));
+        notify(record, 'cancelled');
+    }
+
+    function scheduleRetry(record, error) {
+        if (record.cancelRequested) {
+            record.lastError = error.message;
+            markCancelled(record);
+            return;
+        }
+        if (error.permanent || record.attempts >= config.maxAttempts) {
+            fail(record, error);
+            return;
+        }
+        const delay = Math.min(config.baseRetryDelayMs * Math.pow(2, record.attempts - 1), config.maxRetryDelayMs);
+        record.lastError = error.message;
+        record.nextAttemptAt = now() + delay;
+        logger.warn('payout.retry-scheduled', { ...describe(record), error: error.message, retryInMs: delay });
+        notify(record, 'retry-scheduled');
+    }
+
+    // Journal the signature of the signed transaction before it is sent
+    function recordSigned(record, { signature, lastValidBlockHeight }) {
+        record.signature = signature;
+        record.lastValidBlockHeight = lastValidBlockHeight;
+        record.sendFailed = false;
+        notify(record, 'signed');
+    }
+
+    async function submit(record, resent = false) {
+        record.attempts += 1;
+        try {
+            const { signature, lastValidBlockHeight } = await paymentBackend.sendTransfer({
+                receiverAddress: record.playerId,
+                amount: record.amount,
+                onSigned: signed => recordSigned(record, signed)
+            });
+
+            record.signature = signature;
+            record.lastValidBlockHeight = lastValidBlockHeight;
+            record.submittedAt = now();
+            record.lastError = null;
+            record.nextAttemptAt = now() + config.pollIntervalMs;
+            logger.info('payout.submitted', { ...describe(record), signature });
+            notify(record, resent ? 'resent' : 'submitted');
+        } catch (error) {
+            if (record.signature) {
+                // The transaction may have reached the cluster anyway (e.g. the RPC call
+                // timed out): check its signature until the blockhash expires
+                record.sendFailed = true;
+                record.lastError = error.message;
+                record.nextAttemptAt = now() + config.pollIntervalMs;
+                logger.warn('payout.send-failed', { ...describe(record), signature: record.signature, error: error.message });
+                notify(record, 'send-failed');
+                return;
+            }
+            scheduleRetry(record, error);
+        }
+    }
+
+    async function checkConfirmation(record) {
+        try {
+            const { status, error } = await paymentBackend.getTransferStatus(record.signature, record.lastValidBlockHeight);
+
+            if (status === 'failed') {
+                // Landed but failed (e.g. treasury balance too low), send a new transaction later
+                record.signature = null;
+                record.sendFailed = false;
+                scheduleRetry(record, new Error(error));
+                return;
+            }
+
+            if (status === 'confirmed') {
+                record.status = 'confirmed';
+                record.sendFailed = false;
+                record.confirmedAt = now();
+                record.nextAttemptAt = null;
+                logger.info('payout.confirmed', { ...describe(record), signature: record.signature });
+                notify(record, 'confirmed');
+                return;
+            }
+
+            // Not confirmed yet - an expired transaction can never land, so re-send it
+            if (status === 'expired') {
+                if (record.cancelRequested) {
+                    markCancelled(record);
+                    return;
+                }
+                logger.warn('payout.expired', { ...describe(record), signature: record.signature });
+                record.signature = null;
+                if (record.sendFailed) {
+                    // The failed send never landed: back off like any other failure
+                    record.sendFailed = false;
+                    scheduleRetry(record, new Error(record.lastError));
+                    return;
+                }
+                await submit(record, true);
+                return;
+            }
+
+            record.nextAttemptAt = now() + config.pollIntervalMs;
+            records.set(record.key, record);
+        } catch (error) {
+            // RPC trouble while checking - keep the signature and look again later
+            logger.warn('payout.check-failed', { ...describe(record), error: error.message });
+            record.nextAttemptAt = now() + config.pollIntervalMs;
+        }
+    }
+
+    // Work through every pending payout that is due, one at a time
+    async function tick() {
+        if (ticking) return;
+        ticking = true;
+        try {
+            for (const record of records.values()) {
+                if (record.status !== 'pending' || record.nextAttemptAt > now()) continue;
+                processingKey = record.key;
+                if (record.signature) {
+                    await checkConfirmation(record);
+                } else if (record.cancelRequested) {
+                    markCancelled(record);
+                } else {
+                    await submit(record);
+                }
+            }
+        } finally {
+            processingKey = null;
+            ticking = false;
+        }
+    }
+
+    // Send a failed or cancelled payout again, with a fresh attempt budget
+    function retry(key) {
+        const record = records.get(key);
+        if (!record) {
+            return { ok: false, code: 'PAYOUT_NOT_FOUND', error: 'Payout not found' };
+        }
+        if (record.status !== 'failed' && record.status !== 'cancelled') {
+            return { ok: false, code: 'PAYOUT_STATE_CONFLICT', error: `Only failed or cancelled payouts can be retried (status: ${record.status})` };
+        }
+
+        record.status = 'pending';
+        record.signature = null;
+        record.lastValidBlockHeight = null;
+        record.sendFailed = false;
+        record.attempts = 0;
+        record.cancelRequested = false;
+        record.nextAttemptAt = now();
+        notify(record, 'retried');
+        setImmediate(tick);
+        return { ok: true, record };
+    }
+
+    // Stop a payout that has not been paid. A submitted transaction can still
+    // land, so an in-flight payout is cancelled once its blockhash has expired
+    // (or it confirms after all).
+    function cancel(key) {
+        const record = records.get(key);
+        if (!record) {
+            return { ok: false, code: 'PAYOUT_NOT_FOUND', error: 'Payout not found' };
+        }
+        if (record.status === 'confirmed' || record.status === 'cancelled') {
+            return { ok: false, code: 'PAYOUT_STATE_CONFLICT', error: `Payout is already ${record.status}` };
+        }
+
+        if (record.status === 'pending' && (record.signature || processingKey === key)) {
+            record.cancelRequested = true;
+            notify(record, 'cancel-requested');
+        } else {
+            markCancelled(record);
+        }
+        return { ok: true, record };
+    }
+
+    function start() {
+        if (!timer) {
+            timer = clock.setInterval(tick, config.pollIntervalMs);
+        }
+    }
+
+    function stop() {
+        if (timer) {
+            clock.clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    // Remove finished payout records older than maxAgeMs
+    function cleanup(maxAgeMs) {
+        const cutoff = now() - maxAgeMs;
+        let removedCount = 0;
+        for (const [key, record] of records.entries()) {
+            if (record.status !== 'pending' && record.updatedAt < cutoff) {
+                records.delete(key);
+                removedCount++;
+            }
+        }
+        return removedCount;
+    }
+
+    return {
+        enqueue,
+        get,
+        findByGameId,
+        retry,
+        cancel,
+        onStatusChange,
+        tick,
+        start,
+        stop,
+        cleanup,
+        records
+    };
+}
+
+module.exports = {
+    PAYOUT_STATUSES,
+    PAYOUT_KINDS,
+    createPayoutQueue
+};
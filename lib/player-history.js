@@ -0,0 +1,158 @@
+const { COMBINATIONS } = require('./game-rules');
+
+// Per-player record of every finished game, kept after the session and the
+// completedGames entry are gone. Records are stored by gameId and indexed by
+// playerId in the order the games ended.
+function createPlayerHistory({ store = new Map(), now = Date.now } = {}) {
+    const byPlayer = new Map(); // playerId -> [gameId, ...] oldest first
+
+    function index(record) {
+        if (!byPlayer.has(record.playerId)) {
+            byPlayer.set(record.playerId, []);
+        }
+        const gameIds = byPlayer.get(record.playerId);
+        if (!gameIds.includes(record.gameId)) {
+            gameIds.push(record.gameId);
+        }
+    }
+
+    // Rebuild the player index, e.g. after the store was reloaded from the journal
+    function rebuildIndex() {
+        byPlayer.clear();
+        const records = Array.from(store.values()).sort((a, b) => a.endedAt - b.endedAt);
+        records.forEach(index);
+    }
+
+    // Record the end of a game. Called once per game; a later call (e.g. /check
+    // after the last draw already ended the game) keeps the first result.
+    function recordGame(gameState, result) {
+        if (store.has(gameState.gameId)) {
+            return store.get(gameState.gameId);
+        }
+
+        const record = {
+            gameId: gameState.gameId,
+            playerId: gameState.playerId,
+            variant: gameState.variant,
+            entryFee: gameState.entryFee,
+            entryFeeSignature: gameState.entryFeeSignature || null,
+            result, // 'win' | 'loss' | 'timeout' | 'abandoned' | 'cancelled' (ended by an operator)
+            cards: gameState.cards,
+            combination: gameState.currentCombination,
+            reward: result === 'win' ? gameState.currentReward : 0,
+            roundsPlayed: gameState.roundsPlayed,
+            maxRounds: gameState.maxRounds,
+            timedOut: result === 'timeout',
+            payoutStatus: null,
+            payoutSignature: null,
+            startedAt: gameState.timestamp,
+            endedAt: now()
+        };
+        store.set(record.gameId, record);
+        index(record);
+        return record;
+    }
+
+    function updatePayout(gameId, payout) {
+        const record = store.get(gameId);
+        if (!record) return;
+        record.payoutStatus = payout.status;
+        record.payoutSignature = payout.signature;
+        store.set(gameId, record);
+    }
+
+    function get(gameId) {
+        return store.get(gameId) || null;
+    }
+
+    // Newest games first
+    function getHistory(playerId, { limit = 20, offset = 0 } = {}) {
+        const gameIds = byPlayer.get(playerId) || [];
+        const games = [];
+        for (let i = gameIds.length - 1 - offset; i >= 0 && games.length < limit; i--) {
+            games.push(store.get(gameIds[i]));
+        }
+        return { total: gameIds.length, games };
+    }
+
+    function getStats(playerId) {
+        const gameIds = byPlayer.get(playerId) || [];
+        const stats = {
+            gamesPlayed: gameIds.length,
+            wins: 0,
+            losses: 0,
+            timeouts: 0,
+            abandoned: 0,
+            cancelled: 0,
+            winRate: 0,
+            totalFees: 0,
+            totalRewards: 0,
+            netCards: 0,
+            biggestWin: 0,
+            combinations: Object.fromEntries(COMBINATIONS.map(combination => [combination, 0])),
+            firstGameAt: null,
+            lastGameAt: null
+        };
+
+        for (const gameId of gameIds) {
+            const record = store.get(gameId);
+            if (record.result === 'win') stats.wins++;
+            else if (record.result === 'loss') stats.losses++;
+            else if (record.result === 'timeout') stats.timeouts++;
+            else if (record.result === 'cancelled') stats.cancelled++;
+            else stats.abandoned++;
+
+            // Only hands that were played out count as a hit combination
+            if (record.result === 'win' || record.result === 'loss') {
+                stats.combinations[record.combination] = (stats.combinations[record.combination] || 0) + 1;
+            }
+
+            stats.totalFees += record.entryFee || 0;
+            stats.totalRewards += record.reward;
+            stats.biggestWin = Math.max(stats.biggestWin, record.reward);
+            stats.firstGameAt = stats.firstGameAt === null ? record.endedAt : Math.min(stats.firstGameAt, record.endedAt);
+            stats.lastGameAt = Math.max(stats.lastGameAt || 0, record.endedAt);
+        }
+
+        stats.netCards = stats.totalRewards - stats.totalFees;
+        stats.winRate = stats.gamesPlayed > 0 ? stats.wins / stats.gamesPlayed : 0;
+        return stats;
+    }
+
+    // Remove games that ended more than maxAgeMs ago. History and stats then
+    // cover the games played since.
+    function cleanup(maxAgeMs) {
+        const cutoff = now() - maxAgeMs;
+        let removedCount = 0;
+        for (const [playerId, gameIds] of Array.from(byPlayer.entries())) {
+            // Oldest first, so the expired games are at the front
+            let expired = 0;
+            while (expired < gameIds.length && store.get(gameIds[expired]).endedAt < cutoff) {
+                store.delete(gameIds[expired]);
+                expired++;
+            }
+            if (expired === 0) continue;
+            removedCount += expired;
+            if (expired === gameIds.length) {
+                byPlayer.delete(playerId);
+            } else {
+                gameIds.splice(0, expired);
+            }
+        }
+        return removedCount;
+    }
+
+    return {
+        rebuildIndex,
+        recordGame,
+        updatePayout,
+        get,
+        getHistory,
+        getStats,
+        cleanup
+    };
+}
+
+module.exports = {
+    createPlayerHistory
+};
@@ -0,0 +1,162 @@
+const { logger: defaultLogger } = require('./logger');
+
+// Why an entry fee (or tournament buy-in) is refunded. All but `operator` and
+// `tournament-cancelled` are refunded by the server on its own, for games it
+// failed to honour.
+const REFUND_REASONS = {
+    'game-not-started': 'The fee was verified but the game was never created',
+    'server-downtime': 'The game ran out of time while the server was down',
+    'session-lost': 'The paid game was lost by the server',
+    'payout-failed': 'The reward could not be sent',
+    'tournament-cancelled': 'The tournament was cancelled by an operator, its buy-in is paid back',
+    operator: 'Refunded by an operator'
+};
+
+// Refund ledger - one entry per refunded entry fee, under an idempotency key
+// (`fee:<signature>`, or `game:<gameId>` when the signature is not known), so
+// the same fee is never refunded twice whichever rule or operator asks for it.
+// The CARDS are sent by the payout queue (kind 'refund'); entries follow the
+// status of their payout.
+function createRefundLedger({ store = new Map(), payoutQueue, now = Date.now, logger = defaultLogger }) {
+    const keysByGameId = new Map();
+    const keysByPayoutKey = new Map();
+    const listeners = [];
+
+    // listener(refund) is called for every new refund, before its payout is queued
+    function onRequest(listener) {
+        listeners.push(listener);
+    }
+
+    function index(refund) {
+        if (refund.gameId) {
+            keysByGameId.set(refund.gameId, refund.key);
+        }
+        keysByPayoutKey.set(refund.payoutKey, refund.key);
+    }
+
+    // Rebuild the indexes, e.g. after the store was reloaded from the journal
+    function rebuildIndex() {
+        keysByGameId.clear();
+        keysByPayoutKey.clear();
+        for (const refund of store.values()) {
+            index(refund);
+        }
+    }
+
+    function find({ entryFeeSignature, gameId }) {
+        if (entryFeeSignature && store.has(`fee:${entryFeeSignature}`)) {
+            return store.get(`fee:${entryFeeSignature}`);
+        }
+        if (gameId && keysByGameId.has(gameId)) {
+            return store.get(keysByGameId.get(gameId));
+        }
+        return null;
+    }
+
+    function syncPayout(refund, payout) {
+        refund.status = payout.status;
+        refund.signature = payout.signature;
+        refund.updatedAt = now();
+        store.set(refund.key, refund);
+    }
+
+    // Refund one entry fee. Returns { ok, refund, payout }, or { ok: false,
+    // duplicate: true, refund, payout } when the fee was already refunded.
+    function request({ gameId = null, playerId, amount, entryFeeSignature = null, reason, requestedBy = 'server' }) {
+        if (!REFUND_REASONS[reason]) {
+            throw new Error(`Unknown refund reason "${reason}"`);
+        }
+        if (!gameId && !entryFeeSignature) {
+            throw new Error('A refund needs a gameId or an entry fee signature');
+        }
+
+        const existing = find({ entryFeeSignature, gameId });
+        if (existing) {
+            return {
+                ok: false,
+                duplicate: true,
+                code: 'REFUND_ALREADY_REQUESTED',
+                error: 'Entry fee has already been refunded',
+                refund: existing,
+                payout: payoutQueue.get(existing.payoutKey)
+            };
+        }
+        if (!(amount > 0)) {
+            return { ok: false, code: 'NO_ENTRY_FEE', error: 'Game has no entry fee to refund' };
+        }
+
+        const refund = {
+            key: entryFeeSignature ? `fee:${entryFeeSignature}` : `game:${gameId}`,
+            gameId,
+            playerId,
+            amount,
+            entryFeeSignature,
+            reason,
+            requestedBy,
+            payoutKey: gameId ? `refund-${gameId}` : `refund-fee-${entryFeeSignature}`,
+            status: 'pending',
+            signature: null,
+            createdAt: now(),
+            updatedAt: now()
+        };
+        store.set(refund.key, refund);
+        index(refund);
+        logger.info('refund.requested', {
+            refundKey: refund.key,
+            gameId,
+            playerId,
+            amount,
+            reason,
+            requestedBy
+        });
+        for (const listener of listeners) {
+            try {
+                listener(refund);
+            } catch (error) {
+                logger.error('refund.listener-failed', { refundKey: refund.key, error });
+            }
+        }
+
+        // A payout under the same key (e.g. a refund queued before the ledger existed) is not sent again
+        const payout = payoutQueue.enqueue({ key: refund.payoutKey, kind: 'refund', gameId, playerId, amount });
+        syncPayout(refund, payout);
+        return { ok: true, refund, payout };
+    }
+
+    // Payout queue listener
+    function updatePayout(payout) {
+        if (payout.kind !== 'refund' || !keysByPayoutKey.has(payout.key)) return;
+        syncPayout(store.get(keysByPayoutKey.get(payout.key)), payout);
+    }
+
+    function findByGameId(gameId) {
+        return find({ gameId });
+    }
+
+    // Newest first
+    function list({ playerId, reason, status, limit = 50, offset = 0 } = {}) {
+        const refunds = Array.from(store.values())
+            .filter(refund => (!playerId || refund.playerId === playerId) &&
+                (!reason || refund.reason === reason) &&
+                (!status || refund.status === status))
+            .sort((a, b) => b.createdAt - a.createdAt);
+        return {
+            total: refunds.length,
+            refunds: refunds.slice(offset, offset + limit)
+        };
+    }
+
+    return {
+        rebuildIndex,
+        onRequest,
+        request,
+        updatePayout,
+        findByGameId,
+        list
+    };
+}
+
+module.exports = {
+    REFUND_REASONS,
+    createRefundLedger
+};
@@ -0,0 +1,264 @@
+const { Connection } = require('@solana/web3.js');
+const { logger: defaultLogger } = require('./logger');
+const { systemClock } = require('./clock');
+
+const CLUSTER_URLS = {
+    'mainnet-beta': 'https://api.mainnet-beta.solana.com',
+    testnet: 'https://api.testnet.solana.com',
+    devnet: 'https://api.devnet.solana.com',
+    localnet: 'http://127.0.0.1:8899'
+};
+
+// Connection methods the server uses. Every call goes to the active endpoint
+// and, if that endpoint fails, to the next healthy one.
+const METHODS = [
+    'getAccountInfo',
+    'getLatestBlockhash',
+    'sendRawTransaction',
+    'getParsedTransaction',
+    'getSignatureStatuses',
+    'getBlockHeight',
+    'getTokenAccountBalance',
+    'getSlot'
+];
+
+// JSON-RPC errors that say the node itself is in trouble (unhealthy or behind)
+const ENDPOINT_ERROR_CODES = [-32005, -32016];
+
+// Parse a comma separated endpoint list. Entries are cluster names
+// (mainnet-beta, testnet, devnet, localnet), URLs, or `name=url` for a custom
+// endpoint with a readable name.
+function parseRpcEndpoints(value) {
+    const endpoints = String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        if (CLUSTER_URLS[entry]) {
+            return { name: entry, url: CLUSTER_URLS[entry] };
+        }
+
+        const separator = entry.indexOf('=');
+        const hasName = separator > 0 && !/^https?:/i.test(entry.slice(0, separator));
+        const name = hasName ? entry.slice(0, separator).trim() : null;
+        const url = hasName ? entry.slice(separator + 1).trim() : entry;
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error(`Invalid RPC endpoint "${entry}", use a cluster name (${Object.keys(CLUSTER_URLS).join(', ')}) or an http(s) URL`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error(`Invalid RPC endpoint "${entry}", only http and https URLs are supported`);
+        }
+        return { name: name || parsed.host, url };
+    });
+
+    if (endpoints.length === 0) {
+        throw new Error('At least one RPC endpoint is required');
+    }
+    const names = endpoints.map(endpoint => endpoint.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+        throw new Error(`RPC endpoint name "${duplicate}" is used twice`);
+    }
+    return endpoints;
+}
+
+// URLs of private RPC providers often carry an API key, only the origin is reported
+function redactUrl(url) {
+    return new URL(url).origin;
+}
+
+// Errors caused by the request itself (a rejected transaction, bad params)
+// that every endpoint would return - these are not retried elsewhere
+function isRequestError(error) {
+    if (error.name === 'SendTransactionError') {
+        return !/unhealthy|behind/i.test(error.message);
+    }
+    if (typeof error.code === 'number') {
+        return !ENDPOINT_ERROR_CODES.includes(error.code);
+    }
+    return false;
+}
+
+// RPC endpoints in priority order with health checks and failover. The active
+// endpoint is the first healthy one; a call that fails on it is retried on the
+// next healthy endpoints (then on the unhealthy ones, as a last resort) and
+// the failed endpoint is marked unhealthy until a health check succeeds.
+// `connection` has the Connection methods the server uses. An endpoint whose
+// slot is more than maxSlotLag behind the others counts as unhealthy.
+function createRpcPool({
+    endpoints,
+    commitment = 'confirmed',
+    healthCheckIntervalMs = 15 * 1000,
+    requestTimeoutMs = 15 * 1000,
+    maxSlotLag = 150,
+    createConnection = null,
+    clock = systemClock,
+    now = clock.now,
+    logger = defaultLogger
+}) {
+    const listeners = [];
+    let timer = null;
+    let activeName = null;
+
+    // Abort requests that hang, so a stalled endpoint fails over too
+    const connect = createConnection || (url => new Connection(url, {
+        commitment,
+        disableRetryOnRateLimit: true,
+        fetchMiddleware: (info, init, next) => next(info, { ...init, signal: AbortSignal.timeout(requestTimeoutMs) })
+    }));
+
+    const states = endpoints.map(({ name, url }) => ({
+        name,
+        url,
+        connection: connect(url),
+        healthy: true, // until a check or a call says otherwise
+        slot: null,
+        latencyMs: null,
+        lastCheckedAt: null,
+        lastError: null,
+        lastFailureAt: null,
+        failures: 0
+    }));
+
+    // listener({ from, to, method, error }) when the active endpoint changes
+    function onFailover(listener) {
+        listeners.push(listener);
+    }
+
+    function getActive() {
+        return states.find(state => state.healthy) || states[0];
+    }
+
+    function updateActive(method, error) {
+        const active = getActive();
+        if (active.name === activeName) return;
+
+        const change = { from: activeName, to: active.name, method, error: error ? error.message : null };
+        if (activeName !== null) {
+            logger.warn('rpc.failover', change);
+        }
+        activeName = active.name;
+        for (const listener of listeners) {
+            try {
+                listener(change);
+            } catch (listenerError) {
+                logger.error('rpc.listener-failed', { error: listenerError });
+            }
+        }
+    }
+
+    function markFailure(state, error, method) {
+        state.healthy = false;
+        state.failures += 1;
+        state.lastError = error.message;
+        state.lastFailureAt = now();
+        logger.warn('rpc.endpoint-failed', { endpoint: state.name, method, error: error.message });
+    }
+
+    async function call(method, args) {
+        const order = [...states.filter(state => state.healthy), ...states.filter(state => !state.healthy)];
+        let lastError = null;
+
+        for (const state of order) {
+            try {
+                const result = await state.connection[method](...args);
+                if (!state.healthy) {
+                    state.healthy = true;
+                    state.lastError = null;
+                }
+                state.failures = 0;
+                updateActive(method, lastError);
+                return result;
+            } catch (error) {
+                if (isRequestError(error)) throw error;
+                lastError = error;
+                markFailure(state, error, method);
+            }
+        }
+
+        updateActive(method, lastError);
+        throw lastError;
+    }
+
+    const connection = {};
+    for (const method of METHODS) {
+        connection[method] = (...args) => call(method, args);
+    }
+
+    // Check every endpoint: it must answer getSlot in time and not lag behind the others
+    async function checkHealth() {
+        await Promise.all(states.map(async state => {
+            const startedAt = now();
+            try {
+                state.slot = await state.connection.getSlot(commitment);
+                state.latencyMs = now() - startedAt;
+                state.lastError = null;
+                state.healthy = true;
+            } catch (error) {
+                state.latencyMs = null;
+                state.lastError = error.message;
+                state.healthy = false;
+            }
+            state.lastCheckedAt = now();
+        }));
+
+        const bestSlot = Math.max(...states.map(state => (state.healthy ? state.slot : -Infinity)));
+        for (const state of states) {
+            if (state.healthy && bestSlot - state.slot > maxSlotLag) {
+                state.healthy = false;
+                state.lastError = `${bestSlot - state.slot} slots behind`;
+            }
+        }
+        updateActive('health-check', null);
+        return getStatus();
+    }
+
+    function getStatus() {
+        const active = getActive();
+        return {
+            active: active.name,
+            endpoints: states.map(state => ({
+                name: state.name,
+                url: redactUrl(state.url),
+                active: state === active,
+                healthy: state.healthy,
+                slot: state.slot,
+                latencyMs: state.latencyMs,
+                lastCheckedAt: state.lastCheckedAt,
+                lastError: state.lastError,
+                lastFailureAt: state.lastFailureAt,
+                consecutiveFailures: state.failures
+            }))
+        };
+    }
+
+    function start() {
+        if (!timer) {
+            activeName = getActive().name;
+            checkHealth();
+            timer = clock.setInterval(checkHealth, healthCheckIntervalMs);
+        }
+    }
+
+    function stop() {
+        if (timer) {
+            clock.clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    return {
+        connection,
+        checkHealth,
+        getStatus,
+        onFailover,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    CLUSTER_URLS,
+    parseRpcEndpoints,
+    createRpcPool
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const fairShuffle = require('./fair-shuffle');
+
+// Server seeds committed per wallet ahead of its next game. The hash of the
+// next seed is published (sign-in, every new game) before the player picks the
+// client seed for that game, so the server cannot choose a seed that suits the
+// player's client seed. take() hands out the committed seed and commits the
+// next one straight away.
+function createSeedCommitments({
+    store = new Map(), // playerId -> { serverSeed, serverSeedHash, createdAt }
+    randomBytes = crypto.randomBytes,
+    now = Date.now
+} = {}) {
+    function commit(playerId) {
+        const serverSeed = fairShuffle.generateServerSeed(randomBytes);
+        const entry = { serverSeed, serverSeedHash: fairShuffle.hashServerSeed(serverSeed), createdAt: now() };
+        store.set(playerId, entry);
+        return entry;
+    }
+
+    // Hash of the seed the wallet's next game will use
+    function getNextHash(playerId) {
+        return (store.get(playerId) || commit(playerId)).serverSeedHash;
+    }
+
+    // Seed for a game starting now
+    function take(playerId) {
+        const entry = store.get(playerId) || commit(playerId);
+        commit(playerId);
+        return entry;
+    }
+
+    // Forget commitments of wallets that have not played for maxAgeMs
+    function cleanup(maxAgeMs) {
+        const cutoff = now() - maxAgeMs;
+        let removedCount = 0;
+        for (const [playerId, entry] of store.entries()) {
+            if (entry.createdAt < cutoff) {
+                store.delete(playerId);
+                removedCount++;
+            }
+        }
+        return removedCount;
+    }
+
+    return {
+        getNextHash,
+        take,
+        cleanup
+    };
+}
+
+module.exports = {
+    createSeedCommitments
+};
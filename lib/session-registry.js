@@ -0,0 +1,112 @@
+// Registry of active game sessions. Sessions are stored by playerId (one game
+// per player) and indexed by gameId, so routes can find a game in O(1)
+// instead of scanning every session. All writes go through the registry to
+// keep both indexes in step.
+const { systemClock } = require('./clock');
+
+function createSessionRegistry({ store = new Map(), clock = systemClock } = {}) {
+    const byGameId = new Map(); // gameId -> session
+    const removalTimers = new Set();
+
+    // Rebuild the gameId index, e.g. after the store was reloaded from the journal
+    function rebuildIndex() {
+        byGameId.clear();
+        for (const session of store.values()) {
+            byGameId.set(session.gameId, session);
+        }
+    }
+
+    function get(playerId) {
+        return store.get(playerId) || null;
+    }
+
+    function getByGameId(gameId) {
+        return byGameId.get(gameId) || null;
+    }
+
+    function has(playerId) {
+        return store.has(playerId);
+    }
+
+    // Add a new session, replacing the player's previous game if there is one
+    function set(session) {
+        const previous = store.get(session.playerId);
+        if (previous && previous.gameId !== session.gameId) {
+            byGameId.delete(previous.gameId);
+        }
+        store.set(session.playerId, session);
+        byGameId.set(session.gameId, session);
+        return session;
+    }
+
+    // Save a mutated session, unless it was already replaced or removed
+    function update(session) {
+        if (store.get(session.playerId) !== session) return false;
+        store.set(session.playerId, session);
+        return true;
+    }
+
+    // Remove the player's current session
+    function remove(playerId) {
+        const session = store.get(playerId);
+        if (!session) return false;
+        byGameId.delete(session.gameId);
+        return store.delete(playerId);
+    }
+
+    // Remove a game, but only while it is still the player's current session
+    function removeGame(gameId) {
+        const session = byGameId.get(gameId);
+        if (!session) return false;
+        byGameId.delete(gameId);
+        if (store.get(session.playerId) === session) {
+            store.delete(session.playerId);
+        }
+        return true;
+    }
+
+    // Delayed removal used after a game ends, so clients can still read the final state.
+    // A new game started by the same player in the meantime is left alone.
+    function removeGameLater(gameId, delayMs) {
+        const timer = clock.setTimeout(() => {
+            removalTimers.delete(timer);
+            removeGame(gameId);
+        }, delayMs);
+        removalTimers.add(timer);
+        return timer;
+    }
+
+    // Cancel the delayed removals, e.g. when the server stops
+    function stop() {
+        for (const timer of removalTimers) {
+            clock.clearTimeout(timer);
+        }
+        removalTimers.clear();
+    }
+
+    return {
+        rebuildIndex,
+        get,
+        getByGameId,
+        has,
+        set,
+        update,
+        remove,
+        removeGame,
+        removeGameLater,
+        stop,
+        entries: () => store.entries(),
+        values: () => store.values(),
+        keys: () => store.keys(),
+        get size() {
+            return store.size;
+        },
+        get gameCount() {
+            return byGameId.size;
+        }
+    };
+}
+
+module.exports = {
+    createSessionRegistry
+};
@@ -0,0 +1,169 @@
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddress } = require('@solana/spl-token');
+const BN = require('bn.js');
+const bs58 = require('bs58');
+const { TOKEN_DECIMALS, buildCardsTransfer } = require('./token-transfer');
+
+// Payment backend for the CARDS Token-2022 token on Solana. A payment backend
+// is everything the game needs from the money side:
+//   verifyEntryFee({ signature, playerId, amount, maxAgeMs })  -> { valid, error }
+//   sendTransfer({ receiverAddress, amount, onSigned })  -> { signature, lastValidBlockHeight },
+//       throws on failure (error.permanent: retrying will not help). onSigned({ signature,
+//       lastValidBlockHeight }) is called once the transaction is signed, before it is sent
+//   getTransferStatus(signature, lastValidBlockHeight)  -> { status, error }, status is
+//       'confirmed', 'failed' (landed with an error), 'expired' (can never land) or 'pending'
+//   getTreasuryBalance()  -> CARDS
+//   describe()  -> public configuration
+// Amounts are in CARDS. lib/memory-ledger.js is the offline implementation.
+function createSolanaPayments({ connection, treasuryKeypair, treasuryAccount, tokenMint, programId, now = Date.now }) {
+    const mint = new PublicKey(tokenMint);
+    const treasury = new PublicKey(treasuryAccount);
+    let treasuryTokenAccount = null;
+
+    async function getTreasuryTokenAccount() {
+        if (!treasuryTokenAccount) {
+            treasuryTokenAccount = await getAssociatedTokenAddress(mint, treasury, false, programId);
+        }
+        return treasuryTokenAccount;
+    }
+
+    // Collect top-level and inner instructions, wallets may wrap the transfer in another program
+    function collectInstructions(tx) {
+        const instructions = [...(tx.transaction.message.instructions || [])];
+        for (const inner of (tx.meta && tx.meta.innerInstructions) || []) {
+            instructions.push(...inner.instructions);
+        }
+        return instructions;
+    }
+
+    function getTransferAmount(parsed) {
+        if (parsed.type === 'transferChecked') {
+            if (parsed.info.mint !== mint.toString()) return null;
+            return new BN(parsed.info.tokenAmount.amount);
+        }
+        if (parsed.type === 'transfer') {
+            return new BN(parsed.info.amount);
+        }
+        return null;
+    }
+
+    // Check that the parsed transaction contains a Token-2022 transfer of the
+    // entry fee from the player's token account to the treasury token account
+    async function inspectTransaction(tx, playerId, entryFee, maxAgeMs) {
+        const expectedAmount = new BN(entryFee).mul(new BN(10).pow(new BN(TOKEN_DECIMALS)));
+
+        if (!tx) {
+            return { valid: false, error: 'Entry fee transaction not found or not yet confirmed' };
+        }
+        if (tx.meta && tx.meta.err) {
+            return { valid: false, error: 'Entry fee transaction failed on-chain' };
+        }
+        // Without a block time the age cannot be checked, and a fee older than the
+        // used-signature cleanup could be replayed
+        if (!tx.blockTime) {
+            return { valid: false, error: 'Entry fee transaction not found or not yet confirmed' };
+        }
+        if (now() - tx.blockTime * 1000 > maxAgeMs) {
+            return { valid: false, error: 'Entry fee transaction is too old' };
+        }
+
+        const playerTokenAccount = await getAssociatedTokenAddress(mint, new PublicKey(playerId), false, programId);
+        const destination = (await getTreasuryTokenAccount()).toString();
+
+        const feeTransfer = collectInstructions(tx).find(ix => {
+            if (!ix.parsed || !ix.programId || !ix.programId.equals(programId)) return false;
+            const amount = getTransferAmount(ix.parsed);
+            return amount !== null &&
+                amount.eq(expectedAmount) &&
+                ix.parsed.info.source === playerTokenAccount.toString() &&
+                ix.parsed.info.destination === destination &&
+                ix.parsed.info.authority === playerId;
+        });
+
+        if (!feeTransfer) {
+            return { valid: false, error: `Transaction is not a transfer of ${entryFee} CARDS from the player to the treasury` };
+        }
+        return { valid: true };
+    }
+
+    async function verifyEntryFee({ signature, playerId, amount, maxAgeMs }) {
+        const tx = await connection.getParsedTransaction(signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        });
+        return inspectTransaction(tx, playerId, amount, maxAgeMs);
+    }
+
+    async function sendTransfer({ receiverAddress, amount, onSigned = () => {} }) {
+        const { transaction, lastValidBlockHeight } = await buildCardsTransfer({
+            connection,
+            treasuryKeypair,
+            tokenMint,
+            programId,
+            receiverAddress,
+            amount
+        });
+        // The first signature of a transaction is its id, known before it is sent
+        const signature = bs58.encode(transaction.signature);
+        await onSigned({ signature, lastValidBlockHeight });
+        await connection.sendRawTransaction(transaction.serialize(), {
+            skipPreflight: false,
+            maxRetries: 5
+        });
+        return { signature, lastValidBlockHeight };
+    }
+
+    async function getTransferStatus(signature, lastValidBlockHeight) {
+        const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+        const status = value[0];
+
+        if (status && status.err) {
+            return { status: 'failed', error: `Transaction failed on-chain: ${JSON.stringify(status.err)}` };
+        }
+        if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+            return { status: 'confirmed' };
+        }
+
+        // Once the blockhash has expired the transaction can never land
+        const blockHeight = await connection.getBlockHeight('confirmed');
+        return { status: blockHeight > lastValidBlockHeight ? 'expired' : 'pending' };
+    }
+
+    // CARDS balance of the treasury token account, which pays the rewards
+    async function getTreasuryBalance() {
+        const tokenAccount = await getAssociatedTokenAddress(mint, treasuryKeypair.publicKey, false, programId);
+        try {
+            const { value } = await connection.getTokenAccountBalance(tokenAccount, 'confirmed');
+            return Number(value.amount) / Math.pow(10, value.decimals);
+        } catch (error) {
+            // No token account yet - nothing to pay rewards from
+            if (/could not find account/i.test(error.message)) {
+                return 0;
+            }
+            throw error;
+        }
+    }
+
+    function describe() {
+        return {
+            backend: 'solana',
+            treasuryAccount,
+            treasuryPublicKey: treasuryKeypair.publicKey.toString(),
+            tokenMint,
+            tokenProgram: programId.toString()
+        };
+    }
+
+    return {
+        name: 'solana',
+        verifyEntryFee,
+        sendTransfer,
+        getTransferStatus,
+        getTreasuryBalance,
+        describe
+    };
+}
+
+module.exports = {
+    createSolanaPayments
+};
@@ -0,0 +1,66 @@
+const { PublicKey, Transaction } = require('@solana/web3.js');
+const { createTransferInstruction, getAssociatedTokenAddress } = require('@solana/spl-token');
+const { logger } = require('./logger');
+
+// CARDS token uses 9 decimals
+const TOKEN_DECIMALS = 9;
+
+// Errors that will not go away by retrying (bad address, missing token account)
+function permanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+// Build and sign a CARDS transfer from the treasury to the receiver's token account
+async function buildCardsTransfer({ connection, treasuryKeypair, tokenMint, programId, receiverAddress, amount }) {
+    // Validate receiver address is a valid Solana public key
+    let receiverPublicKey;
+    try {
+        receiverPublicKey = new PublicKey(receiverAddress);
+    } catch (error) {
+        logger.error('transfer.invalid-address', { receiverAddress });
+        throw permanentError('Invalid Solana address format');
+    }
+
+    const mint = new PublicKey(tokenMint);
+
+    // Get token accounts
+    const treasuryTokenAccount = await getAssociatedTokenAddress(mint, treasuryKeypair.publicKey, false, programId);
+    const receiverTokenAccount = await getAssociatedTokenAddress(mint, receiverPublicKey, false, programId);
+
+    // Check if receiver token account exists
+    const receiverTokenAccountInfo = await connection.getAccountInfo(receiverTokenAccount);
+    if (!receiverTokenAccountInfo) {
+        throw permanentError('Receiver needs to create a CARDS token account first');
+    }
+
+    // Calculate token amount with decimals
+    const tokenAmount = BigInt(Math.round(amount * Math.pow(10, TOKEN_DECIMALS)));
+
+    const transaction = new Transaction();
+    transaction.add(
+        createTransferInstruction(
+            treasuryTokenAccount,      // source
+            receiverTokenAccount,      // destination
+            treasuryKeypair.publicKey, // owner
+            tokenAmount,               // amount with decimals
+            [],                        // multisigners
+            programId                  // programId
+        )
+    );
+
+    // Fresh blockhash - the transaction is re-built when it expires
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = treasuryKeypair.publicKey;
+    transaction.sign(treasuryKeypair);
+
+    return { transaction, lastValidBlockHeight };
+}
+
+module.exports = {
+    TOKEN_DECIMALS,
+    buildCardsTransfer,
+    permanentError
+};
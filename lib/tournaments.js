@@ -0,0 +1,379 @@
+const { logger: defaultLogger } = require('./logger');
+const { systemClock } = require('./clock');
+
+const TOURNAMENT_STATUSES = ['upcoming', 'running', 'ended', 'settled', 'cancelled'];
+
+// Scheduled tournaments played with the normal game engine. Players join until
+// the window closes, paying `buyIn` CARDS when there is one, and may start
+// `gamesPerPlayer` tournament games while it runs. A game scores the paytable
+// value of its final combination (evaluateHandCombination); games that time
+// out or are abandoned score nothing. Players are ranked by their total score,
+// ties going to the player who reached it first.
+//
+// Once the window has closed and its games have ended, the pool - the buy-ins
+// plus the `guaranteedPool` added by the treasury - is split by `prizeSplit`,
+// percentages of the pool by rank. Only players who finished a game can win.
+// Amounts are whole CARDS; rounding and the shares of places nobody took stay
+// with the treasury.
+//
+// Tournaments are kept in `store` (id -> tournament) and players in
+// `entryStore` (`${tournamentId}|${playerId}` -> entry), so a finished game
+// only rewrites the player's own entry. Buy-ins and prizes are paid by the
+// server; settle() returns the prizes with the payout key of each, cancel()
+// the buy-ins to refund.
+function createTournaments({ store = new Map(), entryStore = new Map(), clock = systemClock, now = clock.now, logger = defaultLogger } = {}) {
+    const entries = new Map(); // tournamentId -> Map(playerId -> entry)
+
+    function index(entry) {
+        if (!entries.has(entry.tournamentId)) {
+            entries.set(entry.tournamentId, new Map());
+        }
+        entries.get(entry.tournamentId).set(entry.playerId, entry);
+    }
+
+    // Rebuild the in-memory index, e.g. after the stores were reloaded from the journal
+    function rebuildIndex() {
+        entries.clear();
+        for (const entry of entryStore.values()) {
+            index(entry);
+        }
+    }
+
+    function getEntries(tournamentId) {
+        return Array.from((entries.get(tournamentId) || new Map()).values());
+    }
+
+    function saveEntry(entry) {
+        entryStore.set(`${entry.tournamentId}|${entry.playerId}`, entry);
+        index(entry);
+    }
+
+    function getStatus(tournament, time = now()) {
+        if (tournament.cancelledAt) return 'cancelled';
+        if (tournament.settledAt !== null) return 'settled';
+        if (time < tournament.startsAt) return 'upcoming';
+        if (time < tournament.endsAt) return 'running';
+        return 'ended';
+    }
+
+    function getPool(tournament) {
+        return tournament.buyIn * getEntries(tournament.id).length + tournament.guaranteedPool;
+    }
+
+    // Tournament with its status, player count and current pool
+    function describe(tournament) {
+        return {
+            // Tournaments journaled before cancel() existed
+            cancelledAt: null,
+            cancelledBy: null,
+            cancelReason: null,
+            ...tournament,
+            status: getStatus(tournament),
+            players: getEntries(tournament.id).length,
+            pool: getPool(tournament)
+        };
+    }
+
+    function notFound() {
+        return { ok: false, status: 404, code: 'TOURNAMENT_NOT_FOUND', error: 'Tournament not found' };
+    }
+
+    function create({ id, name, variant, startsAt, endsAt, gamesPerPlayer, buyIn = 0, guaranteedPool = 0, prizeSplit, maxPlayers = null, createdBy }) {
+        if (endsAt <= startsAt) {
+            return { ok: false, status: 400, code: 'INVALID_TOURNAMENT', error: 'endsAt must be after startsAt' };
+        }
+        if (endsAt <= now()) {
+            return { ok: false, status: 400, code: 'INVALID_TOURNAMENT', error: 'endsAt must be in the future' };
+        }
+        if (prizeSplit.reduce((sum, share) => sum + share, 0) > 100) {
+            return { ok: false, status: 400, code: 'INVALID_TOURNAMENT', error: 'prizeSplit must not add up to more than 100 percent' };
+        }
+
+        const tournament = {
+            id,
+            name,
+            variant,
+            startsAt,
+            endsAt,
+            gamesPerPlayer,
+            buyIn,
+            guaranteedPool,
+            prizeSplit: [...prizeSplit],
+            maxPlayers,
+            createdBy,
+            createdAt: now(),
+            settledAt: null,
+            settledBy: null,
+            prizes: null,
+            cancelledAt: null,
+            cancelledBy: null,
+            cancelReason: null
+        };
+        store.set(id, tournament);
+        logger.info('tournament.created', { tournamentId: id, name, variant, startsAt, endsAt, createdBy });
+        return { ok: true, tournament: describe(tournament) };
+    }
+
+    function get(tournamentId) {
+        const tournament = store.get(tournamentId);
+        return tournament ? describe(tournament) : null;
+    }
+
+    // Tournaments, latest start first
+    function list({ status, limit = 50, offset = 0 } = {}) {
+        const tournaments = Array.from(store.values())
+            .filter(tournament => !status || getStatus(tournament) === status)
+            .sort((a, b) => b.startsAt - a.startsAt);
+        return {
+            total: tournaments.length,
+            tournaments: tournaments.slice(offset, offset + limit).map(describe)
+        };
+    }
+
+    // May the player join? Checked before the buy-in is verified, and again by join()
+    function checkJoin(tournamentId, playerId) {
+        const tournament = store.get(tournamentId);
+        if (!tournament) return notFound();
+
+        const status = getStatus(tournament);
+        if (status === 'cancelled') {
+            return { ok: false, status: 409, code: 'TOURNAMENT_CLOSED', error: 'Tournament has been cancelled' };
+        }
+        if (status === 'ended' || status === 'settled') {
+            return { ok: false, status: 409, code: 'TOURNAMENT_CLOSED', error: 'Tournament has ended' };
+        }
+        const players = entries.get(tournamentId) || new Map();
+        if (players.has(playerId)) {
+            return { ok: false, status: 409, code: 'TOURNAMENT_ALREADY_JOINED', error: 'Already registered for this tournament' };
+        }
+        if (tournament.maxPlayers !== null && players.size >= tournament.maxPlayers) {
+            return { ok: false, status: 409, code: 'TOURNAMENT_FULL', error: 'Tournament is full' };
+        }
+        return { ok: true, tournament };
+    }
+
+    function join(tournamentId, playerId, { buyInSignature = null } = {}) {
+        const check = checkJoin(tournamentId, playerId);
+        if (!check.ok) return check;
+
+        const entry = {
+            tournamentId,
+            playerId,
+            buyIn: check.tournament.buyIn,
+            buyInSignature,
+            joinedAt: now(),
+            score: 0,
+            scoredAt: null,
+            games: []
+        };
+        saveEntry(entry);
+        logger.info('tournament.joined', { tournamentId, playerId, buyIn: entry.buyIn });
+        return { ok: true, entry };
+    }
+
+    function getGamesLeft(tournament, entry) {
+        return Math.max(0, tournament.gamesPerPlayer - entry.games.length);
+    }
+
+    // May the player start a tournament game now?
+    function checkNewGame(tournamentId, playerId) {
+        const tournament = store.get(tournamentId);
+        if (!tournament) return notFound();
+
+        const entry = (entries.get(tournamentId) || new Map()).get(playerId);
+        if (!entry) {
+            return { ok: false, status: 403, code: 'TOURNAMENT_NOT_JOINED', error: 'Join the tournament before playing' };
+        }
+        if (getStatus(tournament) !== 'running') {
+            return { ok: false, status: 409, code: 'TOURNAMENT_NOT_RUNNING', error: 'Tournament games can only be started while the tournament runs' };
+        }
+        if (getGamesLeft(tournament, entry) === 0) {
+            return { ok: false, status: 409, code: 'TOURNAMENT_NO_GAMES_LEFT', error: `All ${tournament.gamesPerPlayer} tournament games have been played` };
+        }
+        return { ok: true, tournament };
+    }
+
+    // Count a game started for the tournament. Returns the games the player has left.
+    function recordGameStarted(tournamentId, playerId, gameId) {
+        const tournament = store.get(tournamentId);
+        const entry = entries.get(tournamentId).get(playerId);
+        entry.games.push({ gameId, startedAt: now(), endedAt: null, result: null, combination: null, score: 0 });
+        saveEntry(entry);
+        return getGamesLeft(tournament, entry);
+    }
+
+    // Score a finished tournament game, once
+    function recordGameEnd(tournamentId, playerId, gameId, { result, combination, score }) {
+        const entry = (entries.get(tournamentId) || new Map()).get(playerId);
+        const game = entry ? entry.games.find(candidate => candidate.gameId === gameId) : null;
+        if (!game || game.endedAt !== null) return;
+
+        Object.assign(game, { endedAt: now(), result, combination, score });
+        if (score > 0) {
+            entry.score += score;
+            entry.scoredAt = now();
+        }
+        saveEntry(entry);
+    }
+
+    // Players by total score, ties to whoever reached it first (then who joined first)
+    function rank(tournamentId) {
+        return getEntries(tournamentId)
+            .map(entry => ({
+                playerId: entry.playerId,
+                score: entry.score,
+                scoredAt: entry.scoredAt,
+                joinedAt: entry.joinedAt,
+                gamesPlayed: entry.games.filter(game => game.endedAt !== null).length,
+                gamesStarted: entry.games.length,
+                bestCombination: entry.games.reduce((best, game) => (!best || game.score > best.score ? game : best), null)
+            }))
+            .sort((a, b) => b.score - a.score ||
+                (a.scoredAt === null) - (b.scoredAt === null) ||
+                (a.scoredAt || 0) - (b.scoredAt || 0) ||
+                a.joinedAt - b.joinedAt);
+    }
+
+    // Prize of every paid place: the ranked players who finished a game
+    function splitPool(tournament, ranked) {
+        const pool = getPool(tournament);
+        return ranked
+            .filter(player => player.gamesPlayed > 0)
+            .slice(0, tournament.prizeSplit.length)
+            .map((player, index) => ({
+                playerId: player.playerId,
+                amount: Math.floor(pool * tournament.prizeSplit[index] / 100)
+            }))
+            .filter(prize => prize.amount > 0);
+    }
+
+    // Ranking with the prize each place wins (or would win if the tournament ended now)
+    function getStandings(tournamentId) {
+        const tournament = store.get(tournamentId);
+        if (!tournament) return null;
+
+        const ranked = rank(tournamentId);
+        const cancelled = getStatus(tournament) === 'cancelled';
+        const prizes = new Map((tournament.prizes || (cancelled ? [] : splitPool(tournament, ranked))).map(prize => [prize.playerId, prize.amount]));
+        return {
+            tournament: describe(tournament),
+            standings: ranked.map((player, index) => ({
+                rank: index + 1,
+                playerId: player.playerId,
+                score: player.score,
+                gamesPlayed: player.gamesPlayed,
+                gamesLeft: Math.max(0, tournament.gamesPerPlayer - player.gamesStarted),
+                bestCombination: player.bestCombination && player.bestCombination.score > 0 ? player.bestCombination.combination : null,
+                prize: prizes.get(player.playerId) || 0
+            }))
+        };
+    }
+
+    // Close the tournament and fix its prizes. `isGameRunning(gameId)` tells
+    // whether a game that has not been scored is still being played; games that
+    // are not (e.g. lost by the server) are scored 0.
+    function settle(tournamentId, { actor, isGameRunning }) {
+        const tournament = store.get(tournamentId);
+        if (!tournament) return notFound();
+
+        const status = getStatus(tournament);
+        if (status === 'settled') {
+            return { ok: false, status: 409, code: 'TOURNAMENT_ALREADY_SETTLED', error: 'Tournament has already been settled' };
+        }
+        if (status === 'cancelled') {
+            return { ok: false, status: 409, code: 'TOURNAMENT_CANCELLED', error: 'Tournament has been cancelled' };
+        }
+        if (status !== 'ended') {
+            return { ok: false, status: 409, code: 'TOURNAMENT_NOT_ENDED', error: 'Tournament has not ended yet' };
+        }
+
+        const unscored = [];
+        for (const entry of getEntries(tournamentId)) {
+            for (const game of entry.games) {
+                if (game.endedAt === null) unscored.push({ entry, game });
+            }
+        }
+        if (unscored.some(({ game }) => isGameRunning(game.gameId))) {
+            return { ok: false, status: 409, code: 'TOURNAMENT_GAMES_RUNNING', error: 'Tournament games are still being played' };
+        }
+        for (const { entry, game } of unscored) {
+            recordGameEnd(tournamentId, entry.playerId, game.gameId, { result: 'lost', combination: null, score: 0 });
+        }
+
+        const ranked = rank(tournamentId);
+        tournament.prizes = splitPool(tournament, ranked).map(prize => ({
+            ...prize,
+            rank: ranked.findIndex(player => player.playerId === prize.playerId) + 1,
+            payoutKey: `prize:${tournamentId}:${prize.playerId}`
+        }));
+        tournament.settledAt = now();
+        tournament.settledBy = actor;
+        store.set(tournamentId, tournament);
+
+        logger.info('tournament.settled', { tournamentId, actor, players: ranked.length, pool: getPool(tournament), prizes: tournament.prizes.length });
+        return { ok: true, tournament: describe(tournament) };
+    }
+
+    // Call off a tournament that has not been settled, at any point before or
+    // during its window. Nobody wins a prize; returns the paid entries, whose
+    // buy-ins the server refunds.
+    function cancel(tournamentId, { actor, reason = null }) {
+        const tournament = store.get(tournamentId);
+        if (!tournament) return notFound();
+
+        const status = getStatus(tournament);
+        if (status === 'settled') {
+            return { ok: false, status: 409, code: 'TOURNAMENT_ALREADY_SETTLED', error: 'Tournament has already been settled' };
+        }
+        if (status === 'cancelled') {
+            return { ok: false, status: 409, code: 'TOURNAMENT_CANCELLED', error: 'Tournament has already been cancelled' };
+        }
+
+        tournament.cancelledAt = now();
+        tournament.cancelledBy = actor;
+        tournament.cancelReason = reason;
+        store.set(tournamentId, tournament);
+
+        const buyIns = getEntries(tournamentId).filter(entry => entry.buyIn > 0 && entry.buyInSignature);
+        logger.info('tournament.cancelled', { tournamentId, actor, reason, players: getEntries(tournamentId).length, buyIns: buyIns.length });
+        return { ok: true, tournament: describe(tournament), buyIns };
+    }
+
+    // Tournaments whose window has closed but that are not settled yet
+    function listUnsettled() {
+        return Array.from(store.values()).filter(tournament => getStatus(tournament) === 'ended').map(tournament => tournament.id);
+    }
+
+    // CARDS the treasury will pay out for tournaments that are not settled yet
+    function getOwed() {
+        let owed = 0;
+        for (const tournament of store.values()) {
+            if (tournament.settledAt !== null || tournament.cancelledAt) continue;
+            const share = tournament.prizeSplit.reduce((sum, percent) => sum + percent, 0);
+            owed += Math.floor(getPool(tournament) * share / 100);
+        }
+        return owed;
+    }
+
+    return {
+        rebuildIndex,
+        create,
+        get,
+        list,
+        checkJoin,
+        join,
+        checkNewGame,
+        recordGameStarted,
+        recordGameEnd,
+        getStandings,
+        settle,
+        cancel,
+        listUnsettled,
+        getOwed
+    };
+}
+
+module.exports = {
+    TOURNAMENT_STATUSES,
+    createTournaments
+};
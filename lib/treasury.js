@@ -0,0 +1,121 @@
+const { logger: defaultLogger } = require('./logger');
+const { systemClock } = require('./clock');
+
+const DEFAULT_OPTIONS = {
+    refreshIntervalMs: 30 * 1000,     // how often the balance is read from the chain
+    maxBalanceAgeMs: 5 * 60 * 1000,   // older balances are not trusted for new games
+    lowBalanceThreshold: null         // CARDS, warn operators below this balance
+};
+
+// Treasury solvency - the CARDS balance of the treasury, read regularly from
+// the payment backend, against what the treasury still owes (`getOwed()`, in CARDS).
+// New games are only accepted while the balance minus what is owed covers the
+// largest reward the game could pay.
+function createTreasuryMonitor({ paymentBackend, getOwed, clock = systemClock, now = clock.now, logger = defaultLogger, ...options }) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const state = {
+        balance: null,      // CARDS
+        refreshedAt: null,
+        lastError: null,
+        lowBalance: false
+    };
+    let timer = null;
+    let refreshing = null;
+
+    function updateLowBalance() {
+        const low = config.lowBalanceThreshold !== null && state.balance < config.lowBalanceThreshold;
+        if (low && !state.lowBalance) {
+            logger.warn('treasury.low-balance', { balance: state.balance, threshold: config.lowBalanceThreshold });
+        } else if (!low && state.lowBalance) {
+            logger.info('treasury.balance-recovered', { balance: state.balance, threshold: config.lowBalanceThreshold });
+        }
+        state.lowBalance = low;
+    }
+
+    // Read the balance now. Concurrent calls share one request.
+    function refresh() {
+        if (!refreshing) {
+            refreshing = paymentBackend.getTreasuryBalance()
+                .then(balance => {
+                    state.balance = balance;
+                    state.refreshedAt = now();
+                    state.lastError = null;
+                    updateLowBalance();
+                })
+                .catch(error => {
+                    state.lastError = error.message;
+                    logger.error('treasury.refresh-failed', { error: error.message });
+                })
+                .finally(() => {
+                    refreshing = null;
+                });
+        }
+        return refreshing;
+    }
+
+    function isStale() {
+        return state.refreshedAt === null || now() - state.refreshedAt > config.maxBalanceAgeMs;
+    }
+
+    function getStatus() {
+        const owed = getOwed();
+        return {
+            balance: state.balance,
+            owed,
+            available: state.balance === null ? null : state.balance - owed,
+            refreshedAt: state.refreshedAt,
+            stale: isStale(),
+            lastError: state.lastError,
+            lowBalanceThreshold: config.lowBalanceThreshold,
+            lowBalance: state.lowBalance
+        };
+    }
+
+    // Can the treasury take on a game that may pay up to `maxReward` CARDS?
+    function checkCapacity(maxReward) {
+        if (isStale()) {
+            return {
+                ok: false,
+                code: 'TREASURY_BALANCE_UNAVAILABLE',
+                error: 'Treasury balance could not be checked, please try again later'
+            };
+        }
+
+        const { available } = getStatus();
+        if (available < maxReward) {
+            logger.warn('treasury.insufficient-funds', { available, maxReward });
+            return {
+                ok: false,
+                code: 'TREASURY_INSUFFICIENT_FUNDS',
+                error: 'The treasury cannot cover the rewards of a new game right now, please try again later'
+            };
+        }
+        return { ok: true };
+    }
+
+    function start() {
+        if (!timer) {
+            refresh();
+            timer = clock.setInterval(refresh, config.refreshIntervalMs);
+        }
+    }
+
+    function stop() {
+        if (timer) {
+            clock.clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    return {
+        refresh,
+        getStatus,
+        checkCapacity,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    createTreasuryMonitor
+};
@@ -0,0 +1,167 @@
+const { PublicKey } = require('@solana/web3.js');
+const { sendError } = require('./api-errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Game IDs are `<timestamp>-<random suffix>`
+const GAME_ID_PATTERN = /^[0-9]+-[0-9a-z]+$/;
+
+// Tournament IDs are `t-<random suffix>`
+const TOURNAMENT_ID_PATTERN = /^t-[0-9a-z]+$/;
+
+// Field specs shared by several routes
+const fields = {
+    gameId: { type: 'string', pattern: GAME_ID_PATTERN, maxLength: 64 },
+    tournamentId: { type: 'string', pattern: TOURNAMENT_ID_PATTERN, maxLength: 64 },
+    address: { type: 'address' },
+    limit: (max, defaultValue) => ({ type: 'integer', min: 1, max, default: defaultValue }),
+    offset: { type: 'integer', min: 0, default: 0 },
+    reason: { type: 'string', maxLength: 500 }
+};
+
+function isValidAddress(value) {
+    try {
+        new PublicKey(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function describeRange(spec) {
+    if (spec.min !== undefined && spec.max !== undefined) return ` from ${spec.min} to ${spec.max}`;
+    if (spec.min !== undefined) return ` of at least ${spec.min}`;
+    if (spec.max !== undefined) return ` of at most ${spec.max}`;
+    return '';
+}
+
+// Path and query values arrive as strings
+function coerce(value, spec) {
+    if (typeof value !== 'string') return value;
+    if ((spec.type === 'integer' || spec.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (spec.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+// Check one value against its spec. Returns an error message or null.
+function checkValue(value, spec, name) {
+    const allowed = typeof spec.enum === 'function' ? spec.enum() : spec.enum;
+
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${name} must be a string`;
+            if (value.length < (spec.minLength === undefined ? 1 : spec.minLength)) return `${name} must not be empty`;
+            if (spec.maxLength !== undefined && value.length > spec.maxLength) return `${name} must be at most ${spec.maxLength} characters`;
+            if (spec.pattern && !spec.pattern.test(value)) return `${name} has an invalid format`;
+            break;
+        case 'address':
+            if (typeof value !== 'string' || !isValidAddress(value)) return `${name} must be a valid Solana address`;
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) return `${name} must be an integer${describeRange(spec)}`;
+            if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                return `${name} must be an integer${describeRange(spec)}`;
+            }
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number${describeRange(spec)}`;
+            if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                return `${name} must be a number${describeRange(spec)}`;
+            }
+            if (spec.exclusiveMin !== undefined && value <= spec.exclusiveMin) return `${name} must be greater than ${spec.exclusiveMin}`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${name} must be true or false`;
+            break;
+        case 'array': {
+            if (!Array.isArray(value)) return `${name} must be an array`;
+            if (spec.minItems !== undefined && value.length < spec.minItems) return `${name} must have at least ${spec.minItems} items`;
+            if (spec.maxItems !== undefined && value.length > spec.maxItems) return `${name} must have at most ${spec.maxItems} items`;
+            for (let index = 0; index < value.length; index++) {
+                const error = checkValue(value[index], spec.items, `${name}[${index}]`);
+                if (error) return error;
+            }
+            if (spec.unique && new Set(value).size !== value.length) return `${name} must not contain duplicates`;
+            break;
+        }
+        default:
+            throw new Error(`Unknown field type "${spec.type}"`);
+    }
+
+    if (allowed && !allowed.includes(value)) {
+        return `${name} must be one of: ${allowed.join(', ')}`;
+    }
+    return null;
+}
+
+// Check req.params, req.query and req.body against a schema of field specs:
+//   { type: 'string' | 'address' | 'integer' | 'number' | 'boolean' | 'array',
+//     required, default, enum (list or function), min, max, exclusiveMin,
+//     minLength, maxLength, pattern, items, minItems, maxItems, unique }
+// Fields not in the schema are rejected, for every location the schema lists.
+// Query and path values are converted to numbers and booleans, and defaults
+// are filled in, so the route reads checked values from req. Failures answer
+// 400 INVALID_REQUEST with one detail per field.
+function validate(schema) {
+    function middleware(req, res, next) {
+        const details = [];
+
+        for (const location of LOCATIONS) {
+            const specs = schema[location];
+            if (!specs) continue;
+
+            const input = req[location];
+            if (location === 'body' && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+                details.push({ location, field: null, message: 'Request body must be a JSON object' });
+                continue;
+            }
+
+            for (const field of Object.keys(input || {})) {
+                if (!Object.prototype.hasOwnProperty.call(specs, field)) {
+                    details.push({ location, field, message: `Unknown field ${field}` });
+                }
+            }
+
+            for (const [field, spec] of Object.entries(specs)) {
+                let value = input[field];
+                if (value === undefined) {
+                    if (spec.required) {
+                        details.push({ location, field, message: `${field} is required` });
+                    } else if (spec.default !== undefined) {
+                        input[field] = spec.default;
+                    }
+                    continue;
+                }
+
+                if (location !== 'body') {
+                    value = coerce(value, spec);
+                }
+                const message = checkValue(value, spec, field);
+                if (message) {
+                    details.push({ location, field, message });
+                } else {
+                    input[field] = value;
+                }
+            }
+        }
+
+        if (details.length > 0) {
+            return sendError(res, 400, 'INVALID_REQUEST', details[0].message, { details });
+        }
+        next();
+    }
+
+    // Kept for the API description
+    middleware.schema = schema;
+    return middleware;
+}
+
+module.exports = {
+    GAME_ID_PATTERN,
+    fields,
+    validate
+};
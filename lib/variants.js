@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { HAND_SIZE, COMBINATIONS } = require('./game-rules');
+
+const DEFAULT_VARIANTS_FILE = path.join(__dirname, '..', 'config', 'variants.json');
+
+// Hold advisor availability: every game, practice games only, or never
+const ADVISOR_MODES = ['enabled', 'practice', 'disabled'];
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function isNonEmptyStringList(value) {
+    return Array.isArray(value) &&
+        value.length > 0 &&
+        value.every(item => typeof item === 'string' && item.length > 0) &&
+        new Set(value).size === value.length;
+}
+
+// Check one variant definition and return it in normalized form
+function validateVariant(id, definition) {
+    const errors = [];
+    const variant = { id, ...definition };
+
+    if (!isNonEmptyStringList(variant.suits)) errors.push('suits must be a list of unique names');
+    if (!isNonEmptyStringList(variant.ranks)) errors.push('ranks must be a list of unique names');
+    if (variant.copies === undefined) variant.copies = 1;
+    if (!isPositiveInteger(variant.copies)) errors.push('copies must be a positive integer');
+    if (!isPositiveInteger(variant.maxRounds)) errors.push('maxRounds must be a positive integer');
+    if (!Number.isInteger(variant.holdLimit) || variant.holdLimit < 0 || variant.holdLimit >= HAND_SIZE) {
+        errors.push(`holdLimit must be an integer from 0 to ${HAND_SIZE - 1}`);
+    }
+    if (!isPositiveInteger(variant.timeoutMs)) errors.push('timeoutMs must be a positive integer');
+    if (typeof variant.entryFee !== 'number' || !(variant.entryFee >= 0)) errors.push('entryFee must be a number >= 0');
+    if (variant.enabled === undefined) variant.enabled = true;
+    if (typeof variant.enabled !== 'boolean') errors.push('enabled must be true or false');
+    if (variant.advisor === undefined) variant.advisor = 'enabled';
+    if (!ADVISOR_MODES.includes(variant.advisor)) errors.push(`advisor must be one of ${ADVISOR_MODES.join(', ')}`);
+
+    if (!variant.paytable || typeof variant.paytable !== 'object') {
+        errors.push('paytable is required');
+    } else {
+        for (const [combination, reward] of Object.entries(variant.paytable)) {
+            if (!COMBINATIONS.includes(combination)) errors.push(`paytable has unknown combination "${combination}"`);
+            if (typeof reward !== 'number' || !(reward >= 0)) errors.push(`paytable reward for "${combination}" must be a number >= 0`);
+        }
+        // Combinations missing from the paytable pay nothing
+        variant.paytable = Object.fromEntries(COMBINATIONS.map(combination => [combination, variant.paytable[combination] || 0]));
+    }
+
+    if (errors.length === 0 && variant.suits.length * variant.ranks.length * variant.copies < HAND_SIZE) {
+        errors.push(`deck must hold at least ${HAND_SIZE} cards`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid game variant "${id}": ${errors.join(', ')}`);
+    }
+
+    variant.name = variant.name || id;
+    return Object.freeze(variant);
+}
+
+// Load and validate the variants config file
+function loadVariants(file = process.env.VARIANTS_FILE || DEFAULT_VARIANTS_FILE) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return createVariantCatalog(config);
+}
+
+function createVariantCatalog(config) {
+    const variants = new Map();
+    for (const [id, definition] of Object.entries(config.variants || {})) {
+        variants.set(id, validateVariant(id, definition));
+    }
+
+    if (variants.size === 0) {
+        throw new Error('At least one game variant must be configured');
+    }
+
+    // Disabled variants stay configured (e.g. to tune their paytable with
+    // `npm run rtp`) but cannot be played
+    const playable = new Map(Array.from(variants).filter(([, variant]) => variant.enabled));
+    if (playable.size === 0) {
+        throw new Error('At least one game variant must be enabled');
+    }
+
+    const defaultVariant = config.defaultVariant || playable.keys().next().value;
+    if (!playable.has(defaultVariant)) {
+        throw new Error(`Default game variant "${defaultVariant}" is not configured or not enabled`);
+    }
+
+    return {
+        defaultVariant,
+        has: id => playable.has(id),
+        // Unknown, disabled or missing ids fall back to the default variant
+        get: id => playable.get(id) || playable.get(defaultVariant),
+        list: ({ includeDisabled = false } = {}) => Array.from((includeDisabled ? variants : playable).values()),
+        // Any configured variant, enabled or not
+        lookup: id => variants.get(id) || null
+    };
+}
+
+// The part of a variant needed to rebuild its deck
+function getDeckSpec(variant) {
+    return {
+        suits: variant.suits,
+        ranks: variant.ranks,
+        copies: variant.copies
+    };
+}
+
+module.exports = {
+    ADVISOR_MODES,
+    loadVariants,
+    createVariantCatalog,
+    getDeckSpec
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { sendError } = require('./api-errors');
+
+const DEFAULT_OPTIONS = {
+    nonceTtlMs: 5 * 60 * 1000,    // time to sign the nonce
+    maxPendingNonces: 5,          // unsigned nonces kept per wallet, the oldest is dropped first
+    sessionTtlMs: 30 * 60 * 1000  // session token lifetime
+};
+
+// Sign-in with Solana: the server issues a nonce, the wallet signs the
+// sign-in message with ed25519 and gets back a short-lived session token
+// bound to its address.
+function createWalletAuth({ now = Date.now, randomBytes = crypto.randomBytes, ...options } = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const nonces = new Map();   // playerId -> [{ nonce, message, expiresAt }], oldest first
+    const sessions = new Map(); // token -> { playerId, expiresAt }
+
+    function buildMessage(playerId, nonce, issuedAt) {
+        return [
+            'Sign in to The Lucky Triple',
+            `Wallet: ${playerId}`,
+            `Nonce: ${nonce}`,
+            `Issued At: ${new Date(issuedAt).toISOString()}`
+        ].join('\n');
+    }
+
+    function getPendingNonces(playerId) {
+        return (nonces.get(playerId) || []).filter(entry => entry.expiresAt >= now());
+    }
+
+    // Issue a new nonce. Earlier unused ones stay valid (up to maxPendingNonces), so
+    // nonces requested for someone else's wallet cannot keep it from signing in.
+    function issueNonce(playerId) {
+        const nonce = randomBytes(16).toString('hex');
+        const issuedAt = now();
+        const entry = {
+            nonce,
+            message: buildMessage(playerId, nonce, issuedAt),
+            expiresAt: issuedAt + config.nonceTtlMs
+        };
+        const pending = [...getPendingNonces(playerId), entry].slice(-config.maxPendingNonces);
+        nonces.set(playerId, pending);
+        return entry;
+    }
+
+    function verifyEd25519(playerId, message, signature) {
+        let signatureBytes;
+        try {
+            signatureBytes = bs58.decode(signature);
+        } catch (error) {
+            return false;
+        }
+        if (signatureBytes.length !== 64) return false;
+
+        const publicKey = crypto.createPublicKey({
+            key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(new PublicKey(playerId).toBytes()).toString('base64url') },
+            format: 'jwk'
+        });
+        return crypto.verify(null, Buffer.from(message, 'utf8'), publicKey, signatureBytes);
+    }
+
+    // Check the signature against the wallet's pending nonces and open a session.
+    // A nonce is single-use.
+    function verifySignature(playerId, signature) {
+        const pending = getPendingNonces(playerId);
+        if (pending.length === 0) {
+            nonces.delete(playerId);
+            return { valid: false, code: 'NONCE_EXPIRED', error: 'Sign-in nonce not found or expired, request a new one' };
+        }
+        const entry = typeof signature === 'string'
+            ? pending.find(candidate => verifyEd25519(playerId, candidate.message, signature))
+            : null;
+        if (!entry) {
+            nonces.set(playerId, pending);
+            return { valid: false, code: 'INVALID_WALLET_SIGNATURE', error: 'Invalid wallet signature' };
+        }
+
+        const remaining = pending.filter(candidate => candidate !== entry);
+        if (remaining.length > 0) {
+            nonces.set(playerId, remaining);
+        } else {
+            nonces.delete(playerId);
+        }
+        const token = randomBytes(32).toString('hex');
+        const expiresAt = now() + config.sessionTtlMs;
+        sessions.set(token, { playerId, expiresAt });
+        return { valid: true, token, expiresAt };
+    }
+
+    function getSession(token) {
+        const session = sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt < now()) {
+            sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    function getBearerToken(req) {
+        const header = req.get('authorization') || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        return match ? match[1] : null;
+    }
+
+    function authenticate(req, res, next, token) {
+        const session = token ? getSession(token) : null;
+
+        if (!session) {
+            return sendError(res, 401, 'AUTH_REQUIRED', 'Wallet session required. Sign in with your wallet first.');
+        }
+
+        req.walletAddress = session.playerId;
+        next();
+    }
+
+    // Express middleware - requires `Authorization: Bearer <token>` and sets req.walletAddress
+    function requireSession(req, res, next) {
+        authenticate(req, res, next, getBearerToken(req));
+    }
+
+    // Same as requireSession, but also accepts `?token=` because EventSource cannot send headers
+    function requireStreamSession(req, res, next) {
+        const token = getBearerToken(req) || (typeof req.query.token === 'string' ? req.query.token : null);
+        authenticate(req, res, next, token);
+    }
+
+    // Remove expired nonces and sessions
+    function cleanup() {
+        const currentTime = now();
+        let removedCount = 0;
+        for (const [playerId, entries] of nonces.entries()) {
+            const pending = entries.filter(entry => entry.expiresAt >= currentTime);
+            removedCount += entries.length - pending.length;
+            if (pending.length > 0) {
+                nonces.set(playerId, pending);
+            } else {
+                nonces.delete(playerId);
+            }
+        }
+        for (const [token, session] of sessions.entries()) {
+            if (session.expiresAt < currentTime) {
+                sessions.delete(token);
+                removedCount++;
+            }
+        }
+        return removedCount;
+    }
+
+    return {
+        issueNonce,
+        verifySignature,
+        getSession,
+        getBearerToken,
+        requireSession,
+        requireStreamSession,
+        cleanup
+    };
+}
+
+module.exports = {
+    createWalletAuth
+};
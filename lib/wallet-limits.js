@@ -0,0 +1,234 @@
+const { logger: defaultLogger } = require('./logger');
+const { systemClock } = require('./clock');
+const { sendError } = require('./api-errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC day of a timestamp, e.g. '2024-05-01'
+function getDay(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Anti-abuse rules per wallet, on top of the per-IP rate limiters:
+//   - a deny list: wallets from the config (`deniedWallets`) and wallets denied
+//     by an operator (kept in `denyStore`); only the latter can be lifted
+//   - daily caps (UTC days) on paid games and on CARDS won, counted in
+//     `usageStore` under `${day}|${playerId}`; null turns a cap off
+//   - a cooldown after repeated resets: `resetCooldown.after` resets within
+//     `resetCooldown.windowMs` block /reset for `resetCooldown.cooldownMs`;
+//     recent resets and cooldowns are kept in `resetStore`, so a restart keeps them
+// Checks return { ok: true } or { ok: false, status, code, error, retryAfter }.
+// A paid game allowed by checkNewGame is counted straight away, so concurrent
+// requests cannot all pass the daily cap; releaseGame() gives the slot back
+// when the game is not created after all.
+function createWalletLimits({
+    usageStore = new Map(),
+    denyStore = new Map(),
+    resetStore = new Map(), // playerId -> { times, cooldownUntil }
+    deniedWallets = [],
+    dailyGameCap = null,
+    dailyWinningsCap = null,
+    resetCooldown = {},
+    clock = systemClock,
+    now = clock.now,
+    logger = defaultLogger,
+    onRejected = () => {}
+} = {}) {
+    const configuredDenials = new Set(deniedWallets);
+    const cooldown = {
+        after: 5,
+        windowMs: 60 * 1000,
+        cooldownMs: 2 * 60 * 1000,
+        ...resetCooldown
+    };
+
+    function getDenial(playerId) {
+        if (configuredDenials.has(playerId)) {
+            return { playerId, source: 'config', reason: null, deniedBy: 'config', deniedAt: null };
+        }
+        const entry = denyStore.get(playerId);
+        return entry ? { ...entry, source: 'admin' } : null;
+    }
+
+    function listDenied() {
+        const entries = Array.from(configuredDenials, playerId => getDenial(playerId));
+        for (const playerId of denyStore.keys()) {
+            if (!configuredDenials.has(playerId)) entries.push(getDenial(playerId));
+        }
+        return entries;
+    }
+
+    // Deny a wallet; denying it again updates the reason
+    function deny(playerId, { reason = null, actor }) {
+        if (configuredDenials.has(playerId)) {
+            return { ok: false, code: 'WALLET_DENIED_BY_CONFIG', error: 'Wallet is denied by the server configuration' };
+        }
+        denyStore.set(playerId, { playerId, reason, deniedBy: actor, deniedAt: now() });
+        logger.warn('wallet.denied', { playerId, actor, reason });
+        return { ok: true, entry: getDenial(playerId) };
+    }
+
+    function allow(playerId, { actor }) {
+        if (configuredDenials.has(playerId)) {
+            return { ok: false, code: 'WALLET_DENIED_BY_CONFIG', error: 'Wallet is denied by the server configuration' };
+        }
+        if (!denyStore.has(playerId)) {
+            return { ok: false, code: 'WALLET_NOT_DENIED', error: 'Wallet is not on the deny list' };
+        }
+        denyStore.delete(playerId);
+        logger.info('wallet.allowed', { playerId, actor });
+        return { ok: true };
+    }
+
+    function getDailyUsage(playerId, time = now()) {
+        const day = getDay(time);
+        return usageStore.get(`${day}|${playerId}`) || { day, playerId, games: 0, cardsWon: 0 };
+    }
+
+    function updateDailyUsage(playerId, change) {
+        const usage = getDailyUsage(playerId);
+        const updated = { ...usage, ...change(usage) };
+        usageStore.set(`${updated.day}|${playerId}`, updated);
+        return updated;
+    }
+
+    function getResetState(playerId) {
+        const state = resetStore.get(playerId) || { times: [], cooldownUntil: 0 };
+        return { ...state, times: state.times.filter(time => time > now() - cooldown.windowMs) };
+    }
+
+    function secondsUntil(time) {
+        return Math.max(1, Math.ceil((time - now()) / 1000));
+    }
+
+    function reject(playerId, rule, status, code, error, retryAt) {
+        onRejected(rule);
+        logger.info('wallet.limit-reached', { playerId, rule });
+        return { ok: false, status, code, error, retryAfter: retryAt ? secondsUntil(retryAt) : undefined };
+    }
+
+    // May the wallet start a game now (by /start, or by /reset when `reset`)?
+    // Practice games only count towards the reset cooldown. An allowed paid game
+    // reserves its daily slot: { ok: true, reservation: { playerId, day } }.
+    function checkNewGame(playerId, { practice = false, reset = false } = {}) {
+        if (getDenial(playerId)) {
+            return reject(playerId, 'deny-list', 403, 'WALLET_DENIED', 'This wallet is not allowed to play');
+        }
+
+        if (reset) {
+            const { cooldownUntil } = getResetState(playerId);
+            if (cooldownUntil > now()) {
+                return reject(playerId, 'reset-cooldown', 429, 'RESET_COOLDOWN', 'Too many resets, please wait before resetting again', cooldownUntil);
+            }
+        }
+
+        if (practice) return { ok: true, reservation: null };
+
+        const usage = getDailyUsage(playerId);
+        const nextDay = Date.parse(usage.day) + DAY_MS;
+        if (dailyGameCap !== null && usage.games >= dailyGameCap) {
+            return reject(playerId, 'daily-games', 429, 'DAILY_GAME_LIMIT_REACHED', `Daily limit of ${dailyGameCap} paid games reached`, nextDay);
+        }
+        if (dailyWinningsCap !== null && usage.cardsWon >= dailyWinningsCap) {
+            return reject(playerId, 'daily-winnings', 429, 'DAILY_WINNINGS_LIMIT_REACHED', `Daily limit of ${dailyWinningsCap} CARDS won reached`, nextDay);
+        }
+
+        updateDailyUsage(playerId, current => ({ games: current.games + 1 }));
+        return { ok: true, reservation: { playerId, day: usage.day } };
+    }
+
+    // Give back the daily slot of a paid game that was not created (fee refused,
+    // treasury short, ...)
+    function releaseGame(reservation) {
+        if (!reservation) return;
+        const key = `${reservation.day}|${reservation.playerId}`;
+        const usage = usageStore.get(key);
+        if (usage && usage.games > 0) {
+            usageStore.set(key, { ...usage, games: usage.games - 1 });
+        }
+    }
+
+    // Count a reset towards the cooldown once its game is created. Paid games
+    // were already counted by checkNewGame.
+    function recordReset(playerId) {
+        const state = getResetState(playerId);
+        state.times.push(now());
+        if (state.times.length >= cooldown.after) {
+            state.cooldownUntil = now() + cooldown.cooldownMs;
+            state.times = [];
+            logger.warn('wallet.reset-cooldown', { playerId, until: state.cooldownUntil });
+        }
+        resetStore.set(playerId, state);
+    }
+
+    // Count the reward of a won game on the day it ended
+    function recordWinnings(playerId, amount) {
+        if (amount <= 0) return;
+        updateDailyUsage(playerId, usage => ({ cardsWon: usage.cardsWon + amount }));
+    }
+
+    // Today's usage and the rules that apply to a wallet
+    function getStatus(playerId) {
+        const usage = getDailyUsage(playerId);
+        const { cooldownUntil } = getResetState(playerId);
+        return {
+            playerId,
+            denied: getDenial(playerId),
+            day: usage.day,
+            games: usage.games,
+            cardsWon: usage.cardsWon,
+            dailyGameCap,
+            dailyWinningsCap,
+            resetCooldownUntil: cooldownUntil > now() ? cooldownUntil : null
+        };
+    }
+
+    // Express middleware for routes behind requireWalletSession
+    function requireAllowedWallet(req, res, next) {
+        if (getDenial(req.walletAddress)) {
+            onRejected('deny-list');
+            return sendError(res, 403, 'WALLET_DENIED', 'This wallet is not allowed to play');
+        }
+        next();
+    }
+
+    // Drop usage of past days and reset counts outside the window
+    function prune() {
+        const today = getDay(now());
+        for (const [key, usage] of usageStore) {
+            if (usage.day < today) usageStore.delete(key);
+        }
+        for (const playerId of Array.from(resetStore.keys())) {
+            const current = getResetState(playerId);
+            if (current.times.length === 0 && current.cooldownUntil <= now()) resetStore.delete(playerId);
+        }
+    }
+
+    function getConfig() {
+        return {
+            deniedWallets: configuredDenials.size,
+            dailyGameCap,
+            dailyWinningsCap,
+            resetCooldown: { ...cooldown }
+        };
+    }
+
+    return {
+        getDenial,
+        listDenied,
+        deny,
+        allow,
+        checkNewGame,
+        releaseGame,
+        recordReset,
+        recordWinnings,
+        getStatus,
+        requireAllowedWallet,
+        prune,
+        getConfig
+    };
+}
+
+module.exports = {
+    createWalletLimits
+};
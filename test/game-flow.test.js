@@ -0,0 +1,179 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { createLuckyTripleServer } = require('../theluckytriple-server');
+const { createManualClock } = require('../lib/clock');
+const { createSeededRandomBytes } = require('../lib/fair-shuffle');
+
+const START_TIME = Date.parse('2024-05-01T12:00:00Z');
+
+// DER prefix of an ed25519 private key in PKCS#8, followed by the 32 byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+function signMessage(keypair, message) {
+    const key = crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(keypair.secretKey.slice(0, 32))]),
+        format: 'der',
+        type: 'pkcs8'
+    });
+    return bs58.encode(crypto.sign(null, Buffer.from(message, 'utf8'), key));
+}
+
+function describeCards(cards) {
+    return cards.map(card => `${card.rank}${card.suit[0]}`);
+}
+
+function createDataDir(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lucky-triple-test-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    return dataDir;
+}
+
+// Server with the memory ledger, a manual clock and seeded random bytes:
+// the same wallet gets the same games on every run
+async function startServer(t, { dataDir = createDataDir(t), clock = createManualClock(START_TIME), seed = 'game-flow' } = {}) {
+    const server = createLuckyTripleServer({
+        clock,
+        randomBytes: createSeededRandomBytes(seed),
+        config: {
+            port: 0,
+            host: '127.0.0.1',
+            environment: 'development',
+            dataDir,
+            paymentBackend: 'memory',
+            // Nothing listens here, the memory ledger does not need the RPC pool
+            rpcUrls: 'test=http://127.0.0.1:9',
+            rpcTimeoutMs: 500,
+            adminApiKey: 'test'
+        }
+    });
+    const { port } = await server.start();
+    let running = true;
+    async function stop() {
+        if (!running) return;
+        running = false;
+        await server.stop();
+    }
+    t.after(stop);
+
+    async function post(route, body, token = null) {
+        const response = await fetch(`http://127.0.0.1:${port}/lucky-triple${route}`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                ...(token ? { authorization: `Bearer ${token}` } : {})
+            },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function get(route) {
+        const response = await fetch(`http://127.0.0.1:${port}/lucky-triple${route}`);
+        return { status: response.status, body: await response.json() };
+    }
+
+    return { clock, dataDir, post, get, stop };
+}
+
+test('start, hold, draw and check deal the same game on every run', async t => {
+    const { clock, post, get } = await startServer(t);
+    const keypair = Keypair.fromSeed(Buffer.alloc(32, 7));
+    const playerId = keypair.publicKey.toBase58();
+
+    const nonce = await post('/auth/nonce', { playerId });
+    assert.strictEqual(nonce.body.nonce, 'c6f2a52f94240689820cf111d03631fb');
+    const session = await post('/auth/verify', { playerId, signature: signMessage(keypair, nonce.body.message) });
+    assert.strictEqual(session.status, 200);
+    const token = session.body.token;
+
+    await post('/dev/ledger/airdrop', { address: playerId, amount: 10 });
+    const fee = await post('/dev/ledger/transfer', { amount: 3 }, token);
+
+    const started = await post('/start', { playerId, entryFeeSignature: fee.body.signature }, token);
+    assert.strictEqual(started.status, 200);
+    assert.strictEqual(started.body.gameId, '1714564800000-530da18585');
+    assert.strictEqual(started.body.serverSeedHash, session.body.nextServerSeedHash);
+    const { gameId } = started.body;
+
+    await clock.advance(1000);
+    const first = await post('/draw', { gameId }, token);
+    assert.strictEqual(first.status, 200);
+    assert.deepStrictEqual(describeCards(first.body.cards), ['2s', '5d', '2h']);
+    assert.strictEqual(first.body.timeRemaining, 59);
+
+    await clock.advance(1000);
+    const held = await post('/hold', { gameId, cardIndexes: [0, 2] }, token);
+    assert.deepStrictEqual(held.body, { success: true, heldCards: [0, 2] });
+
+    await clock.advance(1000);
+    const second = await post('/draw', { gameId }, token);
+    assert.strictEqual(second.status, 200);
+    assert.deepStrictEqual(describeCards(second.body.cards), ['2s', 'As', '2h']);
+    assert.strictEqual(second.body.combination, 'None');
+    assert.strictEqual(second.body.timeRemaining, 57);
+
+    const checked = await post('/check', { gameId }, token);
+    assert.strictEqual(checked.status, 200);
+    assert.strictEqual(checked.body.isEnded, true);
+    assert.strictEqual(checked.body.combination, 'None');
+    assert.strictEqual(checked.body.reward, 0);
+    assert.strictEqual(checked.body.serverSeedHash, started.body.serverSeedHash);
+
+    const verified = await get(`/verify/${gameId}`);
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.hashMatches, true);
+    assert.deepStrictEqual(verified.body.rounds.map(round => describeCards(round.cards)), [['2s', '5d', '2h'], ['2s', 'As', '2h']]);
+});
+
+async function signIn(post, keypair) {
+    const playerId = keypair.publicKey.toBase58();
+    const nonce = await post('/auth/nonce', { playerId });
+    const session = await post('/auth/verify', { playerId, signature: signMessage(keypair, nonce.body.message) });
+    return session.body.token;
+}
+
+test('a game in progress survives a restart, its rules are journaled once', async t => {
+    const first = await startServer(t);
+    const keypair = Keypair.fromSeed(Buffer.alloc(32, 9));
+    const playerId = keypair.publicKey.toBase58();
+    let token = await signIn(first.post, keypair);
+
+    const started = await first.post('/start', { playerId, variant: 'blitz', practice: true }, token);
+    const { gameId } = started.body;
+    const dealt = await first.post('/draw', { gameId }, token);
+    await first.post('/hold', { gameId, cardIndexes: [0] }, token);
+    await first.stop();
+
+    const sessionLines = fs.readFileSync(path.join(first.dataDir, 'lucky-triple-journal.jsonl'), 'utf8')
+        .split('\n')
+        .filter(line => line.includes('"s":"sessions"'))
+        .map(line => JSON.parse(line));
+    assert.ok(sessionLines.length >= 3);
+    for (const line of sessionLines) {
+        assert.strictEqual(line.v.rules, undefined);
+        assert.strictEqual(line.v.fairness.rules, undefined);
+    }
+
+    const clock = createManualClock(START_TIME + 5000);
+    const second = await startServer(t, { dataDir: first.dataDir, clock, seed: 'game-flow-restart' });
+    token = await signIn(second.post, keypair);
+
+    const drawn = await second.post('/draw', { gameId }, token);
+    assert.strictEqual(drawn.status, 200);
+    assert.strictEqual(drawn.body.isEnded, true);
+    assert.deepStrictEqual(drawn.body.cards[0], dealt.body.cards[0]);
+
+    const verified = await second.get(`/verify/${gameId}`);
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.variant, 'blitz');
+    assert.strictEqual(verified.body.hashMatches, true);
+    assert.deepStrictEqual(verified.body.rounds.map(round => round.cards), [dealt.body.cards, drawn.body.cards]);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddress, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+const { createSolanaPayments } = require('../lib/solana-payments');
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+const MAX_AGE_MS = 10 * 60 * 1000;
+const ENTRY_FEE = 3;
+const RAW_FEE = String(ENTRY_FEE * 1e9);
+
+const mint = Keypair.generate().publicKey;
+const treasury = Keypair.generate();
+const player = Keypair.generate().publicKey;
+
+// Payments backed by a connection that returns `tx` for any signature
+function createPayments(tx) {
+    const connection = {
+        getParsedTransaction: async () => tx
+    };
+    return createSolanaPayments({
+        connection,
+        treasuryKeypair: treasury,
+        treasuryAccount: treasury.publicKey.toString(),
+        tokenMint: mint.toString(),
+        programId: TOKEN_2022_PROGRAM_ID,
+        now: () => NOW
+    });
+}
+
+async function getTokenAccount(owner) {
+    return (await getAssociatedTokenAddress(mint, owner, false, TOKEN_2022_PROGRAM_ID)).toString();
+}
+
+// Parsed transferChecked of the entry fee from the player to the treasury
+async function feeTransfer(info = {}) {
+    return {
+        programId: TOKEN_2022_PROGRAM_ID,
+        parsed: {
+            type: 'transferChecked',
+            info: {
+                source: await getTokenAccount(player),
+                destination: await getTokenAccount(treasury.publicKey),
+                authority: player.toString(),
+                mint: mint.toString(),
+                tokenAmount: { amount: RAW_FEE, decimals: 9 },
+                ...info
+            }
+        }
+    };
+}
+
+function parsedTransaction({ instructions = [], innerInstructions = [], blockTime = NOW / 1000 - 60 } = {}) {
+    return {
+        blockTime,
+        meta: { err: null, innerInstructions },
+        transaction: { message: { instructions } }
+    };
+}
+
+function verify(tx) {
+    return createPayments(tx).verifyEntryFee({
+        signature: 'entry-fee-signature',
+        playerId: player.toString(),
+        amount: ENTRY_FEE,
+        maxAgeMs: MAX_AGE_MS
+    });
+}
+
+test('accepts a transfer of the entry fee to the treasury', async () => {
+    const result = await verify(parsedTransaction({ instructions: [await feeTransfer()] }));
+    assert.deepStrictEqual(result, { valid: true });
+});
+
+test('accepts the fee transfer as an inner instruction', async () => {
+    const wrapper = { programId: Keypair.generate().publicKey, accounts: [], data: '' };
+    const result = await verify(parsedTransaction({
+        instructions: [wrapper],
+        innerInstructions: [{ index: 0, instructions: [await feeTransfer()] }]
+    }));
+    assert.deepStrictEqual(result, { valid: true });
+});
+
+test('rejects a transfer signed by another authority', async () => {
+    const result = await verify(parsedTransaction({
+        instructions: [await feeTransfer({ authority: Keypair.generate().publicKey.toString() })]
+    }));
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /is not a transfer of 3 CARDS/);
+});
+
+test('rejects a transfer to a token account other than the treasury', async () => {
+    const result = await verify(parsedTransaction({
+        instructions: [await feeTransfer({ destination: await getTokenAccount(Keypair.generate().publicKey) })]
+    }));
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /is not a transfer of 3 CARDS/);
+});
+
+test('rejects a transfer of the wrong amount', async () => {
+    const result = await verify(parsedTransaction({
+        instructions: [await feeTransfer({ tokenAmount: { amount: String((ENTRY_FEE - 1) * 1e9), decimals: 9 } })]
+    }));
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /is not a transfer of 3 CARDS/);
+});
+
+test('rejects a transaction without a block time', async () => {
+    const result = await verify(parsedTransaction({ instructions: [await feeTransfer()], blockTime: null }));
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /not found or not yet confirmed/);
+});
+
+test('rejects a transaction older than maxAgeMs', async () => {
+    const result = await verify(parsedTransaction({
+        instructions: [await feeTransfer()],
+        blockTime: (NOW - MAX_AGE_MS) / 1000 - 1
+    }));
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /too old/);
+});
+
+test('rejects a transaction that is not found', async () => {
+    const result = await verify(null);
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error, /not found or not yet confirmed/);
+});
+
+test('rejects a transfer by another token program', async () => {
+    const transfer = await feeTransfer();
+    transfer.programId = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+    const result = await verify(parsedTransaction({ instructions: [transfer] }));
+    assert.strictEqual(result.valid, false);
+});
@@ -1,1089 +1,2685 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
-const { Connection, PublicKey, Transaction, Keypair, SystemProgram } = require('@solana/web3.js');
-const { createTransferInstruction, getAssociatedTokenAddress } = require('@solana/spl-token');
+const { PublicKey, Keypair, SystemProgram } = require('@solana/web3.js');
 const TOKEN_EXTENSIONS_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
 const bs58 = require('bs58');
 const BN = require('bn.js');
 require('dotenv').config();
+const { createEntryFeeVerifier } = require('./lib/entry-fee');
+const fairShuffle = require('./lib/fair-shuffle');
+const { createSeedCommitments } = require('./lib/seed-commitments');
+const { createPayoutQueue } = require('./lib/payouts');
+const { createWalletAuth } = require('./lib/wallet-auth');
+const { createWalletLimits } = require('./lib/wallet-limits');
+const { createTournaments, TOURNAMENT_STATUSES } = require('./lib/tournaments');
+const { createJournalStore } = require('./lib/journal-store');
+const { createSessionRegistry } = require('./lib/session-registry');
+const { createGameEventHub } = require('./lib/game-events');
+const { createDeck, dealHand, evaluateHandCombination, HAND_SIZE } = require('./lib/game-rules');
+const { loadVariants } = require('./lib/variants');
+const { createPlayerHistory } = require('./lib/player-history');
+const leaderboard = require('./lib/leaderboard');
+const { createHoldSolver } = require('./lib/hold-strategy');
+const { createAuditLog } = require('./lib/audit-log');
+const { createAdminAuth } = require('./lib/admin-auth');
+const { createAdminRouter } = require('./lib/admin-router');
+const { createTreasuryMonitor } = require('./lib/treasury');
+const { createMetricsRegistry, instrumentMethods } = require('./lib/metrics');
+const { logger, requestLogging, runDetached } = require('./lib/logger');
+const { createGameTrail } = require('./lib/game-trail');
+const { createGameReplays } = require('./lib/game-replay');
+const { createRefundLedger } = require('./lib/refunds');
+const { CLUSTER_URLS, parseRpcEndpoints, createRpcPool } = require('./lib/rpc-pool');
+const { createSolanaPayments } = require('./lib/solana-payments');
+const { createMemoryLedger } = require('./lib/memory-ledger');
+const { systemClock } = require('./lib/clock');
+const { sendError } = require('./lib/api-errors');
+const { validate, fields } = require('./lib/validation');
+const { buildOpenApiSpec } = require('./lib/openapi');
+const apiSpec = require('./lib/api-spec');
+const { version } = require('./package.json');
+const path = require('path');
+const crypto = require('crypto');
 
-const app = express();
-
-// Constants
-const TREASURY_ACCOUNT = process.env.TREASURY_WALLET || "8VPZGxMMcyFykMPAApeyhsNwVtrgXZYpu28Rm2iLknbq";
-const CARDS_TOKEN_MINT = process.env.TOKEN_MINT || "5Xbscj1D5R3RrSpeQyYe4zCkdGqZTrjxVuNszrhDacjv";
-const ENTRY_FEE = 3; // 3 CARDS tokens
-
-// Solana connection
-const SOLANA_NETWORK = process.env.SOLANA_NETWORK || 'devnet';
-const SOLANA_ENDPOINT = SOLANA_NETWORK === 'mainnet-beta' 
-  ? 'https://api.mainnet-beta.solana.com' 
-  : SOLANA_NETWORK === 'testnet' 
-    ? 'https://api.testnet.solana.com' 
-    : 'https://api.devnet.solana.com';
-const connection = new Connection(SOLANA_ENDPOINT, 'confirmed');
-
-// Initialize treasury wallet from seed
-let treasuryKeypair;
-
-try {
-  // Try to parse the treasury seed from environment variable
-  const TREASURY_SEED = process.env.TREASURY_SEED;
-  
-  if (TREASURY_SEED) {
-    // Check if it's a JSON array
-    if (TREASURY_SEED.startsWith('[') && TREASURY_SEED.endsWith(']')) {
-      try {
-        // Parse the array of numbers
-        const seedArray = JSON.parse(TREASURY_SEED);
-        const uint8Array = new Uint8Array(seedArray);
-        treasuryKeypair = Keypair.fromSecretKey(uint8Array);
-        console.log('Treasury wallet loaded from seed array:', treasuryKeypair.publicKey.toString());
-      } catch (e) {
-        console.error('Error parsing seed array:', e);
-        throw new Error('Invalid seed array format');
-      }
-    } else {
-      // Try to parse as base58 encoded private key
-      try {
-        const secretKey = bs58.decode(TREASURY_SEED);
-        treasuryKeypair = Keypair.fromSecretKey(secretKey);
-        console.log('Treasury wallet loaded from base58 private key:', treasuryKeypair.publicKey.toString());
-      } catch (e) {
-        console.error('Error decoding base58 seed:', e);
-        throw new Error('Invalid base58 private key format');
-      }
-    }
-    
-    // Verify that the keypair matches the expected public key
-    if (treasuryKeypair.publicKey.toString() !== TREASURY_ACCOUNT) {
-      console.warn(`Warning: Generated keypair public key (${treasuryKeypair.publicKey.toString()}) doesn't match the expected treasury address (${TREASURY_ACCOUNT})`);
-    }
-  } else {
-    console.error('TREASURY_SEED environment variable not set');
-    // For demo purposes, generate a keypair
-    treasuryKeypair = Keypair.generate();
-    console.warn('Using generated keypair for demo (no funds):', treasuryKeypair.publicKey.toString());
-  }
-} catch (error) {
-  console.error('Error initializing treasury wallet:', error);
-  process.exit(1);
+// Server configuration from the environment (see README.md)
+function loadConfig(env = process.env) {
+    return {
+        port: env.PORT === undefined ? 3004 : Number(env.PORT),
+        host: '0.0.0.0',
+        environment: env.NODE_ENV || 'development',
+        network: env.SOLANA_NETWORK || 'devnet',
+        rpcUrls: env.SOLANA_RPC_URLS || null,
+        rpcHealthCheckIntervalMs: parseInt(env.RPC_HEALTH_CHECK_INTERVAL_MS, 10) || undefined,
+        rpcTimeoutMs: parseInt(env.RPC_TIMEOUT_MS, 10) || undefined,
+        rpcMaxSlotLag: parseInt(env.RPC_MAX_SLOT_LAG, 10) || undefined,
+        treasuryAccount: env.TREASURY_WALLET || "8VPZGxMMcyFykMPAApeyhsNwVtrgXZYpu28Rm2iLknbq",
+        treasurySeed: env.TREASURY_SEED || null,
+        treasuryLowBalance: env.TREASURY_LOW_BALANCE ? Number(env.TREASURY_LOW_BALANCE) : null,
+        tokenMint: env.TOKEN_MINT || "5Xbscj1D5R3RrSpeQyYe4zCkdGqZTrjxVuNszrhDacjv",
+        paymentBackend: env.PAYMENT_BACKEND || 'solana',
+        memoryLedgerTreasuryBalance: env.MEMORY_LEDGER_TREASURY_BALANCE ? Number(env.MEMORY_LEDGER_TREASURY_BALANCE) : undefined,
+        variantsFile: env.VARIANTS_FILE || undefined,
+        dataDir: env.DATA_DIR || path.join(__dirname, 'data'),
+        adminApiKey: env.ADMIN_API_KEY || null,
+        adminWallets: (env.ADMIN_WALLETS || '').split(',').map(wallet => wallet.trim()).filter(Boolean),
+        deniedWallets: (env.DENIED_WALLETS || '').split(',').map(wallet => wallet.trim()).filter(Boolean),
+        walletGameActionLimit: parseInt(env.WALLET_GAME_ACTION_LIMIT, 10) || 200,
+        walletCreateGameLimit: parseInt(env.WALLET_CREATE_GAME_LIMIT, 10) || 10,
+        dailyGameCap: env.DAILY_GAME_CAP ? Number(env.DAILY_GAME_CAP) : null,
+        dailyWinningsCap: env.DAILY_WINNINGS_CAP ? Number(env.DAILY_WINNINGS_CAP) : null,
+        resetCooldownAfter: parseInt(env.RESET_COOLDOWN_AFTER, 10) || 5,
+        resetCooldownWindowMs: parseInt(env.RESET_COOLDOWN_WINDOW_MS, 10) || 60 * 1000,
+        resetCooldownMs: parseInt(env.RESET_COOLDOWN_MS, 10) || 2 * 60 * 1000
+    };
 }
 
-// Track paid rewards to prevent double payments
-const paidRewards = new Map();
-
-// Track completed games to prevent replays
-const completedGames = new Map();
-
-// Lucky Triple Game State - używamy playerId jako klucza (wzorowane na wargame_server.js)
-const playerGameSessions = new Map(); // Zmieniona nazwa dla jasności
-
-// Configure rate limiters
-const apiLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 1000, // zwiększony limit do 1000 zapytań
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: "Too many requests from this IP, please try again after 15 minutes"
-});
-
-// More strict limiter for game actions
-const gameActionLimiter = rateLimit({
-    windowMs: 5 * 60 * 1000, // 5 minutes
-    max: 200, // zwiększony limit do 200 zapytań
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: "Too many game actions from this IP, please try again after 5 minutes"
-});
-
-// Even stricter limiter for create/reset operations
-const createGameLimiter = rateLimit({
-    windowMs: 1 * 60 * 1000, // zmniejszony czas do 1 minuty
-    max: 30, // zwiększony limit do 30 gier
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: "Too many game creation requests, please try again later"
-});
-
-// Middleware - prosta konfiguracja CORS, identyczna jak w blackjack_server.js
-app.use(cors());
-app.use(express.json());
-app.use(apiLimiter); // Apply general rate limiting to all routes by default
-
-// Basic route
-app.get('/', (req, res) => {
-    res.json({ message: 'The Lucky Triple Server is running!' });
-});
-
-// Game routes with specific limiters
-app.post('/lucky-triple/start', createGameLimiter, (req, res) => {
-    // Dodaj sprawdzenie czy opłata została wniesiona
-    const { playerId, entryFeePaid } = req.body;
-    
-    if (!playerId) {
-        return res.status(400).json({ error: 'Player ID is required' });
-    }
-    
-    // Validate player has a valid Solana address format
-    try {
-        new PublicKey(playerId);
-    } catch (error) {
-        console.error(`Invalid Solana address format: ${playerId}`);
-        return res.status(400).json({ error: 'Invalid player account. Must be a valid Solana address.' });
-    }
-    
-    // Check if entry fee is paid
-    if (!entryFeePaid) {
-        console.error(`Entry fee not paid for player: ${playerId}`);
-        return res.status(400).json({ error: 'Entry fee of 3 CARDS must be paid before creating a game' });
+// Build the game server. Everything it needs from outside can be passed in:
+//   clock           now() and timers (lib/clock.js) - game timeouts, cleanups and
+//                   background workers run on it, so tests can fast-forward games
+//                   with createManualClock()
+//   randomBytes     randomBytes(size) -> Buffer, for game IDs, server/client seeds,
+//                   sign-in nonces and session tokens
+//   connection      Solana Connection (or anything with its methods), replaces the RPC pool
+//   paymentBackend  payment backend (lib/solana-payments.js, lib/memory-ledger.js)
+//   config          overrides of loadConfig(), e.g. { port: 0, dataDir }
+// Nothing runs until start(); stop() shuts everything down again.
+function createLuckyTripleServer(options = {}) {
+    const { clock = systemClock, randomBytes = crypto.randomBytes } = options;
+    const config = { ...loadConfig(), ...options.config };
+    const now = clock.now;
+
+    const app = express();
+
+    // Constants
+    const TREASURY_ACCOUNT = config.treasuryAccount;
+    const CARDS_TOKEN_MINT = config.tokenMint;
+
+    // Game variants (deck, rounds, hold limit, timeout, entry fee, paytable) from config/variants.json
+    const gameVariants = loadVariants(config.variantsFile);
+
+    // Background jobs (cleanups, countdown ticks, journal compaction), run on the
+    // clock between start() and stop()
+    const backgroundJobs = []; // { run, intervalMs }
+    let jobTimers = [];
+    // Game timeouts by gameId
+    const gameTimeouts = new Map();
+    let httpServer = null;
+
+    function runEvery(run, intervalMs) {
+        backgroundJobs.push({ run, intervalMs });
     }
-    
-    // Wzorowane na wargame_server.js - zastąp istniejącą grę zamiast blokować
-    if (playerGameSessions.has(playerId)) {
-        console.log(`💰 Replacing existing game for player ${playerId}`);
-        playerGameSessions.delete(playerId);
+
+    // Solana RPC - SOLANA_RPC_URLS lists the endpoints in priority order (cluster
+    // names like devnet or localnet, URLs, or name=url); calls fail over to the
+    // next healthy endpoint. Defaults to the public endpoint of SOLANA_NETWORK.
+    // A connection passed in options is used as is, without the pool.
+    const SOLANA_NETWORK = config.network;
+    if (!CLUSTER_URLS[SOLANA_NETWORK]) {
+        throw new Error(`Unknown SOLANA_NETWORK "${SOLANA_NETWORK}", use one of: ${Object.keys(CLUSTER_URLS).join(', ')}`);
     }
-    
-    // Generate unique game ID using timestamp and random number to ensure uniqueness
-    const gameId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const deck = createAndShuffleLuckyTripleDeck();
-    
-    const startTime = Date.now();
-    const gameState = {
-        gameId,
-        playerId,
-        deck,
-        cards: [],
-        heldCards: [],
-        timestamp: startTime,
-        lastActionTime: startTime,
-        currentCombination: 'None',
-        currentReward: 0,
-        roundsPlayed: 0,
-        maxRounds: GAME_CONFIG.MAX_ROUNDS,
-        isEnded: false,
-        timedOut: false,
-        rewardPaid: false
-    };
-    
-    // Atomowe dodanie gry (używamy playerId jako klucza)
-    playerGameSessions.set(playerId, gameState);
-    
-    // Log new game creation
-    console.log(`[${new Date().toISOString()}] New game created: ${gameId} for player: ${playerId}`);
-    
-    res.json({
-        gameId,
-        playerId,
-        cards: [],
-        combination: 'None',
-        reward: 0,
-        roundsLeft: GAME_CONFIG.MAX_ROUNDS,
-        isEnded: false,
-        timeRemaining: GAME_CONFIG.GAME_TIMEOUT_MS / 1000, // Send initial time in seconds
-        maxRounds: GAME_CONFIG.MAX_ROUNDS,
-        serverTime: startTime,
-        message: "Press 'draw' to start the game and receive your first cards"
+    const rpcPool = options.connection ? null : createRpcPool({
+        endpoints: parseRpcEndpoints(config.rpcUrls || SOLANA_NETWORK),
+        commitment: 'confirmed',
+        healthCheckIntervalMs: config.rpcHealthCheckIntervalMs,
+        requestTimeoutMs: config.rpcTimeoutMs,
+        maxSlotLag: config.rpcMaxSlotLag,
+        clock
     });
-});
+    const connection = options.connection || rpcPool.connection;
 
-// Add new endpoint for handling card holds
-app.post('/lucky-triple/hold', gameActionLimiter, (req, res) => {
-    const { gameId, cardIndexes } = req.body;
-    
-    // Znajdź grę na podstawie gameId (w gameState)
-    let gameState = null;
-    let playerId = null;
-    
-    for (const [pid, state] of playerGameSessions.entries()) {
-        if (state.gameId === gameId) {
-            gameState = state;
-            playerId = pid;
-            break;
+    // Prometheus metrics, served by GET /metrics
+    const metrics = createMetricsRegistry();
+    const gameMetrics = {
+        gamesStarted: metrics.counter({ name: 'lucky_triple_games_started_total', help: 'Games started', labelNames: ['variant', 'practice'] }),
+        gamesCompleted: metrics.counter({ name: 'lucky_triple_games_completed_total', help: 'Games played to the end', labelNames: ['variant', 'result'] }),
+        gamesTimedOut: metrics.counter({ name: 'lucky_triple_games_timed_out_total', help: 'Games that timed out', labelNames: ['variant'] }),
+        gamesAbandoned: metrics.counter({ name: 'lucky_triple_games_abandoned_total', help: 'Games replaced, dropped or ended by an operator before the end', labelNames: ['variant', 'reason'] }),
+        combinations: metrics.counter({ name: 'lucky_triple_combinations_total', help: 'Final combinations of completed games', labelNames: ['variant', 'combination'] }),
+        cardsPaid: metrics.counter({ name: 'lucky_triple_cards_paid_total', help: 'CARDS transferred by confirmed payouts', labelNames: ['kind'] }),
+        payoutFailures: metrics.counter({ name: 'lucky_triple_payout_failures_total', help: 'Payouts that failed after all attempts', labelNames: ['kind'] }),
+        payoutConfirmation: metrics.histogram({
+            name: 'lucky_triple_payout_confirmation_seconds',
+            help: 'Time from queueing a payout to its confirmation',
+            labelNames: ['kind'],
+            buckets: [1, 2, 5, 10, 20, 30, 60, 120, 300, 600]
+        }),
+        rpcDuration: metrics.histogram({ name: 'lucky_triple_rpc_request_duration_seconds', help: 'Solana RPC call latency', labelNames: ['method'] }),
+        rpcErrors: metrics.counter({ name: 'lucky_triple_rpc_errors_total', help: 'Failed Solana RPC calls', labelNames: ['method'] }),
+        rateLimited: metrics.counter({ name: 'lucky_triple_rate_limit_rejections_total', help: 'Requests rejected by a rate limiter', labelNames: ['limiter'] }),
+        adminDenied: metrics.counter({ name: 'lucky_triple_admin_denied_total', help: 'Admin API requests refused for missing or wrong credentials', labelNames: ['reason'] }),
+        walletLimited: metrics.counter({ name: 'lucky_triple_wallet_limit_rejections_total', help: 'Requests refused by a per-wallet rule (deny list, daily caps, reset cooldown)', labelNames: ['rule'] }),
+        refunds: metrics.counter({ name: 'lucky_triple_refunds_total', help: 'Entry fee refunds requested', labelNames: ['reason'] }),
+        rpcFailovers: metrics.counter({ name: 'lucky_triple_rpc_failovers_total', help: 'Changes of the active RPC endpoint', labelNames: ['from', 'to'] })
+    };
+    metrics.gauge({
+        name: 'lucky_triple_active_sessions',
+        help: 'Game sessions in memory, running or ended and waiting for removal',
+        labelNames: ['state'],
+        collect: () => {
+            const running = Array.from(sessionRegistry.values()).filter(gameState => !gameState.isEnded).length;
+            return [
+                { labels: { state: 'running' }, value: running },
+                { labels: { state: 'ended' }, value: sessionRegistry.size - running }
+            ];
         }
+    });
+
+    metrics.gauge({
+        name: 'lucky_triple_rpc_endpoint_up',
+        help: 'RPC endpoint health (1 healthy, 0 unhealthy)',
+        labelNames: ['endpoint', 'active'],
+        collect: () => (rpcPool ? rpcPool.getStatus().endpoints : []).map(endpoint => ({
+            labels: { endpoint: endpoint.name, active: String(endpoint.active) },
+            value: endpoint.healthy ? 1 : 0
+        }))
+    });
+    if (rpcPool) {
+        rpcPool.onFailover(({ from, to }) => gameMetrics.rpcFailovers.inc({ from: from || 'none', to }));
     }
-    
-    if (!gameState) {
-        return res.status(404).json({ error: 'Game not found' });
-    }
-    
-    // Check if not exceeding 2 cards limit
-    if (cardIndexes.length > 2) {
-        return res.status(400).json({ error: 'Cannot hold more than 2 cards' });
+
+    // Time every RPC call the server makes
+    instrumentMethods(connection, {
+        getAccountInfo: 'getAccountInfo',
+        getLatestBlockhash: 'blockhash',
+        sendRawTransaction: 'send',
+        getParsedTransaction: 'getParsedTransaction',
+        getSignatureStatuses: 'getSignatureStatuses',
+        getBlockHeight: 'getBlockHeight',
+        getTokenAccountBalance: 'getTokenAccountBalance'
+    }, (method, seconds, error) => {
+        gameMetrics.rpcDuration.observe({ method }, seconds);
+        if (error) {
+            gameMetrics.rpcErrors.inc({ method });
+        }
+    });
+
+    // Persistence - game sessions, completed games, payouts and used fee signatures are
+    // journaled to disk and reloaded on startup
+    const DATA_DIR = config.dataDir;
+    const journal = createJournalStore({ file: path.join(DATA_DIR, 'lucky-triple-journal.jsonl') });
+
+    // Treasury wallet from TREASURY_SEED, signs the reward transfers
+    function loadTreasuryKeypair() {
+        let treasuryKeypair;
+        // Try to parse the treasury seed from environment variable
+        const TREASURY_SEED = config.treasurySeed;
+        
+        if (TREASURY_SEED) {
+            // Check if it's a JSON array
+            if (TREASURY_SEED.startsWith('[') && TREASURY_SEED.endsWith(']')) {
+                try {
+                    // Parse the array of numbers
+                    const seedArray = JSON.parse(TREASURY_SEED);
+                    const uint8Array = new Uint8Array(seedArray);
+                    treasuryKeypair = Keypair.fromSecretKey(uint8Array);
+                    logger.info('treasury.wallet-loaded', { source: 'seed-array', publicKey: treasuryKeypair.publicKey.toString() });
+                } catch (e) {
+                    logger.error('treasury.seed-invalid', { format: 'seed-array', error: e });
+                    throw new Error('Invalid seed array format');
+                }
+            } else {
+                // Try to parse as base58 encoded private key
+                try {
+                    const secretKey = bs58.decode(TREASURY_SEED);
+                    treasuryKeypair = Keypair.fromSecretKey(secretKey);
+                    logger.info('treasury.wallet-loaded', { source: 'base58', publicKey: treasuryKeypair.publicKey.toString() });
+                } catch (e) {
+                    logger.error('treasury.seed-invalid', { format: 'base58', error: e });
+                    throw new Error('Invalid base58 private key format');
+                }
+            }
+            
+            // Verify that the keypair matches the expected public key
+            if (treasuryKeypair.publicKey.toString() !== TREASURY_ACCOUNT) {
+                logger.warn('treasury.wallet-mismatch', { publicKey: treasuryKeypair.publicKey.toString(), expected: TREASURY_ACCOUNT });
+            }
+        } else {
+            logger.error('treasury.seed-missing', { variable: 'TREASURY_SEED', hint: 'set PAYMENT_BACKEND=memory to play without a cluster' });
+            // For demo purposes, generate a keypair
+            treasuryKeypair = Keypair.generate();
+            logger.warn('treasury.demo-wallet', { publicKey: treasuryKeypair.publicKey.toString() });
+        }
+        return treasuryKeypair;
     }
-    
-    // Check if appropriate round (only first and second)
-    if (gameState.roundsPlayed === 0 || gameState.roundsPlayed >= 3) {
-        return res.status(400).json({ error: 'Can only hold cards after first and second round' });
+
+    // Payment backend - CARDS on Solana, or the in-memory ledger for development
+    // and tests (PAYMENT_BACKEND=memory), which needs neither a cluster nor TREASURY_SEED.
+    // A backend passed in options is used as is.
+    const PAYMENT_BACKEND = config.paymentBackend;
+    let paymentBackend = options.paymentBackend || null;
+    let memoryLedger = null;
+
+    if (paymentBackend) {
+        memoryLedger = paymentBackend.name === 'memory' ? paymentBackend : null;
+    } else {
+        try {
+            if (PAYMENT_BACKEND === 'solana') {
+                paymentBackend = createSolanaPayments({
+                    connection,
+                    treasuryKeypair: loadTreasuryKeypair(),
+                    treasuryAccount: TREASURY_ACCOUNT,
+                    tokenMint: CARDS_TOKEN_MINT,
+                    programId: TOKEN_EXTENSIONS_PROGRAM_ID,
+                    now
+                });
+            } else if (PAYMENT_BACKEND === 'memory') {
+                if (config.environment === 'production') {
+                    throw new Error('The in-memory payment backend cannot be used in production');
+                }
+                memoryLedger = createMemoryLedger({
+                    treasuryAccount: TREASURY_ACCOUNT,
+                    treasuryBalance: config.memoryLedgerTreasuryBalance,
+                    accounts: journal.map('ledgerAccounts'),
+                    transfers: journal.map('ledgerTransfers'),
+                    randomBytes,
+                    now
+                });
+                paymentBackend = memoryLedger;
+                logger.warn('payments.memory-ledger', { treasuryAccount: TREASURY_ACCOUNT });
+            } else {
+                throw new Error(`Unknown PAYMENT_BACKEND "${PAYMENT_BACKEND}", use solana or memory`);
+            }
+        } catch (error) {
+            logger.error('payments.init-failed', { error });
+            throw error;
+        }
     }
-    
-    gameState.heldCards = cardIndexes;
-    gameState.lastActionTime = Date.now(); // Aktualizuj czas aktywności
-    playerGameSessions.set(playerId, gameState);
-    
-    res.json({
-        success: true,
-        heldCards: cardIndexes
+
+    // Verification of entry fee payments
+    const entryFeeVerifier = createEntryFeeVerifier({
+        paymentBackend,
+        usedSignatures: journal.map('feeSignatures'),
+        now
     });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ message: 'Something went wrong!' });
-});
-
-// Start server
-const PORT = process.env.PORT || 3004;
-console.log(`Starting The Lucky Triple Server`);
-console.log(`Solana network: ${SOLANA_NETWORK}`);
-
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server is running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
-
-// Utility function to create and shuffle deck
-function createAndShuffleLuckyTripleDeck() {
-    const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
-    const deck = [];
-    
-    // Create deck with cards from Ace (1) to 6 in each suit
-    for (let suit of suits) {
-        for (let value = 1; value <= 6; value++) {
-            const rank = value === 1 ? 'A' : value.toString();
-            deck.push({ suit, rank, hidden: false });
+
+    // Payout queue - tracks every reward until its transfer is confirmed and prevents double payments
+    const payoutQueue = createPayoutQueue({
+        paymentBackend,
+        records: journal.map('payouts'),
+        clock
+    });
+
+    // Entry fee refunds, one per fee, paid through the payout queue
+    const refundLedger = createRefundLedger({ store: journal.map('refunds'), payoutQueue, now });
+
+    // Treasury solvency - balance of the treasury against the rewards still owed
+    const treasury = createTreasuryMonitor({
+        paymentBackend,
+        getOwed: getOwedRewards,
+        lowBalanceThreshold: config.treasuryLowBalance,
+        clock
+    });
+
+    // Track completed games to prevent replays
+    const completedGames = journal.map('completedGames');
+
+    // Wallet sign-in sessions - game routes require a session token of the wallet that owns the game
+    const walletAuth = createWalletAuth({ now, randomBytes });
+    const requireWalletSession = walletAuth.requireSession;
+
+    // Admin API access - operator API key and/or admin wallets (comma separated)
+    const adminAuth = createAdminAuth({
+        apiKey: config.adminApiKey,
+        adminWallets: config.adminWallets,
+        walletAuth,
+        // Refused requests can come from anyone, so they are logged and counted but kept out
+        // of the audit log, where they would push out the operators' actions
+        onDenied: (req, actor, reason) => {
+            gameMetrics.adminDenied.inc({ reason });
+            logger.warn('admin.denied', { actor, target: `${req.method} ${req.originalUrl}`, reason });
         }
+    });
+
+    // Server-Sent Events streams per game (countdown, rounds, timeout, payout)
+    const gameEvents = createGameEventHub();
+
+    // Provably fair records (seeds and holds) by gameId, kept after the session is removed
+    const fairnessRecords = journal.map('fairness');
+
+    // Server seed of each wallet's next game, committed before the player picks a client seed
+    const seedCommitments = createSeedCommitments({ store: journal.map('seedCommitments'), randomBytes, now });
+
+    // Lucky Triple Game State - używamy playerId jako klucza (wzorowane na wargame_server.js)
+    // Sesje są indeksowane po playerId (jedna gra na gracza) oraz po gameId
+    const sessionRegistry = createSessionRegistry({ store: journal.map('sessions', { serialize: toJournaledSession }), clock });
+
+    // Finished games of every player, kept for GAME_CONFIG.HISTORY_RETENTION_MS
+    const playerHistory = createPlayerHistory({ store: journal.map('history'), now });
+
+    // Rankingi dzienne, tygodniowe i ogólne
+    const leaderboards = leaderboard.createLeaderboards({ store: journal.map('leaderboards'), clock });
+
+    // Log of operator actions (admin API) and operator switches such as the game creation pause
+    const auditLog = createAuditLog({ store: journal.map('audit'), now });
+    const adminState = journal.map('admin');
+
+    // Ordered audit trail of every game (created, draws, holds, check or timeout, payout), exported by the admin API
+    const gameTrail = createGameTrail({ store: journal.map('trails'), now });
+
+    // Round-by-round record of every game, served by GET /lucky-triple/replay/:gameId
+    const gameReplays = createGameReplays({ store: journal.map('replays'), now });
+
+    // Per-wallet anti-abuse rules: deny list, daily caps on paid games and CARDS won, reset cooldown
+    const walletLimits = createWalletLimits({
+        usageStore: journal.map('walletUsage'),
+        denyStore: journal.map('deniedWallets'),
+        resetStore: journal.map('walletResets'),
+        deniedWallets: config.deniedWallets,
+        dailyGameCap: config.dailyGameCap,
+        dailyWinningsCap: config.dailyWinningsCap,
+        resetCooldown: {
+            after: config.resetCooldownAfter,
+            windowMs: config.resetCooldownWindowMs,
+            cooldownMs: config.resetCooldownMs
+        },
+        clock,
+        onRejected: rule => gameMetrics.walletLimited.inc({ rule })
+    });
+
+    // Scheduled tournaments: registration with an optional buy-in, tournament games
+    // scored by their final combination, prize split at settlement
+    const tournaments = createTournaments({ store: journal.map('tournaments'), entryStore: journal.map('tournamentEntries'), clock });
+
+    // Hold advisor solvers by variant and the advice for each game's current round
+    const holdSolvers = new Map();
+    const holdAdviceCache = new Map();
+
+    // Rate limiter response (the default one) that also counts the rejection
+    function rateLimitHandler(limiter) {
+        return (req, res, next, options) => {
+            gameMetrics.rateLimited.inc({ limiter });
+            sendError(res, options.statusCode, 'RATE_LIMITED', options.message);
+        };
     }
-    
-    // Fisher-Yates shuffle
-    for (let i = deck.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [deck[i], deck[j]] = [deck[j], deck[i]];
+
+    // Refusal of a per-wallet rule (lib/wallet-limits.js), with Retry-After when it lifts
+    function sendWalletLimitError(res, result) {
+        if (!result.retryAfter) {
+            return sendError(res, result.status, result.code, result.error);
+        }
+        res.set('Retry-After', String(result.retryAfter));
+        return sendError(res, result.status, result.code, result.error, { retryAfter: result.retryAfter });
     }
-    
-    return deck;
-}
 
-// Rank order for straights
-const RANK_ORDER = {
-    'A': 1,
-    '2': 2,
-    '3': 3,
-    '4': 4,
-    '5': 5,
-    '6': 6
-};
+    // Configure rate limiters
+    const apiLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 1000, // zwiększony limit do 1000 zapytań
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: "Too many requests from this IP, please try again after 15 minutes",
+        handler: rateLimitHandler('api')
+    });
 
-// Reward values for each hand combination
-const REWARDS = {
-    'Lucky Triple': 15,
-    'Triple': 9,
-    'Straight Flush': 12,
-    'Straight': 6,
-    'Flush': 5,
-    'None': 0
-};
+    // More strict limiter for game actions
+    const gameActionLimiter = rateLimit({
+        windowMs: 5 * 60 * 1000, // 5 minutes
+        max: 200, // zwiększony limit do 200 zapytań
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: "Too many game actions from this IP, please try again after 5 minutes",
+        handler: rateLimitHandler('game-action')
+    });
 
-// Function to evaluate hand combination
-function evaluateHandCombination(cards) {
-    if (cards.length !== 3) return { combination: 'None', reward: 0 };
+    // Even stricter limiter for create/reset operations
+    const createGameLimiter = rateLimit({
+        windowMs: 1 * 60 * 1000, // zmniejszony czas do 1 minuty
+        max: 30, // zwiększony limit do 30 gier
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: "Too many game creation requests, please try again later",
+        handler: rateLimitHandler('create-game')
+    });
 
-    // Check if all cards have the same suit
-    const sameSuit = cards.every(card => card.suit === cards[0].suit);
-    
-    // Check if all cards have the same rank
-    const sameRank = cards.every(card => card.rank === cards[0].rank);
-    
-    // Check for Lucky Triple (same rank, same suit)
-    if (sameRank && sameSuit) {
-        return { 
-            combination: 'Lucky Triple', 
-            reward: REWARDS['Lucky Triple']
+    // The same limits per signed-in wallet, so a wallet cannot spread its requests
+    // over many IPs. They run after requireWalletSession.
+    function walletRateLimit({ windowMs, max, message, limiter }) {
+        return rateLimit({
+            windowMs,
+            max,
+            standardHeaders: true,
+            legacyHeaders: false,
+            keyGenerator: req => req.walletAddress,
+            message,
+            handler: rateLimitHandler(limiter)
+        });
+    }
+
+    const walletGameActionLimiter = walletRateLimit({
+        windowMs: 5 * 60 * 1000,
+        max: config.walletGameActionLimit,
+        message: "Too many game actions from this wallet, please try again after 5 minutes",
+        limiter: 'wallet-game-action'
+    });
+
+    const walletCreateGameLimiter = walletRateLimit({
+        windowMs: 1 * 60 * 1000,
+        max: config.walletCreateGameLimit,
+        message: "Too many game creation requests from this wallet, please try again later",
+        limiter: 'wallet-create-game'
+    });
+
+    // Signed-in wallet that is not on the deny list, within its own rate limit
+    const gameActionWallet = [requireWalletSession, walletLimits.requireAllowedWallet, walletGameActionLimiter];
+    const createGameWallet = [requireWalletSession, walletLimits.requireAllowedWallet, walletCreateGameLimiter];
+
+    // Middleware - prosta konfiguracja CORS, identyczna jak w blackjack_server.js
+    app.use(requestLogging(logger)); // X-Request-Id on every request and log line
+    app.use(cors());
+    app.use(express.json());
+    app.use(apiLimiter); // Apply general rate limiting to all routes by default
+
+    // Basic route
+    app.get('/', (req, res) => {
+        res.json({ message: 'The Lucky Triple Server is running!' });
+    });
+
+    // Prometheus metrics
+    app.get('/metrics', (req, res) => {
+        res.set('Content-Type', metrics.contentType);
+        res.send(metrics.render());
+    });
+
+    // List the configured game variants
+    app.get('/lucky-triple/variants', (req, res) => {
+        res.json({
+            defaultVariant: gameVariants.defaultVariant,
+            variants: gameVariants.list().map(variant => ({
+                id: variant.id,
+                name: variant.name,
+                description: variant.description,
+                deckSize: variant.suits.length * variant.ranks.length * variant.copies,
+                suits: variant.suits,
+                ranks: variant.ranks,
+                maxRounds: variant.maxRounds,
+                holdLimit: variant.holdLimit,
+                timeoutMs: variant.timeoutMs,
+                entryFee: variant.entryFee,
+                paytable: variant.paytable,
+                advisor: variant.advisor
+            }))
+        });
+    });
+
+    // Nonces are issued to anyone, for any wallet
+    const nonceLimiter = rateLimit({
+        windowMs: 1 * 60 * 1000,
+        max: 20,
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: "Too many sign-in requests, please try again later",
+        handler: rateLimitHandler('auth-nonce')
+    });
+
+    // Sign-in step 1 - issue a nonce for the wallet to sign
+    app.post('/lucky-triple/auth/nonce', nonceLimiter, validate({
+        body: { playerId: { ...fields.address, required: true } }
+    }), (req, res) => {
+        const { playerId } = req.body;
+        
+        const { nonce, message, expiresAt } = walletAuth.issueNonce(playerId);
+        res.json({ playerId, nonce, message, expiresAt });
+    });
+
+    // Sign-in step 2 - verify the signed message and return a session token
+    app.post('/lucky-triple/auth/verify', gameActionLimiter, validate({
+        body: {
+            playerId: { ...fields.address, required: true },
+            signature: { type: 'string', required: true, maxLength: 128 }
+        }
+    }), (req, res) => {
+        const { playerId, signature } = req.body;
+        
+        const result = walletAuth.verifySignature(playerId, signature);
+        if (!result.valid) {
+            logger.warn('auth.sign-in-failed', { playerId, error: result.error });
+            return sendError(res, 401, result.code, result.error);
+        }
+        
+        logger.info('auth.signed-in', { playerId });
+        res.json({ playerId, token: result.token, expiresAt: result.expiresAt, nextServerSeedHash: seedCommitments.getNextHash(playerId) });
+    });
+
+    // Body of /start and /reset
+    const newGameRequest = validate({
+        body: {
+            playerId: { ...fields.address, required: true },
+            entryFeeSignature: { type: 'string', maxLength: 128 },
+            clientSeed: { type: 'string', maxLength: 64 },
+            variant: { type: 'string', enum: () => gameVariants.list().map(variant => variant.id) },
+            practice: { type: 'boolean', default: false }
+        }
+    });
+
+    // Game routes with specific limiters
+    app.post('/lucky-triple/start', createGameLimiter, createGameWallet, newGameRequest, async (req, res) => {
+        // Opłata musi być potwierdzona on-chain na podstawie sygnatury transakcji
+        const { playerId, entryFeeSignature, clientSeed, variant: variantId, practice } = req.body;
+        const variant = gameVariants.get(variantId);
+        
+        if (playerId !== req.walletAddress) {
+            return sendError(res, 403, 'WALLET_MISMATCH', 'Player ID does not match the signed-in wallet');
+        }
+        
+        // Refuse before the fee signature is claimed, so it can still be used once games resume
+        const creationState = gameCreation.getState();
+        if (creationState.paused) {
+            return sendError(res, 503, 'GAME_CREATION_PAUSED', 'New games are paused, please try again later', { reason: creationState.reason });
+        }
+        
+        // Daily caps of the wallet, also checked before the fee signature is claimed. A paid
+        // game reserves its slot here, released again if the game is not created.
+        const allowance = walletLimits.checkNewGame(playerId, { practice });
+        if (!allowance.ok) {
+            return sendWalletLimitError(res, allowance);
+        }
+        
+        // The treasury must be able to pay the largest reward on top of what it already owes
+        const solvency = practice ? { ok: true } : treasury.checkCapacity(getMaxReward(variant));
+        if (!solvency.ok) {
+            walletLimits.releaseGame(allowance.reservation);
+            return sendError(res, 503, solvency.code, solvency.error);
+        }
+        
+        // Check if entry fee is paid - practice games are free and pay no rewards
+        if (!practice) {
+            const feeCheck = await verifyEntryFee(entryFeeSignature, playerId, variant.entryFee);
+            if (!feeCheck.valid) {
+                walletLimits.releaseGame(allowance.reservation);
+                return sendError(res, feeCheck.status, feeCheck.code, feeCheck.error);
+            }
+            
+            // Other games may have started while the fee was verified - give the signature back if the treasury is now short
+            const recheck = treasury.checkCapacity(getMaxReward(variant));
+            if (!recheck.ok) {
+                entryFeeVerifier.release(entryFeeSignature);
+                walletLimits.releaseGame(allowance.reservation);
+                return sendError(res, 503, recheck.code, recheck.error);
+            }
+        }
+        
+        // Wzorowane na wargame_server.js - zastąp istniejącą grę zamiast blokować
+        if (sessionRegistry.has(playerId)) {
+            abandonGame(sessionRegistry.get(playerId), 'replaced');
+            sessionRegistry.remove(playerId);
+        }
+        
+        // Generate unique game ID using timestamp and random number to ensure uniqueness
+        const gameId = createGameId();
+        const fairness = createFairnessRecord(gameId, playerId, clientSeed, variant);
+        const deck = createGameDeck(fairness, 0);
+        
+        const startTime = now();
+        const gameState = {
+            gameId,
+            playerId,
+            deck,
+            cards: [],
+            heldCards: [],
+            timestamp: startTime,
+            lastActionTime: startTime,
+            currentCombination: 'None',
+            currentReward: 0,
+            roundsPlayed: 0,
+            variant: variant.id,
+            rules: variant,
+            maxRounds: variant.maxRounds,
+            holdLimit: variant.holdLimit,
+            timeoutMs: variant.timeoutMs,
+            entryFee: practice ? 0 : variant.entryFee,
+            entryFeeSignature: practice ? null : entryFeeSignature,
+            practice,
+            isEnded: false,
+            timedOut: false,
+            rewardPaid: false,
+            fairness
         };
+        
+        // Atomowe dodanie gry (używamy playerId jako klucza)
+        sessionRegistry.set(gameState);
+        gameMetrics.gamesStarted.inc({ variant: variant.id, practice });
+        if (!practice) {
+            // Practice games claim no fee; a signature sent with one must not be rebound
+            entryFeeVerifier.assignGame(entryFeeSignature, gameId);
+        }
+        scheduleGameTimeout(gameState);
+        
+        recordGameCreated(gameState, entryFeeSignature, 'start');
+        
+        res.json({
+            gameId,
+            playerId,
+            cards: [],
+            combination: 'None',
+            reward: 0,
+            roundsLeft: variant.maxRounds,
+            isEnded: false,
+            timeRemaining: variant.timeoutMs / 1000, // Send initial time in seconds
+            maxRounds: variant.maxRounds,
+            variant: variant.id,
+            holdLimit: variant.holdLimit,
+            practice,
+            serverTime: startTime,
+            serverSeedHash: fairness.serverSeedHash,
+            clientSeed: fairness.clientSeed,
+            nextServerSeedHash: seedCommitments.getNextHash(playerId),
+            message: "Press 'draw' to start the game and receive your first cards"
+        });
+    });
+
+    // Add new endpoint for handling card holds
+    app.post('/lucky-triple/hold', gameActionLimiter, gameActionWallet, validate({
+        body: {
+            gameId: { ...fields.gameId, required: true },
+            cardIndexes: {
+                type: 'array',
+                required: true,
+                items: { type: 'integer', min: 0, max: HAND_SIZE - 1 },
+                maxItems: HAND_SIZE,
+                unique: true
+            }
+        }
+    }), (req, res) => {
+        const { gameId, cardIndexes } = req.body;
+        
+        // Find game based on gameId
+        const gameState = sessionRegistry.getByGameId(gameId);
+        
+        if (!gameState) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (!ownsGame(req, gameState)) {
+            return sendError(res, 403, 'NOT_GAME_OWNER', 'Game does not belong to the signed-in wallet');
+        }
+        
+        if (gameState.isEnded) {
+            return sendError(res, 400, 'GAME_ENDED', 'Game has already ended');
+        }
+        
+        // Check if not exceeding the variant's hold limit
+        if (cardIndexes.length > gameState.holdLimit) {
+            return sendError(res, 400, 'HOLD_LIMIT_EXCEEDED', `Cannot hold more than ${gameState.holdLimit} cards`);
+        }
+        
+        // Check if appropriate round (after a draw, before the last round)
+        if (gameState.roundsPlayed === 0 || gameState.roundsPlayed >= gameState.maxRounds) {
+            return sendError(res, 400, 'INVALID_ROUND', 'Can only hold cards between rounds');
+        }
+        
+        gameState.heldCards = cardIndexes;
+        gameState.lastActionTime = now(); // Aktualizuj czas aktywności
+        sessionRegistry.update(gameState);
+        gameTrail.record(gameState, 'hold', {
+            round: gameState.roundsPlayed,
+            heldIndexes: cardIndexes,
+            heldCards: cardIndexes.map(index => gameState.cards[index])
+        });
+        gameEvents.publish(gameState.gameId, 'hold', { gameId: gameState.gameId, heldCards: cardIndexes });
+        
+        res.json({
+            success: true,
+            heldCards: cardIndexes
+        });
+    });
+
+    // Shuffle the game's deck number `deckNonce` from its committed seeds
+    function createGameDeck(fairness, deckNonce) {
+        const rng = fairShuffle.createSeededRng(fairness.serverSeed, fairness.clientSeed, deckNonce);
+        // Fisher-Yates shuffle
+        return fairShuffle.shuffleDeck(createDeck(fairness.rules), rng);
     }
-    
-    // Check for Triple (same rank, different suits)
-    if (sameRank) {
-        return { 
-            combination: 'Triple',
-            reward: REWARDS['Triple']
+
+    // Timestamp and a random suffix
+    function createGameId() {
+        return `${now()}-${randomBytes(5).toString('hex')}`;
+    }
+
+    // Use the server seed committed for the wallet before this request (its hash was sent
+    // as nextServerSeedHash). Only the hash is published until the game ends.
+    function createFairnessRecord(gameId, playerId, clientSeed, variant) {
+        const { serverSeed, serverSeedHash } = seedCommitments.take(playerId);
+        const record = {
+            gameId,
+            playerId,
+            variant: variant.id,
+            rules: variant,
+            serverSeed,
+            serverSeedHash,
+            clientSeed: clientSeed || fairShuffle.generateClientSeed(randomBytes),
+            deckNonce: 0,
+            draws: [], // held indexes used for each draw
+            revealed: false,
+            timestamp: now()
         };
+        fairnessRecords.set(gameId, record);
+        return record;
     }
-    
-    // Sort cards by rank for straight check
-    const sortedCards = [...cards].sort((a, b) => RANK_ORDER[a.rank] - RANK_ORDER[b.rank]);
-    
-    // Check for straight
-    const isStraight = sortedCards.every((card, index) => {
-        if (index === 0) return true;
-        return RANK_ORDER[card.rank] - RANK_ORDER[sortedCards[index - 1].rank] === 1;
+
+    // Reveal the server seed once the game can no longer draw cards
+    function revealServerSeed(gameState) {
+        if (!gameState || !gameState.fairness || gameState.fairness.revealed) return;
+        gameState.fairness.revealed = true;
+        gameState.fairness.timestamp = now();
+        fairnessRecords.set(gameState.gameId, gameState.fairness);
+    }
+
+    // Game configuration
+    // (rounds, timeout and rewards are set per variant in config/variants.json)
+    const GAME_CONFIG = {
+        CLEANUP_INTERVAL_MS: 20 * 1000, // Check for inactive games every 20 seconds
+        TIME_CHECK_INTERVAL_MS: 1000, // Client should check time every second
+        TRAIL_RETENTION_MS: 30 * 24 * 60 * 60 * 1000, // Game audit trails are kept for 30 days
+        REPLAY_RETENTION_MS: 30 * 24 * 60 * 60 * 1000, // and so are round-by-round replays
+        SEED_COMMITMENT_RETENTION_MS: 30 * 24 * 60 * 60 * 1000, // Next server seeds of wallets that stopped playing
+        HISTORY_RETENTION_MS: 90 * 24 * 60 * 60 * 1000 // Finished games in player history and stats
+    };
+
+    // Path or body of the routes that take a gameId
+    const gameIdParam = validate({ params: { gameId: fields.gameId } });
+    const gameIdBody = validate({ body: { gameId: { ...fields.gameId, required: true } } });
+
+    // Add rate limiter specifically for time checks
+    const timeCheckLimiter = rateLimit({
+        windowMs: 1 * 60 * 1000, // 1 minute
+        max: 120, // Allow checking twice per second on average
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: "Too many time check requests, please slow down",
+        handler: rateLimitHandler('time-check')
     });
-    
-    // Check for Straight Flush (straight with same suit)
-    if (isStraight && sameSuit) {
-        return { 
-            combination: 'Straight Flush',
-            reward: REWARDS['Straight Flush']
+
+    const walletTimeCheckLimiter = walletRateLimit({
+        windowMs: 1 * 60 * 1000,
+        max: 120, // Allow checking twice per second on average
+        message: "Too many time check requests, please slow down",
+        limiter: 'wallet-time-check'
+    });
+
+    // The hold advisor costs tens of milliseconds of CPU for a new hand
+    const adviseLimiter = rateLimit({
+        windowMs: 1 * 60 * 1000,
+        max: 60,
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: "Too many hold advisor requests, please slow down",
+        handler: rateLimitHandler('advise')
+    });
+
+    const walletAdviseLimiter = walletRateLimit({
+        windowMs: 1 * 60 * 1000,
+        max: 30,
+        message: "Too many hold advisor requests, please slow down",
+        limiter: 'wallet-advise'
+    });
+
+    // Apply the time check limiter to the time endpoint
+    app.get('/lucky-triple/time/:gameId', timeCheckLimiter, requireWalletSession, walletLimits.requireAllowedWallet, walletTimeCheckLimiter, gameIdParam, (req, res) => {
+        const { gameId } = req.params;
+        
+        // Find game based on gameId
+        const gameState = sessionRegistry.getByGameId(gameId);
+        const playerId = gameState ? gameState.playerId : null;
+        
+        if (!gameState) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (!ownsGame(req, gameState)) {
+            return sendError(res, 403, 'NOT_GAME_OWNER', 'Game does not belong to the signed-in wallet');
+        }
+        
+        // Calculate remaining time - marks the game as timed out when time's up
+        const timeCheck = verifyTimeRemaining(gameState, playerId);
+        
+        if (timeCheck.isTimedOut) {
+            // Schedule removal from active sessions
+            sessionRegistry.removeGameLater(gameState.gameId, 5000);
+        }
+        
+        return res.json(timeCheck);
+    });
+
+    // Modify verifyTimeRemaining function to be more strict
+    function verifyTimeRemaining(gameState, playerId = null) {
+        if (!gameState) return null;
+        
+        const serverTime = now();
+        const elapsed = serverTime - gameState.timestamp;
+        const timeRemaining = Math.max(0, gameState.timeoutMs - elapsed);
+        
+        // If time's up and game is not marked as ended
+        if (timeRemaining <= 0 && !gameState.isEnded) {
+            gameState.isEnded = true;
+            gameState.timedOut = true;
+            gameTrail.record(gameState, 'timeout', { round: gameState.roundsPlayed, elapsedMs: elapsed });
+            revealServerSeed(gameState);
+            recordGameEnd(gameState, 'timeout');
+            
+            // Add to completed games
+            if (playerId) {
+                completedGames.set(gameState.gameId, {
+                    playerId: playerId,
+                    result: 'timeout',
+                    timestamp: serverTime,
+                    processed: true
+                });
+            }
+            persistGameSession(gameState);
+            
+            const timeoutStatus = {
+                timeRemaining: 0,
+                isTimedOut: true,
+                isEnded: true,
+                serverTime
+            };
+            gameEvents.publish(gameState.gameId, 'timeout', { gameId: gameState.gameId, ...timeoutStatus });
+            return timeoutStatus;
+        }
+        
+        return {
+            timeRemaining: Math.ceil(timeRemaining / 1000), // in seconds
+            isTimedOut: false,
+            isEnded: gameState.isEnded,
+            serverTime
         };
     }
-    
-    // Check for Straight
-    if (isStraight) {
-        return { 
-            combination: 'Straight',
-            reward: REWARDS['Straight']
-        };
+
+    // Count a finished game in the metrics and add it to the player's history and
+    // the leaderboards, once per game. Practice games are left out of history and
+    // leaderboards.
+    function recordGameEnd(gameState, result) {
+        if (gameState.result || playerHistory.get(gameState.gameId)) return;
+        gameState.result = result;
+        gameReplays.finish(gameState, result);
+        gameTrail.record(gameState, 'ended', {
+            result,
+            rounds: gameState.roundsPlayed,
+            cards: gameState.cards,
+            combination: gameState.currentCombination,
+            reward: result === 'win' ? gameState.currentReward : 0
+        });
+        
+        if (result === 'win' || result === 'loss') {
+            gameMetrics.gamesCompleted.inc({ variant: gameState.variant, result });
+            gameMetrics.combinations.inc({ variant: gameState.variant, combination: gameState.currentCombination });
+        } else if (result === 'timeout') {
+            gameMetrics.gamesTimedOut.inc({ variant: gameState.variant });
+        } else {
+            gameMetrics.gamesAbandoned.inc({ variant: gameState.variant, reason: result });
+        }
+        
+        // Tournament games pay no reward, their final combination counts for the tournament
+        if (gameState.tournamentId) {
+            const { combination, reward } = evaluateHandCombination(gameState.cards, gameState.rules);
+            const scored = result === 'win' || result === 'loss';
+            tournaments.recordGameEnd(gameState.tournamentId, gameState.playerId, gameState.gameId, {
+                result,
+                combination: scored ? combination : null,
+                score: scored ? reward : 0
+            });
+            return;
+        }
+        
+        if (gameState.practice) return;
+        if (result === 'win') {
+            walletLimits.recordWinnings(gameState.playerId, gameState.currentReward);
+        }
+        const record = playerHistory.recordGame(gameState, result);
+        leaderboards.recordGame(record);
     }
-    
-    // Check for Flush (same suit)
-    if (sameSuit) {
-        return { 
-            combination: 'Flush',
-            reward: REWARDS['Flush']
-        };
+
+    // A game replaced by a new one (or dropped by cleanup) before it ended.
+    // reason: 'replaced' (new game), 'reset' or 'inactive' (cleanup)
+    function abandonGame(gameState, reason) {
+        if (!gameState) return;
+        revealServerSeed(gameState);
+        if (!gameState.isEnded) {
+            gameTrail.record(gameState, 'abandoned', { reason, round: gameState.roundsPlayed });
+            recordGameEnd(gameState, 'abandoned');
+        }
     }
-    
-    // Default: None
-    return { 
-        combination: 'None',
-        reward: REWARDS['None']
-    };
-}
 
-// Game configuration
-const GAME_CONFIG = {
-    MAX_ROUNDS: 3,
-    GAME_TIMEOUT_MS: 60 * 1000, // 60 seconds timer for each game
-    CLEANUP_INTERVAL_MS: 20 * 1000, // Check for inactive games every 20 seconds
-    TIME_CHECK_INTERVAL_MS: 1000 // Client should check time every second
-};
+    // Open the trail and the replay record of a game created by /start or /reset
+    function recordGameCreated(gameState, entryFeeSignature, via) {
+        gameReplays.start(gameState);
+        gameTrail.record(gameState, 'created', {
+            via,
+            variant: gameState.variant,
+            practice: gameState.practice,
+            tournamentId: gameState.tournamentId,
+            entryFee: gameState.entryFee,
+            entryFeeSignature: gameState.practice ? null : entryFeeSignature,
+            maxRounds: gameState.maxRounds,
+            holdLimit: gameState.holdLimit,
+            timeoutMs: gameState.timeoutMs,
+            serverSeedHash: gameState.fairness.serverSeedHash,
+            clientSeed: gameState.fairness.clientSeed
+        });
+    }
 
-// Add rate limiter specifically for time checks
-const timeCheckLimiter = rateLimit({
-    windowMs: 1 * 60 * 1000, // 1 minute
-    max: 120, // Allow checking twice per second on average
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: "Too many time check requests, please slow down"
-});
-
-// Apply the time check limiter to the time endpoint
-app.get('/lucky-triple/time/:gameId', timeCheckLimiter, (req, res) => {
-    const { gameId } = req.params;
-    
-    // Find game based on gameId
-    let gameState = null;
-    let playerId = null;
-    
-    for (const [pid, state] of playerGameSessions.entries()) {
-        if (state.gameId === gameId) {
-            gameState = state;
-            playerId = pid;
-            break;
+    // Write a mutated game state back to the journal, unless the session was already replaced or removed
+    function persistGameSession(gameState) {
+        sessionRegistry.update(gameState);
+    }
+
+    // Sessions are journaled on every hold and draw. The variant rules do not
+    // change during a game and are journaled once with the fairness record, so
+    // they are left out and put back by restoreSessionRules().
+    function toJournaledSession({ rules, fairness, ...session }) {
+        const { rules: fairnessRules, ...journaledFairness } = fairness;
+        return { ...session, fairness: journaledFairness };
+    }
+
+    // Give sessions reloaded from the journal their rules back, from the fairness
+    // record written when the game started (the variant may have changed since)
+    function restoreSessionRules() {
+        for (const gameState of sessionRegistry.values()) {
+            if (gameState.rules) continue;
+            const record = fairnessRecords.get(gameState.gameId);
+            gameState.rules = record ? record.rules : gameVariants.lookup(gameState.variant);
+            gameState.fairness.rules = gameState.rules;
         }
     }
-    
-    if (!gameState) {
-        return res.status(404).json({ error: 'Game not found' });
+
+    // Time the game out when its timer runs out, even if the client stops polling
+    function scheduleGameTimeout(gameState) {
+        const { gameId, playerId } = gameState;
+        const remaining = Math.max(0, gameState.timestamp + gameState.timeoutMs - now());
+        
+        // The timer is not part of the request that started the game
+        clock.clearTimeout(gameTimeouts.get(gameId));
+        gameTimeouts.set(gameId, clock.setTimeout(() => runDetached(() => {
+            gameTimeouts.delete(gameId);
+            const current = sessionRegistry.getByGameId(gameId);
+            if (!current || current.isEnded) return;
+            
+            const timeCheck = verifyTimeRemaining(current, playerId);
+            if (timeCheck.isTimedOut) {
+                sessionRegistry.removeGameLater(gameId, 5000);
+            }
+        }), remaining + 100));
     }
-    
-    // Calculate remaining time
-    const now = Date.now();
-    const elapsed = now - gameState.timestamp;
-    const timeRemaining = Math.max(0, GAME_CONFIG.GAME_TIMEOUT_MS - elapsed);
-    
-    // If time's up and game is not marked as ended
-    if (timeRemaining <= 0 && !gameState.isEnded) {
-        gameState.isEnded = true;
-        gameState.timedOut = true;
+
+    // Reload state from the journal after a restart: reschedule timeouts of active games,
+    // finish ended games and let the payout queue resume unfinished payouts
+    function restorePersistedState() {
+        const restoredAt = now();
+        let activeGames = 0;
+        
+        for (const gameState of sessionRegistry.values()) {
+            // The session holds the freshest copy of the fairness record
+            if (gameState.fairness) {
+                fairnessRecords.set(gameState.gameId, gameState.fairness);
+            }
+            
+            if (gameState.isEnded) {
+                if (gameState.currentReward > 0 && !gameState.timedOut && !payoutQueue.findByGameId(gameState.gameId)) {
+                    processReward(gameState).catch(error => {
+                        logger.error('payout.reward-failed', { gameId: gameState.gameId, playerId: gameState.playerId, error });
+                    });
+                }
+                sessionRegistry.removeGameLater(gameState.gameId, 5000);
+            } else {
+                // Refund rule: the game ran out of time while the server was down
+                if (gameState.timestamp + gameState.timeoutMs <= restoredAt) {
+                    refundGameFee(gameState, 'server-downtime');
+                }
+                scheduleGameTimeout(gameState);
+                activeGames++;
+            }
+        }
+        
+        // Fee claims that were still being verified when the server stopped can be used again
+        for (const [signature, entry] of entryFeeVerifier.usedSignatures.entries()) {
+            if (entry.status === 'pending') {
+                entryFeeVerifier.usedSignatures.delete(signature);
+            }
+        }
+        refundUnassignedFees(0);
+        
+        // Refund rule: a paid game that has neither a session nor a history record was lost
+        for (const [signature, entry] of entryFeeVerifier.usedSignatures.entries()) {
+            if (entry.status !== 'used' || !entry.gameId) continue;
+            if (sessionRegistry.getByGameId(entry.gameId) || playerHistory.get(entry.gameId)) continue;
+            if (!(entry.entryFee > 0)) continue;
+            refundLedger.request({
+                gameId: entry.gameId,
+                playerId: entry.playerId,
+                amount: entry.entryFee,
+                entryFeeSignature: signature,
+                reason: 'session-lost'
+            });
+        }
+        
+        const pendingPayouts = Array.from(payoutQueue.records.values()).filter(payout => payout.status === 'pending').length;
+        logger.info('journal.restored', { activeGames, pendingPayouts });
+    }
+
+    // Funkcja do przetwarzania nagrody
+    async function processReward(gameState) {
+        // Check if reward was already processed
+        if (gameState.rewardPaid) {
+            logger.debug('payout.reward-already-paid', { gameId: gameState.gameId, playerId: gameState.playerId });
+            return;
+        }
+        
+        if (gameState.practice) {
+            logger.debug('payout.practice-game', { gameId: gameState.gameId, playerId: gameState.playerId });
+            return;
+        }
+        
+        if (gameState.tournamentId) {
+            logger.debug('payout.tournament-game', { gameId: gameState.gameId, playerId: gameState.playerId, tournamentId: gameState.tournamentId });
+            return;
+        }
+        
+        // Check if player won
+        if (gameState.currentReward <= 0) {
+            logger.debug('payout.no-reward', { gameId: gameState.gameId, playerId: gameState.playerId });
+            return;
+        }
+        
+        // Queue CARDS reward - rewardPaid is set once the transfer is confirmed
+        sendCardsReward(gameState.playerId, gameState.gameId, gameState.currentReward);
+    }
+
+    // Keep game records in step with the payout queue
+    function handlePayoutStatusChange(payout) {
+        // Every confirmed transfer (reward or refund) lowers the treasury balance
+        if (payout.status === 'confirmed') {
+            treasury.refresh();
+        }
+        
+        if (payout.kind !== 'reward') return;
+        
+        playerHistory.updatePayout(payout.gameId, payout);
+        
+        gameEvents.publish(payout.gameId, 'payout', {
+            gameId: payout.gameId,
+            amount: payout.amount,
+            status: payout.status,
+            signature: payout.signature,
+            attempts: payout.attempts
+        });
+        
+        if (payout.status !== 'confirmed') return;
+        
+        const completedGame = completedGames.get(payout.gameId);
+        if (completedGame) {
+            completedGame.processed = true;
+        }
+        
+        const gameState = sessionRegistry.getByGameId(payout.gameId);
+        if (gameState) {
+            gameState.rewardPaid = true;
+            sessionRegistry.update(gameState);
+        }
+    }
+
+    // Paid CARDS, failures and confirmation time of every payout (rewards and refunds)
+    function recordPayoutMetrics(payout) {
+        if (payout.status === 'confirmed') {
+            gameMetrics.cardsPaid.inc({ kind: payout.kind }, payout.amount);
+            gameMetrics.payoutConfirmation.observe({ kind: payout.kind }, (payout.confirmedAt - payout.createdAt) / 1000);
+        } else if (payout.status === 'failed') {
+            gameMetrics.payoutFailures.inc({ kind: payout.kind });
+        }
+    }
+
+    // Payout steps (queued, submitted, confirmed, ...) in the trail of their game.
+    // The payout queue logs these steps itself.
+    function recordPayoutTrail(payout, event) {
+        if (!payout.gameId || !event) return;
+        gameTrail.record(payout, `payout-${event}`, {
+            payoutKey: payout.key,
+            kind: payout.kind,
+            amount: payout.amount,
+            status: payout.status,
+            signature: payout.signature,
+            attempts: payout.attempts,
+            error: ['failed', 'retry-scheduled', 'send-failed'].includes(event) ? payout.lastError : undefined
+        }, { log: false });
+    }
+
+    payoutQueue.onStatusChange(handlePayoutStatusChange);
+    payoutQueue.onStatusChange(recordPayoutMetrics);
+    payoutQueue.onStatusChange(recordPayoutTrail);
+    payoutQueue.onStatusChange(refundLedger.updatePayout);
+    payoutQueue.onStatusChange(refundFailedReward);
+
+    // Largest reward a game of the variant can pay
+    function getMaxReward(variant) {
+        return Math.max(0, ...Object.values(variant.paytable));
+    }
+
+    // CARDS the treasury still owes: unpaid payouts (pending or failed, which an
+    // operator may retry), the largest possible reward of every running paid game
+    // and the prizes of tournaments that are not settled yet
+    function getOwedRewards() {
+        let owed = 0;
+        for (const payout of payoutQueue.records.values()) {
+            if (payout.status === 'pending' || payout.status === 'failed') {
+                owed += payout.amount;
+            }
+        }
+        for (const gameState of sessionRegistry.values()) {
+            if (!gameState.isEnded && !gameState.practice && !gameState.tournamentId) {
+                owed += getMaxReward(gameState.rules);
+            }
+        }
+        return owed + tournaments.getOwed();
+    }
+
+    // Check for timed out games and clean them up
+    function cleanupInactiveGameSessions() {
+        const oneHourAgo = now() - 60 * 60 * 1000; // 1 godzina dla Lucky Triple
+        const initialSize = sessionRegistry.size;
+        let removedCount = 0;
+        
+        for (const [playerId, gameState] of Array.from(sessionRegistry.entries())) {
+            // Sprawdź ostatni czas aktywności gry
+            const lastActionTime = gameState.lastActionTime || gameState.timestamp || 0;
+            
+            // Jeśli nie było aktywności przez 1 godzinę, usuń sesję
+            if (lastActionTime < oneHourAgo) {
+                abandonGame(gameState, 'inactive');
+                sessionRegistry.remove(playerId);
+                removedCount++;
+                logger.info('session.removed-inactive', { gameId: gameState.gameId, playerId });
+            }
+        }
+        
+        if (removedCount > 0) {
+            logger.info('session.cleanup', { removed: removedCount, remaining: sessionRegistry.size });
+        }
+        
+        // Hold advice is only kept while its game is in progress
+        for (const gameId of Array.from(holdAdviceCache.keys())) {
+            if (!sessionRegistry.getByGameId(gameId)) {
+                holdAdviceCache.delete(gameId);
+            }
+        }
+    }
+
+    // Czyść nieaktywne sesje gier co 30 minut
+    runEvery(cleanupInactiveGameSessions, 30 * 60 * 1000);
+
+    // Function to clean up old completed games to prevent memory leaks
+    function cleanupOldCompletedGames() {
+        const twentyFourHoursAgo = now() - 24 * 60 * 60 * 1000;
+        const initialSize = completedGames.size;
+        
+        for (const [gameId, gameData] of completedGames.entries()) {
+            // Remove entries older than 24 hours
+            if (gameData.timestamp < twentyFourHoursAgo) {
+                completedGames.delete(gameId);
+            }
+        }
+        
+        const removedCount = initialSize - completedGames.size;
+        logger.info('cleanup.completed-games', { removed: removedCount, remaining: completedGames.size });
+        
+        // Revealed fairness records are kept for 24 hours as well
+        for (const [gameId, record] of fairnessRecords.entries()) {
+            if (record.revealed && record.timestamp < twentyFourHoursAgo) {
+                fairnessRecords.delete(gameId);
+            }
+        }
+        
+        const removedTrails = gameTrail.cleanup(GAME_CONFIG.TRAIL_RETENTION_MS);
+        if (removedTrails > 0) {
+            logger.info('cleanup.game-trails', { removed: removedTrails });
+        }
+        
+        const removedReplays = gameReplays.cleanup(GAME_CONFIG.REPLAY_RETENTION_MS);
+        if (removedReplays > 0) {
+            logger.info('cleanup.game-replays', { removed: removedReplays });
+        }
+        
+        const removedCommitments = seedCommitments.cleanup(GAME_CONFIG.SEED_COMMITMENT_RETENTION_MS);
+        if (removedCommitments > 0) {
+            logger.info('cleanup.seed-commitments', { removed: removedCommitments });
+        }
+        
+        const removedHistory = playerHistory.cleanup(GAME_CONFIG.HISTORY_RETENTION_MS);
+        if (removedHistory > 0) {
+            logger.info('cleanup.player-history', { removed: removedHistory });
+        }
+    }
+
+    // Clean up old completed games once per day
+    runEvery(cleanupOldCompletedGames, 24 * 60 * 60 * 1000);
+
+    // Pause and resume of new games by an operator, kept in the journal so a pause survives a restart
+    const gameCreation = {
+        getState() {
+            return adminState.get('gameCreation') || { paused: false, reason: null, changedBy: null, changedAt: null };
+        },
+        pause(reason, actor) {
+            const state = { paused: true, reason, changedBy: actor, changedAt: now() };
+            adminState.set('gameCreation', state);
+            logger.warn('game-creation.paused', { actor, reason });
+            return state;
+        },
+        resume(actor) {
+            const state = { paused: false, reason: null, changedBy: actor, changedAt: now() };
+            adminState.set('gameCreation', state);
+            logger.info('game-creation.resumed', { actor });
+            return state;
+        }
+    };
+
+    // Session summary for the admin API - no deck order or server seed
+    function describeGame(gameState) {
+        return {
+            gameId: gameState.gameId,
+            playerId: gameState.playerId,
+            variant: gameState.variant,
+            practice: gameState.practice === true,
+            tournamentId: gameState.tournamentId || null,
+            entryFee: gameState.entryFee,
+            roundsPlayed: gameState.roundsPlayed,
+            maxRounds: gameState.maxRounds,
+            cards: gameState.cards,
+            heldCards: gameState.heldCards,
+            currentCombination: gameState.currentCombination,
+            currentReward: gameState.currentReward,
+            isEnded: gameState.isEnded,
+            timedOut: gameState.timedOut,
+            forcedEnd: gameState.forcedEnd || null,
+            startedAt: gameState.timestamp,
+            lastActionTime: gameState.lastActionTime,
+            timeRemaining: gameState.isEnded ? 0 : Math.max(0, Math.ceil((gameState.timestamp + gameState.timeoutMs - now()) / 1000)),
+            payoutStatus: getPayoutStatus(gameState.gameId)
+        };
+    }
+
+    // End a running game from the admin API. The hand is not paid out; a refund
+    // of the entry fee is a separate action.
+    function forceEndGame(gameState, { reason, actor }) {
+        gameState.isEnded = true;
+        gameState.forcedEnd = { by: actor, reason, at: now() };
+        gameState.lastActionTime = now();
+        gameTrail.record(gameState, 'force-ended', { actor, reason, round: gameState.roundsPlayed });
+        revealServerSeed(gameState);
+        recordGameEnd(gameState, 'cancelled');
+        persistGameSession(gameState);
+        
+        gameEvents.publish(gameState.gameId, 'ended', {
+            gameId: gameState.gameId,
+            playerId: gameState.playerId,
+            combination: gameState.currentCombination,
+            reward: 0,
+            gameCompleted: false,
+            isEnded: true,
+            isWin: false,
+            forced: true,
+            reason,
+            message: 'The game was ended by an operator',
+            serverSeed: gameState.fairness.serverSeed,
+            serverSeedHash: gameState.fairness.serverSeedHash,
+            clientSeed: gameState.fairness.clientSeed
+        });
+        sessionRegistry.removeGameLater(gameState.gameId, 10000);
+    }
+
+    // Count every new refund and note it in the game's trail (the ledger logs it)
+    refundLedger.onRequest(refund => {
+        gameMetrics.refunds.inc({ reason: refund.reason });
+        if (refund.gameId) {
+            gameTrail.record(refund, 'refund-requested', {
+                refundKey: refund.key,
+                reason: refund.reason,
+                requestedBy: refund.requestedBy,
+                amount: refund.amount
+            }, { log: false });
+        }
+    });
+
+    // Refund the fee of a game (a session or a history record)
+    function refundGameFee(game, reason, requestedBy = 'server') {
+        if (game.practice || !(game.entryFee > 0)) {
+            return { ok: false, code: 'NO_ENTRY_FEE', error: 'Game has no entry fee to refund' };
+        }
+        return refundLedger.request({
+            gameId: game.gameId,
+            playerId: game.playerId,
+            amount: game.entryFee,
+            entryFeeSignature: game.entryFeeSignature || null,
+            reason,
+            requestedBy
+        });
+    }
+
+    // Send the entry fee of a game back to the player, from the admin API
+    function refundEntryFee(gameId, actor) {
+        const game = sessionRegistry.getByGameId(gameId) || playerHistory.get(gameId);
+        if (!game) {
+            return { ok: false, status: 404, code: 'GAME_NOT_FOUND', error: 'Game not found' };
+        }
+        
+        const result = refundGameFee(game, 'operator', actor);
+        if (!result.ok) {
+            return { ok: false, status: result.duplicate ? 409 : 400, code: result.code, error: result.error };
+        }
+        return { ok: true, refund: result.refund, payout: result.payout };
+    }
+
+    // Refund rule: fees that were verified but never got a game (the server
+    // stopped or failed between the fee check and creating the game)
+    function refundUnassignedFees(minAgeMs) {
+        for (const claim of entryFeeVerifier.findUnassigned(minAgeMs)) {
+            if (claim.entryFee > 0) {
+                refundLedger.request({
+                    playerId: claim.playerId,
+                    amount: claim.entryFee,
+                    entryFeeSignature: claim.signature,
+                    reason: 'game-not-started'
+                });
+            }
+            // The signature stays used, it has been paid back
+            entryFeeVerifier.assignGame(claim.signature, null);
+        }
+    }
+
+    // Refund rule: a reward that failed without ever being sent gives the entry fee back
+    function refundFailedReward(payout, event) {
+        if (payout.kind !== 'reward' || event !== 'failed' || payout.submittedAt) return;
+        const game = sessionRegistry.getByGameId(payout.gameId) || playerHistory.get(payout.gameId);
+        if (game) {
+            refundGameFee(game, 'payout-failed');
+        }
+    }
+
+    // Effective configuration for the admin API - public values only
+    function getAdminConfig() {
+        return {
+            network: SOLANA_NETWORK,
+            rpc: rpcPool ? rpcPool.getStatus() : null,
+            payments: paymentBackend.describe(),
+            dataDir: DATA_DIR,
+            environment: config.environment,
+            defaultVariant: gameVariants.defaultVariant,
+            variants: gameVariants.list({ includeDisabled: true }),
+            game: GAME_CONFIG,
+            gameCreation: gameCreation.getState(),
+            admin: {
+                apiKeyConfigured: Boolean(config.adminApiKey),
+                adminWallets: config.adminWallets
+            },
+            walletLimits: {
+                gameActionsPer5Minutes: config.walletGameActionLimit,
+                gamesCreatedPerMinute: config.walletCreateGameLimit,
+                ...walletLimits.getConfig()
+            }
+        };
+    }
+
+    // New tournament from the admin API, in the default variant unless one is given
+    function createTournament(options, actor) {
+        if (options.variant && !gameVariants.has(options.variant)) {
+            return { ok: false, status: 400, code: 'INVALID_TOURNAMENT', error: `Unknown variant "${options.variant}"` };
+        }
+        return tournaments.create({
+            ...options,
+            id: `t-${randomBytes(6).toString('hex')}`,
+            variant: options.variant || gameVariants.defaultVariant,
+            createdBy: actor
+        });
+    }
+
+    // Admin API - operators only (API key or admin wallet), every action is audited
+    const adminRouter = createAdminRouter({
+        requireAdmin: adminAuth.requireAdmin,
+        auditLog,
+        sessionRegistry,
+        payoutQueue,
+        gameCreation,
+        treasury,
+        rpcPool,
+        describeGame,
+        forceEndGame,
+        refundEntryFee,
+        refundLedger,
+        gameTrail,
+        walletLimits,
+        tournaments,
+        createTournament,
+        settleTournament,
+        cancelTournament,
+        getConfig: getAdminConfig
+    });
+    app.use('/lucky-triple/admin', gameActionLimiter, adminRouter);
+
+    // Add debugging endpoint (only in non-production)
+    if (config.environment !== 'production') {
+        app.get('/lucky-triple/debug/server-state', (req, res) => {
+            const activePlayersList = Array.from(sessionRegistry.keys());
+            const completedGamesList = Array.from(completedGames.entries()).map(([gameId, data]) => ({
+                gameId,
+                ...data
+            }));
+            const paidRewardsList = Array.from(payoutQueue.records.values()).map(payout => ({
+                key: payout.key,
+                status: payout.status,
+                signature: payout.signature,
+                attempts: payout.attempts
+            }));
+            
+            res.json({
+                activePlayers: activePlayersList,
+                activePlayerCount: activePlayersList.length,
+                completedGames: completedGamesList,
+                completedGameCount: completedGamesList.length,
+                paidRewards: paidRewardsList,
+                paidRewardsCount: paidRewardsList.length,
+                totalGames: sessionRegistry.size
+            });
+        });
+    } else {
+        // In production, return 404 for this endpoint
+        app.get('/lucky-triple/debug/server-state', (req, res) => {
+            sendError(res, 404, 'ROUTE_NOT_FOUND', 'Endpoint not found');
+        });
+    }
+
+    // Simulated wallet for the in-memory payment backend - players get CARDS and
+    // pay entry fees here instead of on Solana
+    if (memoryLedger) {
+        app.post('/lucky-triple/dev/ledger/airdrop', gameActionLimiter, validate({
+            body: {
+                address: { ...fields.address, required: true },
+                amount: { type: 'number', min: 0, default: 0 }
+            }
+        }), (req, res) => {
+            const { address, amount } = req.body;
+            const result = memoryLedger.airdrop(address, amount);
+            if (!result.ok) {
+                return sendError(res, 400, 'LEDGER_TRANSFER_FAILED', result.error);
+            }
+            res.json({ signature: result.transfer.signature, balance: result.balance });
+        });
+
+        // Transfer from the signed-in wallet, to the treasury unless `to` is given.
+        // The signature is the entry fee signature for /start and /reset.
+        app.post('/lucky-triple/dev/ledger/transfer', gameActionLimiter, requireWalletSession, validate({
+            body: {
+                to: fields.address,
+                amount: { type: 'number', exclusiveMin: 0, required: true }
+            }
+        }), (req, res) => {
+            const { to, amount } = req.body;
+            const result = memoryLedger.transfer({ from: req.walletAddress, to, amount });
+            if (!result.ok) {
+                return sendError(res, 400, 'LEDGER_TRANSFER_FAILED', result.error);
+            }
+            res.json({
+                signature: result.transfer.signature,
+                balance: memoryLedger.getAccount(req.walletAddress).balance
+            });
+        });
+
+        app.get('/lucky-triple/dev/ledger/accounts/:address', validate({ params: { address: fields.address } }), (req, res) => {
+            const account = memoryLedger.getAccount(req.params.address);
+            if (!account) {
+                return sendError(res, 404, 'LEDGER_ACCOUNT_NOT_FOUND', 'No CARDS token account for this address');
+            }
+            res.json(account);
+        });
+    }
+
+    app.post('/lucky-triple/draw', gameActionLimiter, gameActionWallet, gameIdBody, (req, res) => {
+        const { gameId } = req.body;
+        
+        // Find game based on gameId
+        const gameState = sessionRegistry.getByGameId(gameId);
+        const playerId = gameState ? gameState.playerId : null;
+        
+        if (!gameState) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (!ownsGame(req, gameState)) {
+            return sendError(res, 403, 'NOT_GAME_OWNER', 'Game does not belong to the signed-in wallet');
+        }
+        
+        // Check if game is already ended
+        if (gameState.isEnded) {
+            return sendError(res, 400, 'GAME_ENDED', 'Game has already ended');
+        }
+        
+        // Weryfikacja czasu - użyj nowej funkcji
+        const timeCheck = verifyTimeRemaining(gameState, playerId);
+        if (!timeCheck) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (timeCheck.isTimedOut) {
+            // Remove from session
+            sessionRegistry.removeGame(gameState.gameId);
+            
+            return sendError(res, 400, 'GAME_TIMED_OUT', 'Game has timed out', {
+                timeRemaining: 0,
+                isTimedOut: true,
+                isEnded: true,
+                serverTime: timeCheck.serverTime
+            });
+        }
+        
+        // Check if max rounds reached
+        if (gameState.roundsPlayed >= gameState.maxRounds) {
+            // Mark game as ended
+            gameState.isEnded = true;
+            gameState.lastActionTime = now();
+            sessionRegistry.update(gameState);
+            return sendError(res, 400, 'INVALID_ROUND', 'Maximum rounds reached for this game');
+        }
+        
+        // If not enough cards left, recreate deck from the next nonce
+        let deckRefilled = false;
+        if (gameState.deck.length < HAND_SIZE) {
+            gameState.fairness.deckNonce += 1;
+            gameState.deck = createGameDeck(gameState.fairness, gameState.fairness.deckNonce);
+            deckRefilled = true;
+        }
+        
+        // Store current held cards before resetting them
+        const currentHeldCards = [...(gameState.heldCards || [])];
+        const previousCards = [...(gameState.cards || [])];
+        
+        const roundsPlayedBefore = gameState.roundsPlayed;
+        
+        // Draw new cards, keeping held cards for current draw (first round draws all new cards)
+        const newCards = dealHand(gameState.deck, previousCards, roundsPlayedBefore === 0 ? [] : currentHeldCards);
+        
+        // Record the holds so the draw can be rebuilt from the revealed seeds
+        gameState.fairness.draws.push(roundsPlayedBefore === 0 ? [] : currentHeldCards);
+        
+        // Evaluate the hand
+        const handResult = evaluateHandCombination(newCards, gameState.rules);
+        
+        // Update game state
+        gameState.cards = newCards;
+        gameState.currentCombination = handResult.combination;
+        gameState.currentReward = handResult.reward;
+        gameState.roundsPlayed += 1;
+        gameState.lastActionTime = now(); // Aktualizuj czas aktywności
+        
+        // Reset held cards for next round
+        gameState.heldCards = [];
+        
+        const heldIndexes = roundsPlayedBefore === 0 ? [] : currentHeldCards;
+        gameReplays.recordDraw(gameState, { previousCards, heldIndexes, deckRefilled });
+        gameTrail.record(gameState, 'draw', {
+            round: gameState.roundsPlayed,
+            heldIndexes,
+            heldCards: heldIndexes.map(index => previousCards[index]),
+            cards: newCards,
+            combination: handResult.combination,
+            reward: handResult.reward,
+            deckNonce: gameState.fairness.deckNonce,
+            deckRefilled,
+            remainingCards: gameState.deck.length
+        });
+        
+        // Check if this is the last round
+        if (gameState.roundsPlayed >= gameState.maxRounds) {
+            gameState.isEnded = true;
+            revealServerSeed(gameState);
+            recordGameEnd(gameState, gameState.currentReward > 0 ? 'win' : 'loss');
+            
+            // Jeśli jest to ostatnia runda i gracz wygrał, przetwórz nagrodę
+            if (gameState.currentReward > 0) {
+                // Dodaj grę do zakończonych
+                completedGames.set(gameState.gameId, {
+                    playerId: playerId,
+                    result: 'win',
+                    timestamp: now(),
+                    processed: false
+                });
+                
+                // Process reward asynchronously
+                processReward(gameState).catch(error => {
+                    logger.error('payout.reward-failed', { gameId: gameState.gameId, playerId: gameState.playerId, error });
+                });
+            } else {
+                // Dodaj grę do zakończonych (przegrana)
+                completedGames.set(gameState.gameId, {
+                    playerId: playerId,
+                    result: 'loss',
+                    timestamp: now(),
+                    processed: true // Nie ma nagrody, więc oznaczamy jako przetworzone
+                });
+                
+                // Usuń gracza z aktywnych po opóźnieniu
+                sessionRegistry.removeGameLater(gameState.gameId, 5000);
+            }
+        }
+        
+        sessionRegistry.update(gameState);
+        
+        // Calculate remaining time
+        let remainingTime;
+        if (gameState.isEnded) {
+            remainingTime = 0;
+        } else {
+            const timeStatus = verifyTimeRemaining(gameState, playerId);
+            remainingTime = timeStatus.timeRemaining;
+        }
+        
+        const roundResult = {
+            gameId: gameState.gameId,
+            cards: newCards,
+            combination: handResult.combination,
+            reward: handResult.reward,
+            roundsLeft: gameState.maxRounds - gameState.roundsPlayed,
+            remainingCards: gameState.deck.length,
+            isEnded: gameState.isEnded,
+            timeRemaining: remainingTime,
+            serverTime: timeCheck.serverTime,
+            heldCards: [],
+            previouslyHeld: currentHeldCards,
+            playerId: playerId,
+            rewardPaid: gameState.rewardPaid,
+            serverSeed: gameState.fairness.revealed ? gameState.fairness.serverSeed : undefined
+        };
+        
+        gameEvents.publish(gameState.gameId, 'round', { round: gameState.roundsPlayed, ...roundResult });
+        res.json(roundResult);
+    });
+
+    app.post('/lucky-triple/check', gameActionLimiter, gameActionWallet, gameIdBody, async (req, res) => {
+        const { gameId } = req.body;
+        
+        // Find game based on gameId
+        const gameState = sessionRegistry.getByGameId(gameId);
+        const playerId = gameState ? gameState.playerId : null;
+        
+        if (!gameState) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (!ownsGame(req, gameState)) {
+            return sendError(res, 403, 'NOT_GAME_OWNER', 'Game does not belong to the signed-in wallet');
+        }
+        
+        // A game that timed out or was ended by an operator stays in the session for a few
+        // seconds; its hand must not be paid out
+        if (gameState.timedOut) {
+            return sendError(res, 400, 'GAME_TIMED_OUT', 'Game has timed out', { isTimedOut: true, isEnded: true });
+        }
+        
+        if (gameState.forcedEnd) {
+            return sendError(res, 400, 'GAME_ENDED', 'Game was ended by an operator');
+        }
+        
+        // Weryfikacja czasu - użyj nowej funkcji
+        const timeCheck = verifyTimeRemaining(gameState, playerId);
+        if (!timeCheck) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (timeCheck.isTimedOut) {
+            // Remove from session
+            sessionRegistry.removeGame(gameState.gameId);
+            
+            return sendError(res, 400, 'GAME_TIMED_OUT', 'Game has timed out', {
+                timeRemaining: 0,
+                isTimedOut: true,
+                isEnded: true,
+                serverTime: timeCheck.serverTime
+            });
+        }
+        
+        // Mark game as ended
+        gameState.isEnded = true;
+        gameState.lastActionTime = now();
+        gameTrail.record(gameState, 'check', {
+            round: gameState.roundsPlayed,
+            cards: gameState.cards,
+            combination: gameState.currentCombination,
+            reward: gameState.currentReward
+        });
+        revealServerSeed(gameState);
+        recordGameEnd(gameState, gameState.currentReward > 0 ? 'win' : 'loss');
+        
+        // Dodajemy grę do zakończonych
+        completedGames.set(gameState.gameId, {
+            playerId: playerId,
+            result: gameState.currentReward > 0 ? 'win' : 'loss',
+            timestamp: now(),
+            processed: false
+        });
+        
+        // Usuń gracza z aktywnych po opóźnieniu, aby zapobiec wyścigom
+        sessionRegistry.removeGameLater(gameState.gameId, 5000);
+        
+        // Generate a message based on the combination and reward
+        let message;
+        if (gameState.currentReward > 0) {
+            if (gameState.practice) {
+                message = `Practice game: a ${gameState.currentCombination} hand would win ${gameState.currentReward} CARDS.`;
+            } else if (gameState.tournamentId) {
+                message = `Tournament game: your ${gameState.currentCombination} hand scores ${gameState.currentReward} points.`;
+            } else {
+                message = `Congratulations! You won ${gameState.currentReward} CARDS with a ${gameState.currentCombination} hand!`;
+            }
+            
+            // Process reward asynchronicznie
+            processReward(gameState).catch(error => {
+                logger.error('payout.reward-failed', { gameId: gameState.gameId, playerId: gameState.playerId, error });
+            });
+        } else {
+            message = `Game over. Your final hand was ${gameState.currentCombination}.`;
+        }
+        
+        // Update game state before response
+        sessionRegistry.update(gameState);
+        
+        // Return final result
+        const finalResult = {
+            gameId: gameState.gameId,
+            playerId: playerId,
+            combination: gameState.currentCombination,
+            reward: gameState.currentReward, // Wyślij nagrodę w CARDS
+            gameCompleted: true,
+            isEnded: true,
+            isWin: gameState.currentReward > 0,
+            timeRemaining: 0,
+            message: message,
+            rewardPaid: gameState.rewardPaid,
+            serverSeed: gameState.fairness.serverSeed,
+            serverSeedHash: gameState.fairness.serverSeedHash,
+            clientSeed: gameState.fairness.clientSeed
+        };
+        gameEvents.publish(gameState.gameId, 'ended', finalResult);
+        res.json(finalResult);
+        
+        // Clear the game from memory after it's completed
+        sessionRegistry.removeGameLater(gameState.gameId, 10000); // Opóźnione usuwanie, aby umożliwić sprawdzenie stanu gry
+    });
+
+    // Add status endpoint
+    app.get('/lucky-triple/status/:gameId', requireWalletSession, gameIdParam, (req, res) => {
+        const { gameId } = req.params;
+        
+        // Find game based on gameId
+        const gameState = sessionRegistry.getByGameId(gameId);
+        const playerId = gameState ? gameState.playerId : null;
+        
+        if (!gameState) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (!ownsGame(req, gameState)) {
+            return sendError(res, 403, 'NOT_GAME_OWNER', 'Game does not belong to the signed-in wallet');
+        }
+        
+        // Check time remaining using new function
+        const timeCheck = verifyTimeRemaining(gameState, playerId);
+        if (!timeCheck) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (timeCheck.isTimedOut) {
+            // Remove game from memory if timed out
+            sessionRegistry.removeGame(gameState.gameId);
+            return sendError(res, 400, 'GAME_TIMED_OUT', 'Game has timed out', {
+                timeRemaining: 0,
+                isTimedOut: true,
+                isEnded: true,
+                serverTime: timeCheck.serverTime
+            });
+        }
+        
+        return res.json({
+            gameId: gameState.gameId,
+            playerId: playerId,
+            isEnded: gameState.isEnded || timeCheck.isEnded,
+            timedOut: gameState.timedOut || timeCheck.isTimedOut,
+            timeRemaining: timeCheck.timeRemaining,
+            serverTime: timeCheck.serverTime,
+            roundsLeft: gameState.maxRounds - gameState.roundsPlayed,
+            currentCombination: gameState.currentCombination,
+            currentReward: gameState.currentReward,
+            rewardPaid: gameState.rewardPaid,
+            practice: gameState.practice === true,
+            payoutStatus: getPayoutStatus(gameState.gameId)
+        });
+    });
+
+    // Hold advisor - expected reward of every legal hold for the current hand,
+    // by exact enumeration of the remaining draws (see lib/hold-strategy.js)
+    app.get('/lucky-triple/advise/:gameId', adviseLimiter, requireWalletSession, walletLimits.requireAllowedWallet, walletAdviseLimiter, gameIdParam, (req, res) => {
+        const { gameId } = req.params;
+        
+        const gameState = sessionRegistry.getByGameId(gameId);
+        
+        if (!gameState) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (!ownsGame(req, gameState)) {
+            return sendError(res, 403, 'NOT_GAME_OWNER', 'Game does not belong to the signed-in wallet');
+        }
+        
+        const advisorMode = gameState.rules.advisor || 'enabled';
+        if (advisorMode === 'disabled') {
+            return sendError(res, 403, 'ADVISOR_DISABLED', 'Hold advisor is disabled for this game variant');
+        }
+        if (advisorMode === 'practice' && !gameState.practice) {
+            return sendError(res, 403, 'ADVISOR_DISABLED', 'Hold advisor is only available in practice games of this variant');
+        }
+        
+        const timeCheck = verifyTimeRemaining(gameState, gameState.playerId);
+        if (timeCheck.isTimedOut) {
+            sessionRegistry.removeGameLater(gameState.gameId, 5000);
+            return sendError(res, 400, 'GAME_TIMED_OUT', 'Game has timed out', { isTimedOut: true, isEnded: true });
+        }
+        
+        if (gameState.isEnded) {
+            return sendError(res, 400, 'GAME_ENDED', 'Game has already ended');
+        }
+        
+        if (gameState.roundsPlayed === 0) {
+            return sendError(res, 400, 'INVALID_ROUND', 'Draw your first cards before asking for advice');
+        }
+        
+        const roundsLeft = gameState.maxRounds - gameState.roundsPlayed;
+        if (roundsLeft <= 0) {
+            return sendError(res, 400, 'INVALID_ROUND', 'No draws left in this game');
+        }
+        
+        res.json({
+            gameId,
+            roundsPlayed: gameState.roundsPlayed,
+            roundsLeft,
+            cards: gameState.cards,
+            deckSize: gameState.deck.length,
+            ...getHoldAdvice(gameState, roundsLeft)
+        });
+    });
+
+    // Payout status for a finished game
+    app.get('/lucky-triple/payout/:gameId', requireWalletSession, gameIdParam, (req, res) => {
+        const { gameId } = req.params;
+        const payout = payoutQueue.findByGameId(gameId);
+        
+        if (!payout) {
+            return sendError(res, 404, 'PAYOUT_NOT_FOUND', 'No payout found for this game');
+        }
+        
+        if (payout.playerId !== req.walletAddress) {
+            return sendError(res, 403, 'NOT_GAME_OWNER', 'Game does not belong to the signed-in wallet');
+        }
+        
+        res.json({
+            gameId: payout.gameId,
+            playerId: payout.playerId,
+            amount: payout.amount,
+            status: payout.status,
+            signature: payout.signature,
+            attempts: payout.attempts,
+            error: payout.status === 'failed' ? payout.lastError : undefined,
+            createdAt: payout.createdAt,
+            confirmedAt: payout.confirmedAt,
+            updatedAt: payout.updatedAt
+        });
+    });
+
+    // Check that the signed-in wallet owns the game
+    function ownsGame(req, gameState) {
+        return Boolean(req.walletAddress) && gameState.playerId === req.walletAddress;
+    }
+
+    function getPayoutStatus(gameId) {
+        const payout = payoutQueue.findByGameId(gameId);
+        return payout ? payout.status : null;
+    }
+
+    // Path of the player routes
+    const playerIdParam = validate({ params: { playerId: fields.address } });
+
+    // Player history - every finished game, newest first
+    app.get('/lucky-triple/players/:playerId/history', validate({
+        params: { playerId: fields.address },
+        query: { limit: fields.limit(100, 20), offset: fields.offset }
+    }), (req, res) => {
+        const { playerId } = req.params;
+        const { limit, offset } = req.query;
+        
+        const { total, games } = playerHistory.getHistory(playerId, { limit, offset });
+        res.json({ playerId, total, limit, offset, games });
+    });
+
+    // Entry fee refunds of a player, newest first
+    app.get('/lucky-triple/players/:playerId/refunds', playerIdParam, (req, res) => {
+        const { playerId } = req.params;
+        
+        const { total, refunds } = refundLedger.list({ playerId, limit: 100 });
+        res.json({
+            playerId,
+            total,
+            refunds: refunds.map(({ key, gameId, amount, reason, status, signature, createdAt, updatedAt }) => ({
+                key, gameId, amount, reason, status, signature, createdAt, updatedAt
+            }))
+        });
+    });
+
+    // Leaderboard for the current day, week or all time
+    app.get('/lucky-triple/leaderboard', validate({
+        query: {
+            period: { type: 'string', enum: leaderboard.PERIODS, default: 'daily' },
+            metric: { type: 'string', enum: leaderboard.METRICS, default: 'net-cards' },
+            limit: fields.limit(100, 10)
+        }
+    }), (req, res) => {
+        const { period, metric, limit } = req.query;
+        
+        res.json(leaderboards.getLeaderboard(period, metric, { limit }));
+    });
+
+    // Player statistics across all finished games
+    app.get('/lucky-triple/players/:playerId/stats', playerIdParam, (req, res) => {
+        const { playerId } = req.params;
+        
+        res.json({ playerId, ...playerHistory.getStats(playerId) });
+    });
+
+    // Tournaments, latest start first
+    app.get('/lucky-triple/tournaments', validate({
+        query: {
+            status: { type: 'string', enum: TOURNAMENT_STATUSES },
+            limit: fields.limit(100, 20),
+            offset: fields.offset
+        }
+    }), (req, res) => {
+        const { status, limit, offset } = req.query;
+        res.json(tournaments.list({ status, limit, offset }));
+    });
+
+    const tournamentIdParam = validate({ params: { tournamentId: fields.tournamentId } });
+
+    // Ranking of a tournament with the prize of every place
+    app.get('/lucky-triple/tournaments/:tournamentId/standings', tournamentIdParam, (req, res) => {
+        const standings = tournaments.getStandings(req.params.tournamentId);
+        if (!standings) {
+            return sendError(res, 404, 'TOURNAMENT_NOT_FOUND', 'Tournament not found');
+        }
+        res.json(standings);
+    });
+
+    // Register for a tournament, paying its buy-in like an entry fee
+    app.post('/lucky-triple/tournaments/:tournamentId/join', gameActionLimiter, gameActionWallet, validate({
+        params: { tournamentId: fields.tournamentId },
+        body: {
+            playerId: { ...fields.address, required: true },
+            buyInSignature: { type: 'string', maxLength: 128 }
+        }
+    }), async (req, res) => {
+        const { tournamentId } = req.params;
+        const { playerId, buyInSignature } = req.body;
+        
+        if (playerId !== req.walletAddress) {
+            return sendError(res, 403, 'WALLET_MISMATCH', 'Player ID does not match the signed-in wallet');
+        }
+        
+        const check = tournaments.checkJoin(tournamentId, playerId);
+        if (!check.ok) {
+            return sendError(res, check.status, check.code, check.error);
+        }
+        
+        const { buyIn } = check.tournament;
+        if (buyIn > 0) {
+            const feeCheck = await verifyEntryFee(buyInSignature, playerId, buyIn);
+            if (!feeCheck.valid) {
+                return sendError(res, feeCheck.status, feeCheck.code, feeCheck.error);
+            }
+        }
+        
+        // The tournament may have filled up or closed while the buy-in was verified
+        const result = tournaments.join(tournamentId, playerId, { buyInSignature: buyIn > 0 ? buyInSignature : null });
+        if (!result.ok) {
+            if (buyIn > 0) entryFeeVerifier.release(buyInSignature);
+            return sendError(res, result.status, result.code, result.error);
+        }
+        if (buyIn > 0) {
+            // The signature stays used, as a buy-in of the tournament rather than a game fee
+            entryFeeVerifier.assignTournament(buyInSignature, tournamentId);
+        }
+        
+        res.json({ tournament: tournaments.get(tournamentId), entry: result.entry });
+    });
+
+    // Start one of the player's tournament games. It is played with /draw, /hold
+    // and /check like any game, costs no entry fee and pays no reward.
+    app.post('/lucky-triple/tournaments/:tournamentId/games', createGameLimiter, createGameWallet, validate({
+        params: { tournamentId: fields.tournamentId },
+        body: {
+            playerId: { ...fields.address, required: true },
+            clientSeed: { type: 'string', maxLength: 64 }
+        }
+    }), (req, res) => {
+        const { tournamentId } = req.params;
+        const { playerId, clientSeed } = req.body;
+        
+        if (playerId !== req.walletAddress) {
+            return sendError(res, 403, 'WALLET_MISMATCH', 'Player ID does not match the signed-in wallet');
+        }
+        
+        const creationState = gameCreation.getState();
+        if (creationState.paused) {
+            return sendError(res, 503, 'GAME_CREATION_PAUSED', 'New games are paused, please try again later', { reason: creationState.reason });
+        }
+        
+        const check = tournaments.checkNewGame(tournamentId, playerId);
+        if (!check.ok) {
+            return sendError(res, check.status, check.code, check.error);
+        }
+        const variant = gameVariants.get(check.tournament.variant);
         
-        // Add to completed games
-        completedGames.set(gameState.gameId, {
-            playerId: playerId,
-            result: 'timeout',
-            timestamp: now,
-            processed: true
-        });
+        if (sessionRegistry.has(playerId)) {
+            abandonGame(sessionRegistry.get(playerId), 'replaced');
+            sessionRegistry.remove(playerId);
+        }
         
-        // Schedule removal from active sessions
-        setTimeout(() => {
-            playerGameSessions.delete(playerId);
-        }, 5000);
+        const gameId = createGameId();
+        const fairness = createFairnessRecord(gameId, playerId, clientSeed, variant);
+        const deck = createGameDeck(fairness, 0);
         
-        return res.json({
-            timeRemaining: 0,
-            isTimedOut: true,
-            isEnded: true,
-            serverTime: now
+        const startTime = now();
+        const gameState = {
+            gameId,
+            playerId,
+            deck,
+            cards: [],
+            heldCards: [],
+            timestamp: startTime,
+            lastActionTime: startTime,
+            currentCombination: 'None',
+            currentReward: 0,
+            roundsPlayed: 0,
+            variant: variant.id,
+            rules: variant,
+            maxRounds: variant.maxRounds,
+            holdLimit: variant.holdLimit,
+            timeoutMs: variant.timeoutMs,
+            entryFee: 0,
+            entryFeeSignature: null,
+            practice: false,
+            tournamentId,
+            isEnded: false,
+            timedOut: false,
+            rewardPaid: false,
+            fairness
+        };
+        
+        sessionRegistry.set(gameState);
+        gameMetrics.gamesStarted.inc({ variant: variant.id, practice: false });
+        scheduleGameTimeout(gameState);
+        const gamesLeft = tournaments.recordGameStarted(tournamentId, playerId, gameId);
+        
+        recordGameCreated(gameState, null, 'tournament');
+        
+        res.json({
+            gameId,
+            playerId,
+            tournamentId,
+            gamesLeft,
+            cards: [],
+            combination: 'None',
+            reward: 0,
+            roundsLeft: variant.maxRounds,
+            isEnded: false,
+            timeRemaining: variant.timeoutMs / 1000,
+            maxRounds: variant.maxRounds,
+            variant: variant.id,
+            holdLimit: variant.holdLimit,
+            practice: false,
+            serverTime: startTime,
+            serverSeedHash: fairness.serverSeedHash,
+            clientSeed: fairness.clientSeed,
+            nextServerSeedHash: seedCommitments.getNextHash(playerId),
+            message: "Tournament game started. Press 'draw' to receive your first cards"
         });
-    }
-    
-    return res.json({
-        timeRemaining: Math.ceil(timeRemaining / 1000), // in seconds
-        isTimedOut: false,
-        isEnded: gameState.isEnded,
-        serverTime: now
     });
-});
 
-// Modify verifyTimeRemaining function to be more strict
-function verifyTimeRemaining(gameState, playerId = null) {
-    if (!gameState) return null;
-    
-    const now = Date.now();
-    const elapsed = now - gameState.timestamp;
-    const timeRemaining = Math.max(0, GAME_CONFIG.GAME_TIMEOUT_MS - elapsed);
-    
-    // If time's up and game is not marked as ended
-    if (timeRemaining <= 0 && !gameState.isEnded) {
-        gameState.isEnded = true;
-        gameState.timedOut = true;
-        
-        // Add to completed games
-        if (playerId) {
-            completedGames.set(gameState.gameId, {
-                playerId: playerId,
-                result: 'timeout',
-                timestamp: now,
-                processed: true
-            });
-        }
+    // Settle a tournament whose window has closed: fix the ranking and queue a
+    // payout of kind 'prize' for every prize
+    function settleTournament(tournamentId, actor) {
+        const result = tournaments.settle(tournamentId, {
+            actor,
+            isGameRunning: gameId => {
+                const gameState = sessionRegistry.getByGameId(gameId);
+                return Boolean(gameState && !gameState.isEnded);
+            }
+        });
+        if (!result.ok) return result;
         
-        return {
-            timeRemaining: 0,
-            isTimedOut: true,
-            isEnded: true,
-            serverTime: now
-        };
+        for (const prize of result.tournament.prizes) {
+            payoutQueue.enqueue({ key: prize.payoutKey, kind: 'prize', gameId: null, playerId: prize.playerId, amount: prize.amount });
+        }
+        return result;
     }
-    
-    return {
-        timeRemaining: Math.ceil(timeRemaining / 1000), // in seconds
-        isTimedOut: false,
-        isEnded: gameState.isEnded,
-        serverTime: now
-    };
-}
 
-// Funkcja do przetwarzania nagrody
-async function processReward(gameState) {
-    // Check if reward was already processed
-    if (gameState.rewardPaid) {
-        console.log(`Reward already paid for game ${gameState.gameId}`);
-        return;
-    }
-    
-    // Check if player won
-    if (gameState.currentReward <= 0) {
-        console.log(`No reward for game ${gameState.gameId}, player didn't win`);
-        return;
-    }
-    
-    try {
-        // Send CARDS reward
-        await sendCardsReward(gameState.playerId, gameState.gameId, gameState.currentReward);
-        
-        // Mark as paid
-        gameState.rewardPaid = true;
+    // Cancel a tournament that has not been settled and refund every buy-in
+    function cancelTournament(tournamentId, { actor, reason }) {
+        const result = tournaments.cancel(tournamentId, { actor, reason });
+        if (!result.ok) return result;
         
-        console.log(`Reward of ${gameState.currentReward} CARDS sent for game ${gameState.gameId} to player ${gameState.playerId}`);
-    } catch (error) {
-        console.error(`Failed to process reward for game ${gameState.gameId}:`, error);
+        // A buy-in refunded before (the ledger is keyed by signature) is reported, not sent again
+        const refunds = result.buyIns.map(entry => refundLedger.request({
+            playerId: entry.playerId,
+            amount: entry.buyIn,
+            entryFeeSignature: entry.buyInSignature,
+            reason: 'tournament-cancelled',
+            requestedBy: actor
+        }).refund);
+        return { ok: true, tournament: result.tournament, refunds };
     }
-}
 
-// Check for timed out games and clean them up
-function cleanupInactiveGameSessions() {
-    const oneHourAgo = Date.now() - 60 * 60 * 1000; // 1 godzina dla Lucky Triple
-    const initialSize = playerGameSessions.size;
-    let removedCount = 0;
-    
-    for (const [playerId, gameState] of playerGameSessions.entries()) {
-        // Sprawdź ostatni czas aktywności gry
-        const lastActionTime = gameState.lastActionTime || gameState.timestamp || 0;
-        
-        // Jeśli nie było aktywności przez 1 godzinę, usuń sesję
-        if (lastActionTime < oneHourAgo) {
-            playerGameSessions.delete(playerId);
-            removedCount++;
-            console.log(`🧹 Removed inactive game session for player: ${playerId}`);
+    // Settle tournaments on their own once their last games have ended
+    runEvery(() => {
+        for (const tournamentId of tournaments.listUnsettled()) {
+            const result = settleTournament(tournamentId, 'server');
+            if (!result.ok && result.code !== 'TOURNAMENT_GAMES_RUNNING') {
+                logger.warn('tournament.settle-failed', { tournamentId, code: result.code, error: result.error });
+            }
         }
-    }
-    
-    if (removedCount > 0) {
-        console.log(`🧹 Cleanup: Removed ${removedCount} inactive game sessions. Remaining: ${playerGameSessions.size}`);
-    }
-}
+    }, 60 * 1000);
 
-// Czyść nieaktywne sesje gier co 30 minut
-setInterval(cleanupInactiveGameSessions, 30 * 60 * 1000);
+    // Live game stream (Server-Sent Events). EventSource cannot set headers, so the
+    // session token may also be passed as ?token=
+    app.get('/lucky-triple/events/:gameId', gameActionLimiter, walletAuth.requireStreamSession, validate({
+        params: { gameId: fields.gameId },
+        query: { token: { type: 'string', maxLength: 128 } }
+    }), (req, res) => {
+        const { gameId } = req.params;
+        const gameState = sessionRegistry.getByGameId(gameId);
+        
+        if (!gameState) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (!ownsGame(req, gameState)) {
+            return sendError(res, 403, 'NOT_GAME_OWNER', 'Game does not belong to the signed-in wallet');
+        }
+        
+        const timeCheck = verifyTimeRemaining(gameState, gameState.playerId);
+        gameEvents.subscribe(gameId, req, res, {
+            gameId,
+            cards: gameState.cards,
+            combination: gameState.currentCombination,
+            reward: gameState.currentReward,
+            roundsLeft: gameState.maxRounds - gameState.roundsPlayed,
+            heldCards: gameState.heldCards,
+            isEnded: gameState.isEnded,
+            timedOut: gameState.timedOut,
+            timeRemaining: timeCheck.timeRemaining,
+            serverTime: timeCheck.serverTime,
+            payoutStatus: getPayoutStatus(gameId)
+        });
+    });
 
-// Function to clean up old completed games to prevent memory leaks
-function cleanupOldCompletedGames() {
-    const twentyFourHoursAgo = Date.now() - 24 * 60 * 60 * 1000;
-    const initialSize = completedGames.size;
-    
-    for (const [gameId, gameData] of completedGames.entries()) {
-        // Remove entries older than 24 hours
-        if (gameData.timestamp < twentyFourHoursAgo) {
-            completedGames.delete(gameId);
+    // Push a countdown tick to every streamed game once per second. Streams are closed
+    // once the game is gone and its payout (if any) is no longer pending.
+    function publishCountdownTicks() {
+        for (const gameId of gameEvents.gameIds()) {
+            const gameState = sessionRegistry.getByGameId(gameId);
+            
+            if (!gameState) {
+                const payout = payoutQueue.findByGameId(gameId);
+                if (!payout || payout.status !== 'pending') {
+                    gameEvents.close(gameId);
+                }
+                continue;
+            }
+            
+            if (gameState.isEnded) continue;
+            
+            const timeCheck = verifyTimeRemaining(gameState, gameState.playerId);
+            if (timeCheck.isTimedOut) {
+                sessionRegistry.removeGameLater(gameId, 5000);
+            } else {
+                gameEvents.publish(gameId, 'tick', { gameId, ...timeCheck });
+            }
         }
     }
-    
-    const removedCount = initialSize - completedGames.size;
-    console.log(`Memory cleanup: Removed ${removedCount} old completed games. Remaining: ${completedGames.size}`);
-}
 
-// Clean up old completed games once per day
-setInterval(cleanupOldCompletedGames, 24 * 60 * 60 * 1000);
+    runEvery(publishCountdownTicks, GAME_CONFIG.TIME_CHECK_INTERVAL_MS);
 
-// Add debugging endpoint (only in non-production)
-if (process.env.NODE_ENV !== 'production') {
-    app.get('/lucky-triple/debug/server-state', (req, res) => {
-        const activePlayersList = Array.from(playerGameSessions.keys());
-        const completedGamesList = Array.from(completedGames.entries()).map(([gameId, data]) => ({
-            gameId,
-            ...data
-        }));
-        const paidRewardsList = Array.from(paidRewards.entries()).map(([key, status]) => ({
-            key,
-            status
-        }));
+    // Provably fair verification - rebuild decks and draws from the revealed seeds
+    app.get('/lucky-triple/verify/:gameId', gameIdParam, (req, res) => {
+        const { gameId } = req.params;
+        const record = fairnessRecords.get(gameId);
+        
+        if (!record) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (!record.revealed) {
+            return sendError(res, 400, 'GAME_IN_PROGRESS', 'Server seed is revealed when the game ends', {
+                gameId,
+                serverSeedHash: record.serverSeedHash,
+                clientSeed: record.clientSeed
+            });
+        }
+        
+        const { decks, rounds } = fairShuffle.replayDraws(record, () => createDeck(record.rules));
         
         res.json({
-            activePlayers: activePlayersList,
-            activePlayerCount: activePlayersList.length,
-            completedGames: completedGamesList,
-            completedGameCount: completedGamesList.length,
-            paidRewards: paidRewardsList,
-            paidRewardsCount: paidRewardsList.length,
-            totalGames: playerGameSessions.size
+            gameId,
+            playerId: record.playerId,
+            serverSeed: record.serverSeed,
+            serverSeedHash: record.serverSeedHash,
+            hashMatches: fairShuffle.hashServerSeed(record.serverSeed) === record.serverSeedHash,
+            clientSeed: record.clientSeed,
+            variant: record.variant,
+            algorithm: fairShuffle.ALGORITHM,
+            decks,
+            rounds: rounds.map(round => ({
+                ...round,
+                ...evaluateHandCombination(round.cards, record.rules)
+            }))
         });
     });
-} else {
-    // In production, return 404 for this endpoint
-    app.get('/lucky-triple/debug/server-state', (req, res) => {
-        res.status(404).json({ error: 'Endpoint not found' });
+
+    // Round-by-round replay of a finished game: cards dealt, holds, replaced
+    // cards, combination after each draw and deck refills
+    app.get('/lucky-triple/replay/:gameId', gameIdParam, (req, res) => {
+        const { gameId } = req.params;
+        const replay = gameReplays.get(gameId);
+        
+        if (!replay) {
+            return sendError(res, 404, 'GAME_NOT_FOUND', 'Game not found');
+        }
+        
+        if (!replay.isEnded) {
+            return sendError(res, 400, 'GAME_IN_PROGRESS', 'Replay is available when the game ends', {
+                gameId,
+                roundsPlayed: replay.rounds.length
+            });
+        }
+        
+        const { updatedAt, ...record } = replay;
+        res.json(record);
     });
-}
 
-app.post('/lucky-triple/draw', gameActionLimiter, (req, res) => {
-    const { gameId } = req.body;
-    
-    // Znajdź grę na podstawie gameId (w gameState)
-    let gameState = null;
-    let playerId = null;
-    
-    for (const [pid, state] of playerGameSessions.entries()) {
-        if (state.gameId === gameId) {
-            gameState = state;
-            playerId = pid;
-            break;
+    // Solvers are built on startup for the variants with an advisor; a variant
+    // that was disabled while its games were running is built on first use
+    function getHoldSolver(variant) {
+        if (!holdSolvers.has(variant.id)) {
+            holdSolvers.set(variant.id, createHoldSolver(variant));
         }
+        return holdSolvers.get(variant.id);
     }
-    
-    if (!gameState) {
-        return res.status(404).json({ error: 'Game not found' });
-    }
-    
-    // Check if game is already ended
-    if (gameState.isEnded) {
-        return res.status(400).json({ error: 'Game has already ended' });
+
+    // Hold advice for the current hand, computed once per round
+    function getHoldAdvice(gameState, roundsLeft) {
+        const cached = holdAdviceCache.get(gameState.gameId);
+        if (cached && cached.roundsPlayed === gameState.roundsPlayed) {
+            return cached.advice;
+        }
+        
+        const analysis = getHoldSolver(gameState.rules).analyzeHand({
+            cards: gameState.cards,
+            deck: gameState.deck,
+            roundsLeft
+        });
+        
+        const stop = analysis.options.find(option => option.stop);
+        const advice = {
+            currentCombination: gameState.currentCombination,
+            currentReward: gameState.currentReward,
+            // Ending the game now with /check
+            stop: { expectedReward: stop.expectedReward },
+            holds: analysis.options.filter(option => !option.stop).map(option => ({
+                heldIndexes: option.heldIndexes,
+                heldCards: option.heldIndexes.map(index => gameState.cards[index]),
+                expectedReward: option.expectedReward,
+                probabilities: option.probabilities
+            })),
+            best: analysis.best.stop
+                ? { action: 'check', heldIndexes: [], expectedReward: analysis.best.expectedReward }
+                : { action: 'hold', heldIndexes: analysis.best.heldIndexes, expectedReward: analysis.best.expectedReward }
+        };
+        
+        holdAdviceCache.set(gameState.gameId, { roundsPlayed: gameState.roundsPlayed, advice });
+        return advice;
     }
-    
-    // Weryfikacja czasu - użyj nowej funkcji
-    const timeCheck = verifyTimeRemaining(gameState, playerId);
-    if (!timeCheck) {
-        return res.status(404).json({ error: 'Game not found' });
+
+    // Helper function to verify the entry fee transaction sent with /start and /reset
+    async function verifyEntryFee(signature, playerId, entryFee) {
+        if (!signature) {
+            logger.warn('entry-fee.missing', { playerId });
+            return { valid: false, status: 400, code: 'FEE_REQUIRED', error: `Entry fee of ${entryFee} CARDS must be paid before creating a game` };
+        }
+        
+        try {
+            const result = await entryFeeVerifier.claim(signature, playerId, entryFee);
+            if (!result.valid) {
+                logger.warn('entry-fee.rejected', { playerId, signature, error: result.error });
+                return { valid: false, status: 400, code: result.code, error: result.error };
+            }
+            return result;
+        } catch (error) {
+            logger.error('entry-fee.verification-failed', { playerId, signature, error });
+            return { valid: false, status: 503, code: 'FEE_VERIFICATION_UNAVAILABLE', error: 'Unable to verify entry fee transaction, please try again' };
+        }
     }
-    
-    if (timeCheck.isTimedOut) {
-        // Remove from session
-        playerGameSessions.delete(playerId);
+
+    // Helper function to queue a CARDS token reward
+    function sendCardsReward(receiverAddress, gameId, rewardAmount) {
+        // Validate receiver address is a valid Solana public key
+        try {
+            new PublicKey(receiverAddress);
+        } catch (error) {
+            logger.error('payout.invalid-address', { gameId, playerId: receiverAddress });
+            throw new Error('Invalid Solana address format');
+        }
         
-        return res.status(400).json({
-            error: 'Game has timed out',
-            timeRemaining: 0,
-            isTimedOut: true,
-            isEnded: true,
-            serverTime: timeCheck.serverTime
+        // Unique key combining player ID and game session - a game is never paid twice
+        const transactionKey = `${receiverAddress}-${gameId}`;
+        
+        return payoutQueue.enqueue({
+            key: transactionKey,
+            kind: 'reward',
+            gameId,
+            playerId: receiverAddress,
+            amount: rewardAmount
         });
     }
-    
-    // Check if max rounds reached
-    if (gameState.roundsPlayed >= gameState.maxRounds) {
-        // Mark game as ended
-        gameState.isEnded = true;
-        gameState.lastActionTime = Date.now();
-        playerGameSessions.set(playerId, gameState);
-        return res.status(400).json({ error: 'Maximum rounds reached for this game' });
-    }
-    
-    // If not enough cards left, recreate deck
-    if (gameState.deck.length < 3) {
-        gameState.deck = createAndShuffleLuckyTripleDeck();
+
+    // Funkcja do czyszczenia starych informacji o wypłatach
+    function cleanupOldPaidRewards() {
+        const removedCount = payoutQueue.cleanup(7 * 24 * 60 * 60 * 1000);
+        logger.info('cleanup.payouts', { removed: removedCount, remaining: payoutQueue.records.size });
     }
-    
-    // Store current held cards before resetting them
-    const currentHeldCards = [...(gameState.heldCards || [])];
-    const previousCards = [...(gameState.cards || [])];
-    
-    // Draw new cards, keeping held cards for current draw
-    let newCards = new Array(3);
-    
-    if (gameState.roundsPlayed === 0) {
-        // First round - draw all new cards
-        for (let i = 0; i < 3; i++) {
-            newCards[i] = gameState.deck.pop();
+
+    // Clean up finished payout records older than 7 days once per day
+    runEvery(cleanupOldPaidRewards, 24 * 60 * 60 * 1000);
+
+    // Remove expired sign-in nonces and sessions every 10 minutes
+    runEvery(() => {
+        walletAuth.cleanup();
+    }, 10 * 60 * 1000);
+
+    // Drop per-wallet usage of past days and expired reset cooldowns every hour
+    runEvery(walletLimits.prune, 60 * 60 * 1000);
+
+    // Refund fees that were verified but never got a game
+    runEvery(() => {
+        refundUnassignedFees(5 * 60 * 1000);
+    }, 60 * 1000);
+
+    // Forget used entry fee signatures that are too old to be replayed
+    runEvery(() => {
+        const removedCount = entryFeeVerifier.cleanup();
+        if (removedCount > 0) {
+            logger.info('cleanup.entry-fee-signatures', { removed: removedCount });
         }
-    } else {
-        // Subsequent rounds - preserve held cards
-        for (let i = 0; i < 3; i++) {
-            if (currentHeldCards.includes(i)) {
-                // Keep the held card from previous round
-                newCards[i] = previousCards[i];
-            } else {
-                // Draw new card for non-held position
-                newCards[i] = gameState.deck.pop();
-            }
+    }, 60 * 60 * 1000);
+
+    // Add a Reset Game endpoint
+    app.post('/lucky-triple/reset', createGameLimiter, createGameWallet, newGameRequest, async (req, res) => {
+        const { playerId, entryFeeSignature, clientSeed, variant: variantId, practice } = req.body;
+        const variant = gameVariants.get(variantId);
+        
+        if (playerId !== req.walletAddress) {
+            return sendError(res, 403, 'WALLET_MISMATCH', 'Player ID does not match the signed-in wallet');
         }
-    }
-    
-    // Evaluate the hand
-    const handResult = evaluateHandCombination(newCards);
-    
-    // Update game state
-    gameState.cards = newCards;
-    gameState.currentCombination = handResult.combination;
-    gameState.currentReward = handResult.reward;
-    gameState.roundsPlayed += 1;
-    gameState.lastActionTime = Date.now(); // Aktualizuj czas aktywności
-    
-    // Reset held cards for next round
-    gameState.heldCards = [];
-    
-    // Check if this is the last round
-    if (gameState.roundsPlayed >= gameState.maxRounds) {
-        gameState.isEnded = true;
         
-        // Jeśli jest to ostatnia runda i gracz wygrał, przetwórz nagrodę
-        if (gameState.currentReward > 0) {
-            // Dodaj grę do zakończonych
-            completedGames.set(gameState.gameId, {
-                playerId: playerId,
-                result: 'win',
-                timestamp: Date.now(),
-                processed: false
-            });
+        // Refuse before the fee signature is claimed, so it can still be used once games resume
+        const creationState = gameCreation.getState();
+        if (creationState.paused) {
+            return sendError(res, 503, 'GAME_CREATION_PAUSED', 'New games are paused, please try again later', { reason: creationState.reason });
+        }
+        
+        // Daily caps and the reset cooldown, also checked before the fee signature is claimed.
+        // A paid game reserves its slot here, released again if the game is not created.
+        const allowance = walletLimits.checkNewGame(playerId, { practice, reset: true });
+        if (!allowance.ok) {
+            return sendWalletLimitError(res, allowance);
+        }
+        
+        // The treasury must be able to pay the largest reward on top of what it already owes
+        const solvency = practice ? { ok: true } : treasury.checkCapacity(getMaxReward(variant));
+        if (!solvency.ok) {
+            walletLimits.releaseGame(allowance.reservation);
+            return sendError(res, 503, solvency.code, solvency.error);
+        }
+        
+        // Check if entry fee is paid - practice games are free and pay no rewards
+        if (!practice) {
+            const feeCheck = await verifyEntryFee(entryFeeSignature, playerId, variant.entryFee);
+            if (!feeCheck.valid) {
+                walletLimits.releaseGame(allowance.reservation);
+                return sendError(res, feeCheck.status, feeCheck.code, feeCheck.error);
+            }
             
-            // Process reward asynchronously
-            processReward(gameState).catch(error => {
-                console.error(`Failed to process reward for game ${gameState.gameId}:`, error);
-            });
-        } else {
-            // Dodaj grę do zakończonych (przegrana)
-            completedGames.set(gameState.gameId, {
-                playerId: playerId,
-                result: 'loss',
-                timestamp: Date.now(),
-                processed: true // Nie ma nagrody, więc oznaczamy jako przetworzone
+            // Other games may have started while the fee was verified - give the signature back if the treasury is now short
+            const recheck = treasury.checkCapacity(getMaxReward(variant));
+            if (!recheck.ok) {
+                entryFeeVerifier.release(entryFeeSignature);
+                walletLimits.releaseGame(allowance.reservation);
+                return sendError(res, 503, recheck.code, recheck.error);
+            }
+        }
+        
+        // Wzorowane na wargame_server.js - po prostu usuń istniejącą grę (jeśli istnieje)
+        if (sessionRegistry.has(playerId)) {
+            abandonGame(sessionRegistry.get(playerId), 'reset');
+            sessionRegistry.remove(playerId);
+        }
+        
+        // Utwórz nową grę
+        const gameId = createGameId();
+        const fairness = createFairnessRecord(gameId, playerId, clientSeed, variant);
+        const deck = createGameDeck(fairness, 0);
+        
+        const gameState = {
+            gameId,
+            playerId,
+            deck,
+            cards: [],
+            heldCards: [],
+            timestamp: now(),
+            lastActionTime: now(),
+            currentCombination: 'None',
+            currentReward: 0,
+            roundsPlayed: 0,
+            variant: variant.id,
+            rules: variant,
+            maxRounds: variant.maxRounds,
+            holdLimit: variant.holdLimit,
+            timeoutMs: variant.timeoutMs,
+            entryFee: practice ? 0 : variant.entryFee,
+            entryFeeSignature: practice ? null : entryFeeSignature,
+            practice,
+            isEnded: false,
+            timedOut: false,
+            rewardPaid: false,
+            fairness
+        };
+        
+        // Atomowe dodanie nowej gry
+        sessionRegistry.set(gameState);
+        gameMetrics.gamesStarted.inc({ variant: variant.id, practice });
+        if (!practice) {
+            // Practice games claim no fee; a signature sent with one must not be rebound
+            entryFeeVerifier.assignGame(entryFeeSignature, gameId);
+        }
+        scheduleGameTimeout(gameState);
+        
+        walletLimits.recordReset(playerId);
+        recordGameCreated(gameState, entryFeeSignature, 'reset');
+        
+        res.json({
+            gameId,
+            playerId,
+            cards: [],
+            combination: 'None',
+            reward: 0,
+            roundsLeft: variant.maxRounds,
+            isEnded: false,
+            timeRemaining: Math.ceil(variant.timeoutMs / 1000),
+            maxRounds: variant.maxRounds,
+            variant: variant.id,
+            holdLimit: variant.holdLimit,
+            practice,
+            serverSeedHash: fairness.serverSeedHash,
+            clientSeed: fairness.clientSeed,
+            nextServerSeedHash: seedCommitments.getNextHash(playerId),
+            message: "Game reset. Press 'draw' to start the game and receive your first cards"
+        });
+    });
+
+    // OpenAPI document of the routes above, built on the first request once every
+    // route is registered (responses are described in lib/api-spec.js)
+    let openApiSpec = null;
+    app.get('/lucky-triple/openapi.json', (req, res) => {
+        if (!openApiSpec) {
+            openApiSpec = buildOpenApiSpec({
+                info: {
+                    title: 'The Lucky Triple API',
+                    version,
+                    description: 'Errors answer `{ error, code }`, see the Error schema for the codes.'
+                },
+                tags: apiSpec.tags,
+                routers: [
+                    { router: app },
+                    { router: adminRouter, basePath: '/lucky-triple/admin', security: 'adminKey' }
+                ],
+                operations: apiSpec.operations,
+                schemas: apiSpec.schemas,
+                securitySchemes: apiSpec.securitySchemes
             });
-            
-            // Usuń gracza z aktywnych po opóźnieniu
-            setTimeout(() => {
-                playerGameSessions.delete(playerId);
-            }, 5000);
         }
-    }
-    
-    playerGameSessions.set(playerId, gameState);
-    
-    // Enhanced logging
-    console.log(`[${new Date().toISOString()}] Game ${gameState.gameId} - Round ${gameState.roundsPlayed}/3:`);
-    if (gameState.roundsPlayed > 1) {
-        // W rundach 2 i 3 najpierw pokazujemy zatrzymane karty
-        console.log(`Held cards from previous round: ${currentHeldCards.length > 0 ? currentHeldCards.map(i => formatCardForLog(previousCards[i])).join(' ') : 'none'}`);
-        console.log(`Cards on table: ${formatCardsForLog(newCards)}`);
-    } else {
-        // W pierwszej rundzie pokazujemy tylko karty na stole
-        console.log(`Cards on table: ${formatCardsForLog(newCards)}`);
-    }
-    console.log(`Combination: ${handResult.combination} (${handResult.reward} CARDS)`);
-    
-    // Calculate remaining time
-    let remainingTime;
-    if (gameState.isEnded) {
-        remainingTime = 0;
-    } else {
-        const timeStatus = verifyTimeRemaining(gameState, playerId);
-        remainingTime = timeStatus.timeRemaining;
-    }
-    
-    res.json({
-        cards: newCards,
-        combination: handResult.combination,
-        reward: handResult.reward,
-        roundsLeft: gameState.maxRounds - gameState.roundsPlayed,
-        remainingCards: gameState.deck.length,
-        isEnded: gameState.isEnded,
-        timeRemaining: remainingTime,
-        serverTime: timeCheck.serverTime,
-        heldCards: [],
-        previouslyHeld: currentHeldCards,
-        playerId: playerId,
-        rewardPaid: gameState.rewardPaid
+        res.json(openApiSpec);
     });
-});
 
-app.post('/lucky-triple/check', gameActionLimiter, async (req, res) => {
-    const { gameId } = req.body;
-    
-    // Znajdź grę na podstawie gameId (w gameState)
-    let gameState = null;
-    let playerId = null;
-    
-    for (const [pid, state] of playerGameSessions.entries()) {
-        if (state.gameId === gameId) {
-            gameState = state;
-            playerId = pid;
-            break;
+    // Unknown routes
+    app.use((req, res) => {
+        sendError(res, 404, 'ROUTE_NOT_FOUND', 'Endpoint not found');
+    });
+
+    // Error handling middleware - registered last so it sees the errors of every route
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.parse.failed') {
+            return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
         }
-    }
-    
-    if (!gameState) {
-        return res.status(404).json({ error: 'Game not found' });
-    }
-    
-    // Weryfikacja czasu - użyj nowej funkcji
-    const timeCheck = verifyTimeRemaining(gameState, playerId);
-    if (!timeCheck) {
-        return res.status(404).json({ error: 'Game not found' });
-    }
-    
-    if (timeCheck.isTimedOut) {
-        // Remove from session
-        playerGameSessions.delete(playerId);
+        // Other body parser errors (too large, bad encoding) are the client's
+        if (err.expose && err.status < 500) {
+            return sendError(res, err.status, 'INVALID_REQUEST', err.message);
+        }
+        logger.error('http.unhandled-error', { method: req.method, path: req.originalUrl.split('?')[0], error: err });
+        sendError(res, 500, 'INTERNAL_ERROR', 'Something went wrong!');
+    });
+
+    // Rewrite the journal with the current state once per hour so it does not grow forever
+    runEvery(() => {
+        journal.compact();
+    }, 60 * 60 * 1000);
+
+    // Load the journal, resume active games and unfinished payouts, start the
+    // background work and listen. Resolves with the address of the HTTP server.
+    function start() {
+        const replayedEntries = journal.load();
+        restoreSessionRules();
+        sessionRegistry.rebuildIndex();
+        playerHistory.rebuildIndex();
+        leaderboards.rebuildIndex();
+        auditLog.rebuildIndex();
+        refundLedger.rebuildIndex();
+        tournaments.rebuildIndex();
+        for (const variant of gameVariants.list()) {
+            if (variant.advisor !== 'disabled') getHoldSolver(variant);
+        }
+        logger.info('journal.loaded', { entries: replayedEntries, sessions: sessionRegistry.size, payouts: payoutQueue.records.size });
         
-        return res.status(400).json({
-            error: 'Game has timed out',
-            timeRemaining: 0,
-            isTimedOut: true,
-            isEnded: true,
-            serverTime: timeCheck.serverTime
+        leaderboards.start();
+        // The memory ledger needs no cluster
+        if (rpcPool && paymentBackend.name === 'solana') {
+            rpcPool.start();
+        }
+        payoutQueue.start();
+        treasury.start();
+        restorePersistedState();
+        jobTimers = backgroundJobs.map(job => clock.setInterval(job.run, job.intervalMs));
+        
+        logger.info('server.starting', {
+            network: SOLANA_NETWORK,
+            rpcEndpoints: rpcPool ? rpcPool.getStatus().endpoints.map(endpoint => endpoint.name) : null,
+            paymentBackend: paymentBackend.name
         });
-    }
-    
-    // Mark game as ended
-    gameState.isEnded = true;
-    gameState.lastActionTime = Date.now();
-    
-    // Dodajemy grę do zakończonych
-    completedGames.set(gameState.gameId, {
-        playerId: playerId,
-        result: gameState.currentReward > 0 ? 'win' : 'loss',
-        timestamp: Date.now(),
-        processed: false
-    });
-    
-    // Usuń gracza z aktywnych po opóźnieniu, aby zapobiec wyścigom
-    setTimeout(() => {
-        playerGameSessions.delete(playerId);
-    }, 5000);
-    
-    // Generate a message based on the combination and reward
-    let message;
-    if (gameState.currentReward > 0) {
-        message = `Congratulations! You won ${gameState.currentReward} CARDS with a ${gameState.currentCombination} hand!`;
-        
-        // Process reward asynchronicznie
-        processReward(gameState).catch(error => {
-            console.error(`Failed to process reward for game ${gameState.gameId}:`, error);
+        return new Promise((resolve, reject) => {
+            httpServer = app.listen(config.port, config.host, () => {
+                const address = httpServer.address();
+                logger.info('server.listening', { port: address.port, environment: config.environment });
+                resolve(address);
+            });
+            httpServer.once('error', reject);
         });
-    } else {
-        message = `Game over. Your final hand was ${gameState.currentCombination}.`;
     }
-    
-    // Log game completion with detailed information
-    console.log(`[${new Date().toISOString()}] Game ${gameState.gameId} completed after ${gameState.roundsPlayed} rounds`);
-    console.log(`Final cards on table: ${formatCardsForLog(gameState.cards)}`);
-    console.log(`Final combination: ${gameState.currentCombination}`);
-    console.log(`Reward: ${gameState.currentReward} CARDS`);
-    
-    // Update game state before response
-    playerGameSessions.set(playerId, gameState);
-    
-    // Return final result
-    res.json({
-        gameId: gameState.gameId,
-        playerId: playerId,
-        combination: gameState.currentCombination,
-        reward: gameState.currentReward, // Wyślij nagrodę w CARDS
-        gameCompleted: true,
-        isEnded: true,
-        isWin: gameState.currentReward > 0,
-        timeRemaining: 0,
-        message: message,
-        rewardPaid: gameState.rewardPaid
-    });
-    
-    // Clear the game from memory after it's completed
-    setTimeout(() => {
-        playerGameSessions.delete(playerId);
-    }, 10000); // Opóźnione usuwanie, aby umożliwić sprawdzenie stanu gry
-});
-
-// Add status endpoint
-app.get('/lucky-triple/status/:gameId', (req, res) => {
-    const { gameId } = req.params;
-    
-    // Znajdź grę na podstawie gameId (w gameState)
-    let gameState = null;
-    let playerId = null;
-    
-    for (const [pid, state] of playerGameSessions.entries()) {
-        if (state.gameId === gameId) {
-            gameState = state;
-            playerId = pid;
-            break;
+
+    // Stop timers, workers and event streams, close the HTTP server and the journal
+    async function stop() {
+        for (const timer of jobTimers) {
+            clock.clearInterval(timer);
         }
+        jobTimers = [];
+        for (const timer of gameTimeouts.values()) {
+            clock.clearTimeout(timer);
+        }
+        gameTimeouts.clear();
+        
+        sessionRegistry.stop();
+        leaderboards.stop();
+        payoutQueue.stop();
+        treasury.stop();
+        if (rpcPool) {
+            rpcPool.stop();
+        }
+        gameEvents.closeAll();
+        
+        if (httpServer) {
+            const server = httpServer;
+            httpServer = null;
+            await new Promise(resolve => {
+                server.close(resolve);
+                server.closeIdleConnections();
+            });
+        }
+        journal.close();
+        logger.info('server.stopped');
     }
-    
-    if (!gameState) {
-        return res.status(404).json({ error: 'Game not found' });
-    }
-    
-    // Check time remaining using new function
-    const timeCheck = verifyTimeRemaining(gameState, playerId);
-    if (!timeCheck) {
-        return res.status(404).json({ error: 'Game not found' });
-    }
-    
-    if (timeCheck.isTimedOut) {
-        // Remove game from memory if timed out
-        playerGameSessions.delete(playerId);
-        return res.status(400).json({
-            error: 'Game has timed out',
-            timeRemaining: 0,
-            isTimedOut: true,
-            isEnded: true,
-            serverTime: timeCheck.serverTime
-        });
-    }
-    
-    return res.json({
-        gameId: gameState.gameId,
-        playerId: playerId,
-        isEnded: gameState.isEnded || timeCheck.isEnded,
-        timedOut: gameState.timedOut || timeCheck.isTimedOut,
-        timeRemaining: timeCheck.timeRemaining,
-        serverTime: timeCheck.serverTime,
-        roundsLeft: gameState.maxRounds - gameState.roundsPlayed,
-        currentCombination: gameState.currentCombination,
-        currentReward: gameState.currentReward,
-        rewardPaid: gameState.rewardPaid
-    });
-});
-
-// Helper function to format card for logging
-function formatCardForLog(card) {
-    const suitSymbols = {
-        'hearts': '♥',
-        'diamonds': '♦',
-        'clubs': '♣',
-        'spades': '♠'
+
+    return {
+        app,
+        config,
+        paymentBackend,
+        start,
+        stop
     };
-    return `${card.rank}${suitSymbols[card.suit]}`;
 }
 
-// Helper function to format cards array for logging
-function formatCardsForLog(cards) {
-    return cards.map(formatCardForLog).join(' ');
-}
+module.exports = {
+    createLuckyTripleServer,
+    loadConfig
+};
 
-// Helper function to send CARDS token reward
-async function sendCardsReward(receiverAddress, gameId, rewardAmount) {
-  // Validate receiver address is a valid Solana public key
-  let receiverPublicKey;
-  try {
-    receiverPublicKey = new PublicKey(receiverAddress);
-  } catch (error) {
-    console.error(`Invalid Solana address: ${receiverAddress}`);
-    throw new Error('Invalid Solana address format');
-  }
-  
-  // Create a unique transaction ID combining player ID and game session
-  const transactionKey = `${receiverAddress}-${gameId}`;
-  
-  try {
-    // Check if this reward was already paid
-    if (paidRewards.has(transactionKey)) {
-      console.log(`Reward already paid for transaction ${transactionKey}, skipping duplicate payment`);
-      return null;
-    }
-    
-    // Mark as pending before sending to prevent race conditions
-    paidRewards.set(transactionKey, 'pending');
-    
-    // Get token accounts
-    const treasuryTokenAccount = await getAssociatedTokenAddress(
-      new PublicKey(CARDS_TOKEN_MINT),
-      treasuryKeypair.publicKey,
-      false,
-      TOKEN_EXTENSIONS_PROGRAM_ID
-    );
-    
-    const receiverTokenAccount = await getAssociatedTokenAddress(
-      new PublicKey(CARDS_TOKEN_MINT),
-      receiverPublicKey,
-      false,
-      TOKEN_EXTENSIONS_PROGRAM_ID
-    );
-    
-    // Check if receiver token account exists
-    const receiverTokenAccountInfo = await connection.getAccountInfo(receiverTokenAccount);
-    if (!receiverTokenAccountInfo) {
-      console.error('Receiver does not have a token account for CARDS');
-      throw new Error('Receiver needs to create a CARDS token account first');
-    }
-    
-    // Create transaction to send tokens
-    const transaction = new Transaction();
-    
-    // Calculate token amount with decimals (assuming 9 decimals for CARDS token)
-    const tokenAmount = rewardAmount * Math.pow(10, 9); // 9 decimals
-    
-    // Add token transfer instruction
-    transaction.add(
-      createTransferInstruction(
-        treasuryTokenAccount,      // source
-        receiverTokenAccount,      // destination
-        treasuryKeypair.publicKey, // owner
-        tokenAmount,               // amount with decimals
-        [],                        // multisigners
-        TOKEN_EXTENSIONS_PROGRAM_ID // programId
-      )
-    );
-    
-    // Set recent blockhash and fee payer
-    transaction.recentBlockhash = (await connection.getRecentBlockhash()).blockhash;
-    transaction.feePayer = treasuryKeypair.publicKey;
-    
-    // Sign and send transaction
-    transaction.sign(treasuryKeypair);
-    const signature = await connection.sendRawTransaction(transaction.serialize(), {
-      skipPreflight: true,
-      maxRetries: 5
+if (require.main === module) {
+    const server = createLuckyTripleServer();
+    server.start().catch(error => {
+        logger.error('server.start-failed', { error });
+        process.exit(1);
     });
     
-    // For devnet, we don't need to wait for confirmation - transactions are generally confirmed if accepted
-    // Mark as completed after successful transaction submission
-    paidRewards.set(transactionKey, 'completed');
-    
-    console.log(`Successfully sent ${rewardAmount} CARDS to ${receiverAddress} for game ${gameId}, signature: ${signature}`);
-    return signature;
-  } catch (error) {
-    // On error, mark transaction as failed but still tracked to prevent retries
-    paidRewards.set(transactionKey, 'failed');
-    console.error('Failed to send CARDS:', error);
-    throw error;
-  }
-}
-
-// Funkcja do czyszczenia starych informacji o wypłatach
-function cleanupOldPaidRewards() {
-  const sevenDaysAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
-  const initialSize = paidRewards.size;
-  let removedCount = 0;
-  
-  for (const [key, status] of paidRewards.entries()) {
-    // Try to extract timestamp from the key format: "accountId-timestamp-randomString"
-    const parts = key.split('-');
-    if (parts.length >= 2) {
-      const timestampPart = parts[1];
-      const timestamp = parseInt(timestampPart, 10);
-      
-      // If timestamp is valid and older than 7 days, delete the entry
-      if (!isNaN(timestamp) && timestamp < sevenDaysAgo) {
-        paidRewards.delete(key);
-        removedCount++;
-      }
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            server.stop().then(() => process.exit(0));
+        });
     }
-  }
-  
-  console.log(`Memory cleanup: Removed ${removedCount} old paid rewards records. Remaining: ${paidRewards.size}`);
 }
-
-// Clean up old paid rewards once per week
-setInterval(cleanupOldPaidRewards, 7 * 24 * 60 * 60 * 1000);
-
-// Add a Reset Game endpoint
-app.post('/lucky-triple/reset', createGameLimiter, (req, res) => {
-    const { playerId, entryFeePaid } = req.body;
-    
-    if (!playerId) {
-        return res.status(400).json({ error: 'Player ID is required' });
-    }
-    
-    // Validate player has a valid Solana address format
-    try {
-        new PublicKey(playerId);
-    } catch (error) {
-        console.error(`Invalid Solana address format: ${playerId}`);
-        return res.status(400).json({ error: 'Invalid player account. Must be a valid Solana address.' });
-    }
-    
-    // Check if entry fee is paid
-    if (!entryFeePaid) {
-        console.error(`Entry fee not paid for player: ${playerId}`);
-        return res.status(400).json({ error: 'Entry fee of 3 CARDS must be paid before resetting a game' });
-    }
-    
-    // Wzorowane na wargame_server.js - po prostu usuń istniejącą grę (jeśli istnieje)
-    if (playerGameSessions.has(playerId)) {
-        console.log(`🔄 Removing existing game for player ${playerId} due to reset request`);
-        playerGameSessions.delete(playerId);
-    }
-    
-    // Utwórz nową grę
-    const gameId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const deck = createAndShuffleLuckyTripleDeck();
-    
-    const gameState = {
-        gameId,
-        playerId,
-        deck,
-        cards: [],
-        heldCards: [],
-        timestamp: Date.now(),
-        lastActionTime: Date.now(),
-        currentCombination: 'None',
-        currentReward: 0,
-        roundsPlayed: 0,
-        maxRounds: GAME_CONFIG.MAX_ROUNDS,
-        isEnded: false,
-        timedOut: false,
-        rewardPaid: false
-    };
-    
-    // Atomowe dodanie nowej gry
-    playerGameSessions.set(playerId, gameState);
-    
-    // Log game reset
-    console.log(`[${new Date().toISOString()}] Game reset for player: ${playerId}, new game ID: ${gameId}`);
-    
-    res.json({
-        gameId,
-        playerId,
-        cards: [],
-        combination: 'None',
-        reward: 0,
-        roundsLeft: GAME_CONFIG.MAX_ROUNDS,
-        isEnded: false,
-        timeRemaining: Math.ceil(GAME_CONFIG.GAME_TIMEOUT_MS / 1000),
-        maxRounds: GAME_CONFIG.MAX_ROUNDS,
-        message: "Game reset. Press 'draw' to start the game and receive your first cards"
-    });
-});
@@ -0,0 +1,350 @@
+// Contract check of the HTTP API against its OpenAPI document.
+//
+//   npm run contract
+//
+// Starts a server on a free port with the in-memory payment backend, a
+// manual clock and seeded randomBytes (the same games are dealt on every run), plays through every route (successes and the errors that can
+// be provoked) and checks each response against /lucky-triple/openapi.json.
+// Fails when a response does not match the document, when a route is missing
+// from the document (lib/api-spec.js) or when a documented route was not called.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { createLuckyTripleServer } = require('../theluckytriple-server');
+const { createManualClock } = require('../lib/clock');
+const { createSeededRandomBytes } = require('../lib/fair-shuffle');
+const { checkResponse, toOpenApiPath } = require('../lib/openapi');
+
+const ADMIN_KEY = 'contract-check';
+
+// DER prefix of an ed25519 private key in PKCS#8, followed by the 32 byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+function signMessage(keypair, message) {
+    const key = crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(keypair.secretKey.slice(0, 32))]),
+        format: 'der',
+        type: 'pkcs8'
+    });
+    return bs58.encode(crypto.sign(null, Buffer.from(message, 'utf8'), key));
+}
+
+function createClient(baseUrl) {
+    const calls = [];
+    let spec = null;
+
+    // Call a route (Express path syntax) and keep the response for the check
+    async function call(method, route, { params = {}, query = null, body, token = null, headers = {}, stream = false } = {}) {
+        const url = new URL(baseUrl + route.replace(/:([A-Za-z0-9_]+)/g, (match, name) => encodeURIComponent(params[name])));
+        for (const [name, value] of Object.entries(query || {})) {
+            url.searchParams.set(name, value);
+        }
+
+        const controller = new AbortController();
+        const response = await fetch(url, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+                ...(token ? { authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+
+        const contentType = response.headers.get('content-type') || '';
+        let responseBody = null;
+        if (stream) {
+            // Event streams stay open, the headers are enough
+            controller.abort();
+        } else if (contentType.startsWith('application/json')) {
+            responseBody = await response.json();
+        } else {
+            responseBody = await response.text();
+        }
+
+        calls.push({ method, path: route, status: response.status, contentType, body: responseBody });
+        return { status: response.status, body: responseBody };
+    }
+
+    async function loadSpec() {
+        spec = (await call('GET', '/lucky-triple/openapi.json')).body;
+        return spec;
+    }
+
+    // Problems of every response so far, plus routes the document does not
+    // describe and documented routes that were never called
+    function report() {
+        const problems = [];
+        for (const entry of calls) {
+            for (const problem of checkResponse(spec, entry)) {
+                problems.push(`${entry.method} ${entry.path} ${entry.status}: ${problem}`);
+            }
+        }
+
+        const called = new Set(calls.map(entry => `${entry.method} ${toOpenApiPath(entry.path)}`));
+        for (const [openApiPath, operations] of Object.entries(spec.paths)) {
+            for (const [method, operation] of Object.entries(operations)) {
+                const key = `${method.toUpperCase()} ${openApiPath}`;
+                if (operation['x-undocumented']) {
+                    problems.push(`${key}: not described in lib/api-spec.js`);
+                } else if (!called.has(key)) {
+                    problems.push(`${key}: not called by the contract check`);
+                }
+            }
+        }
+        return { checked: calls.length, problems };
+    }
+
+    return { call, loadSpec, report };
+}
+
+// Play games with the hold advisor until one wins. Returns the winning gameId and the lost ones.
+async function playUntilWin(call, { playerId, token }) {
+    const lost = [];
+    for (let attempt = 0; attempt < 15; attempt++) {
+        const fee = await call('POST', '/lucky-triple/dev/ledger/transfer', { token, body: { amount: 3 } });
+        const started = await call('POST', '/lucky-triple/start', { token, body: { playerId, entryFeeSignature: fee.body.signature } });
+        const gameId = started.body.gameId;
+
+        let round = await call('POST', '/lucky-triple/draw', { token, body: { gameId } });
+        let reward = round.body.reward;
+        while (!round.body.isEnded) {
+            const advice = await call('GET', '/lucky-triple/advise/:gameId', { token, params: { gameId } });
+            if (advice.body.best.action === 'check') {
+                reward = (await call('POST', '/lucky-triple/check', { token, body: { gameId } })).body.reward;
+                break;
+            }
+            await call('POST', '/lucky-triple/hold', { token, body: { gameId, cardIndexes: advice.body.best.heldIndexes } });
+            round = await call('POST', '/lucky-triple/draw', { token, body: { gameId } });
+            reward = round.body.reward;
+        }
+
+        if (reward > 0) return { winner: gameId, lost };
+        lost.push(gameId);
+    }
+    throw new Error('No game won in 15 tries');
+}
+
+// Wallet in DENIED_WALLETS, which the admin API cannot lift
+const CONFIG_DENIED_WALLET = Keypair.generate().publicKey.toBase58();
+
+async function run() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lucky-triple-contract-'));
+    // Midday UTC, so the daily wallet limits never cross into the next day
+    const clock = createManualClock(Date.parse('2024-05-01T12:00:00Z'));
+    const server = createLuckyTripleServer({
+        clock,
+        randomBytes: createSeededRandomBytes('contract-check'),
+        config: {
+            port: 0,
+            host: '127.0.0.1',
+            environment: 'development',
+            dataDir,
+            paymentBackend: 'memory',
+            // Nothing listens here: health checks fail fast and the pool reports it
+            rpcUrls: 'contract=http://127.0.0.1:9',
+            rpcTimeoutMs: 2000,
+            adminApiKey: ADMIN_KEY,
+            adminWallets: [],
+            deniedWallets: [CONFIG_DENIED_WALLET],
+            walletCreateGameLimit: 100,
+            // The game won below reaches the cap, two resets in a row start the cooldown
+            dailyWinningsCap: 1,
+            resetCooldownAfter: 2
+        }
+    });
+
+    const address = await server.start();
+    const { call, loadSpec, report } = createClient(`http://127.0.0.1:${address.port}`);
+    const admin = { headers: { 'x-admin-key': ADMIN_KEY } };
+
+    try {
+        await loadSpec();
+        await call('GET', '/');
+        await call('GET', '/metrics');
+        await call('GET', '/lucky-triple/variants');
+
+        // Sign-in
+        const keypair = Keypair.generate();
+        const playerId = keypair.publicKey.toBase58();
+        await call('POST', '/lucky-triple/auth/verify', { body: { playerId, signature: 'x'.repeat(88) } });
+        const nonce = await call('POST', '/lucky-triple/auth/nonce', { body: { playerId } });
+        await call('POST', '/lucky-triple/auth/verify', { body: { playerId, signature: signMessage(Keypair.generate(), nonce.body.message) } });
+        const retry = await call('POST', '/lucky-triple/auth/nonce', { body: { playerId } });
+        const session = await call('POST', '/lucky-triple/auth/verify', { body: { playerId, signature: signMessage(keypair, retry.body.message) } });
+        const token = session.body.token;
+
+        // Memory ledger wallet
+        await call('POST', '/lucky-triple/dev/ledger/transfer', { token, body: { amount: 3 } });
+        await call('POST', '/lucky-triple/dev/ledger/airdrop', { body: { address: playerId, amount: 200 } });
+        await call('GET', '/lucky-triple/dev/ledger/accounts/:address', { params: { address: Keypair.generate().publicKey.toBase58() } });
+        await call('GET', '/lucky-triple/dev/ledger/accounts/:address', { params: { address: playerId } });
+
+        // A game played step by step
+        await call('POST', '/lucky-triple/start', { body: { playerId } });
+        await call('POST', '/lucky-triple/start', { token, body: { playerId } });
+        await call('POST', '/lucky-triple/start', { token, body: { playerId: Keypair.generate().publicKey.toBase58(), practice: true } });
+        const fee = await call('POST', '/lucky-triple/dev/ledger/transfer', { token, body: { amount: 3 } });
+        const started = await call('POST', '/lucky-triple/start', { token, body: { playerId, entryFeeSignature: fee.body.signature } });
+        await call('POST', '/lucky-triple/start', { token, body: { playerId, entryFeeSignature: fee.body.signature } });
+        const gameId = started.body.gameId;
+        const game = { token, params: { gameId } };
+
+        await call('POST', '/lucky-triple/hold', { token, body: { gameId, cardIndexes: [0] } });
+        await call('GET', '/lucky-triple/advise/:gameId', game);
+        await call('POST', '/lucky-triple/draw', { token, body: { gameId } });
+        await call('POST', '/lucky-triple/draw', { token, body: { gameId: '1-missing' } });
+        await call('POST', '/lucky-triple/hold', { token, body: { gameId, cardIndexes: [0, 1, 2] } });
+        await call('POST', '/lucky-triple/hold', { token, body: { gameId, cardIndexes: '0' } });
+        await call('POST', '/lucky-triple/hold', { token, body: { gameId, cardIndexes: [0] } });
+        await call('GET', '/lucky-triple/status/:gameId', game);
+        await call('GET', '/lucky-triple/time/:gameId', game);
+        await call('GET', '/lucky-triple/advise/:gameId', game);
+        await call('GET', '/lucky-triple/events/:gameId', { params: { gameId }, query: { token }, stream: true });
+        await call('GET', '/lucky-triple/verify/:gameId', { params: { gameId } });
+        await call('GET', '/lucky-triple/replay/:gameId', { params: { gameId } });
+        await call('GET', '/lucky-triple/payout/:gameId', game);
+        await call('GET', '/lucky-triple/admin/games', admin);
+        await call('GET', '/lucky-triple/admin/games/:gameId/trail', { ...admin, params: { gameId } });
+        await call('GET', '/lucky-triple/admin/games/:gameId/trail', { ...admin, params: { gameId }, query: { format: 'ndjson' } });
+        await call('POST', '/lucky-triple/admin/games/:gameId/end', { ...admin, params: { gameId }, body: { reason: 'contract check' } });
+        await call('POST', '/lucky-triple/admin/games/:gameId/end', { ...admin, params: { gameId }, body: {} });
+        await call('POST', '/lucky-triple/draw', { token, body: { gameId } });
+        await call('POST', '/lucky-triple/check', { token, body: { gameId } });
+        await call('POST', '/lucky-triple/admin/games/:gameId/refund', { ...admin, params: { gameId }, body: {} });
+        await call('POST', '/lucky-triple/admin/games/:gameId/refund', { ...admin, params: { gameId }, body: {} });
+
+        // Practice game that runs out of time, then a reset
+        const practice = await call('POST', '/lucky-triple/reset', { token, body: { playerId, practice: true } });
+        const practiceGame = { token, params: { gameId: practice.body.gameId } };
+        await call('POST', '/lucky-triple/admin/games/:gameId/refund', { ...admin, params: practiceGame.params, body: {} });
+        await call('POST', '/lucky-triple/draw', { token, body: { gameId: practice.body.gameId } });
+        await clock.advance(practice.body.timeRemaining * 1000);
+        await call('GET', '/lucky-triple/status/:gameId', practiceGame);
+        await call('POST', '/lucky-triple/check', { token, body: { gameId: practice.body.gameId } });
+
+        // Paid games until one wins, then its payout
+        const { winner, lost } = await playUntilWin(call, { playerId, token });
+        await clock.advance(5000);
+        await call('GET', '/lucky-triple/payout/:gameId', { token, params: { gameId: winner } });
+        await call('GET', '/lucky-triple/verify/:gameId', { params: { gameId: winner } });
+        await call('GET', '/lucky-triple/replay/:gameId', { params: { gameId: winner } });
+        if (lost.length > 0) {
+            await call('GET', '/lucky-triple/payout/:gameId', { token, params: { gameId: lost[0] } });
+        }
+
+        // Players
+        await call('GET', '/lucky-triple/players/:playerId/history', { params: { playerId }, query: { limit: 5 } });
+        await call('GET', '/lucky-triple/players/:playerId/history', { params: { playerId }, query: { limit: 0 } });
+        await call('GET', '/lucky-triple/players/:playerId/stats', { params: { playerId } });
+        await call('GET', '/lucky-triple/players/:playerId/refunds', { params: { playerId } });
+        await call('GET', '/lucky-triple/leaderboard', { query: { period: 'all-time' } });
+        await call('GET', '/lucky-triple/leaderboard', { query: { metric: 'most-games' } });
+        await call('GET', '/lucky-triple/debug/server-state');
+
+        // Admin
+        await call('GET', '/lucky-triple/admin/games', { headers: { 'x-admin-key': 'wrong' } });
+        await call('GET', '/lucky-triple/admin/refunds', admin);
+        const payouts = await call('GET', '/lucky-triple/admin/payouts', admin);
+        const confirmed = payouts.body.payouts.find(payout => payout.status === 'confirmed');
+        await call('POST', '/lucky-triple/admin/payouts/:key/retry', { ...admin, params: { key: confirmed.key }, body: {} });
+        await call('POST', '/lucky-triple/admin/payouts/:key/cancel', { ...admin, params: { key: 'missing' }, body: {} });
+        await call('POST', '/lucky-triple/admin/game-creation/pause', { ...admin, body: { reason: 'contract check' } });
+        await call('POST', '/lucky-triple/start', { token, body: { playerId, practice: true } });
+        await call('POST', '/lucky-triple/admin/game-creation/resume', { ...admin, body: {} });
+        const practiceCheck = await call('POST', '/lucky-triple/start', { token, body: { playerId, practice: true } });
+        await call('POST', '/lucky-triple/draw', { token, body: { gameId: practiceCheck.body.gameId } });
+        await call('POST', '/lucky-triple/check', { token, body: { gameId: practiceCheck.body.gameId } });
+
+        // Wallet limits
+        const limitFee = await call('POST', '/lucky-triple/dev/ledger/transfer', { token, body: { amount: 3 } });
+        await call('POST', '/lucky-triple/start', { token, body: { playerId, entryFeeSignature: limitFee.body.signature } });
+        for (let reset = 0; reset < 3; reset++) {
+            await call('POST', '/lucky-triple/reset', { token, body: { playerId, practice: true } });
+        }
+        const wallet = { ...admin, params: { address: playerId } };
+        await call('PUT', '/lucky-triple/admin/wallets/denied/:address', { ...wallet, body: { reason: 'contract check' } });
+        await call('PUT', '/lucky-triple/admin/wallets/denied/:address', { ...admin, params: { address: CONFIG_DENIED_WALLET }, body: {} });
+        await call('GET', '/lucky-triple/admin/wallets/denied', admin);
+        await call('POST', '/lucky-triple/start', { token, body: { playerId, practice: true } });
+        await call('POST', '/lucky-triple/draw', { token, body: { gameId: practiceCheck.body.gameId } });
+        await call('GET', '/lucky-triple/admin/wallets/:address', wallet);
+        await call('DELETE', '/lucky-triple/admin/wallets/denied/:address', { ...wallet, body: {} });
+        await call('DELETE', '/lucky-triple/admin/wallets/denied/:address', { ...wallet, body: {} });
+
+        // Tournaments: one played game, one still running when the window closes
+        const schedule = { name: 'Contract check', gamesPerPlayer: 2, buyIn: 3, guaranteedPool: 10, prizeSplit: [60, 40] };
+        await call('POST', '/lucky-triple/admin/tournaments', { ...admin, body: { ...schedule, startsAt: clock.now(), endsAt: clock.now() - 1 } });
+        const created = await call('POST', '/lucky-triple/admin/tournaments', { ...admin, body: { ...schedule, startsAt: clock.now(), endsAt: clock.now() + 30 * 1000 } });
+        const tournament = { params: { tournamentId: created.body.id } };
+        await call('GET', '/lucky-triple/tournaments', { query: { status: 'running' } });
+        await call('GET', '/lucky-triple/tournaments/:tournamentId/standings', { params: { tournamentId: 't-missing' } });
+        await call('POST', '/lucky-triple/admin/tournaments/:tournamentId/settle', { ...admin, ...tournament, body: {} });
+        await call('POST', '/lucky-triple/tournaments/:tournamentId/games', { ...tournament, token, body: { playerId } });
+        await call('POST', '/lucky-triple/tournaments/:tournamentId/join', { ...tournament, token, body: { playerId } });
+        const buyIn = await call('POST', '/lucky-triple/dev/ledger/transfer', { token, body: { amount: 3 } });
+        await call('POST', '/lucky-triple/tournaments/:tournamentId/join', { ...tournament, token, body: { playerId, buyInSignature: buyIn.body.signature } });
+        await call('POST', '/lucky-triple/tournaments/:tournamentId/join', { ...tournament, token, body: { playerId, buyInSignature: buyIn.body.signature } });
+        const firstGame = await call('POST', '/lucky-triple/tournaments/:tournamentId/games', { ...tournament, token, body: { playerId } });
+        let tournamentRound = await call('POST', '/lucky-triple/draw', { token, body: { gameId: firstGame.body.gameId } });
+        while (!tournamentRound.body.isEnded) {
+            tournamentRound = await call('POST', '/lucky-triple/draw', { token, body: { gameId: firstGame.body.gameId } });
+        }
+        const secondGame = await call('POST', '/lucky-triple/tournaments/:tournamentId/games', { ...tournament, token, body: { playerId } });
+        await call('POST', '/lucky-triple/tournaments/:tournamentId/games', { ...tournament, token, body: { playerId } });
+        await call('POST', '/lucky-triple/draw', { token, body: { gameId: secondGame.body.gameId } });
+        await call('GET', '/lucky-triple/tournaments/:tournamentId/standings', { ...tournament });
+        await clock.advance(31 * 1000);
+        await call('POST', '/lucky-triple/tournaments/:tournamentId/join', { ...tournament, token, body: { playerId } });
+        await call('POST', '/lucky-triple/admin/tournaments/:tournamentId/settle', { ...admin, ...tournament, body: {} });
+        await call('POST', '/lucky-triple/check', { token, body: { gameId: secondGame.body.gameId } });
+        await call('POST', '/lucky-triple/admin/tournaments/:tournamentId/settle', { ...admin, ...tournament, body: { reason: 'contract check' } });
+        await call('POST', '/lucky-triple/admin/tournaments/:tournamentId/settle', { ...admin, ...tournament, body: {} });
+        await clock.advance(5000);
+        await call('GET', '/lucky-triple/admin/payouts', { ...admin, query: { kind: 'prize' } });
+
+        // A cancelled tournament refunds its buy-ins
+        await call('POST', '/lucky-triple/admin/tournaments/:tournamentId/cancel', { ...admin, ...tournament, body: {} });
+        await call('POST', '/lucky-triple/admin/tournaments/:tournamentId/cancel', { ...admin, params: { tournamentId: 't-missing' }, body: {} });
+        const upcoming = await call('POST', '/lucky-triple/admin/tournaments', { ...admin, body: { ...schedule, startsAt: clock.now() + 60 * 1000, endsAt: clock.now() + 120 * 1000 } });
+        const cancelled = { params: { tournamentId: upcoming.body.id } };
+        const cancelledBuyIn = await call('POST', '/lucky-triple/dev/ledger/transfer', { token, body: { amount: 3 } });
+        await call('POST', '/lucky-triple/tournaments/:tournamentId/join', { ...cancelled, token, body: { playerId, buyInSignature: cancelledBuyIn.body.signature } });
+        await call('POST', '/lucky-triple/admin/tournaments/:tournamentId/cancel', { ...admin, ...cancelled, body: { reason: 'contract check' } });
+        await call('POST', '/lucky-triple/admin/tournaments/:tournamentId/cancel', { ...admin, ...cancelled, body: {} });
+        await call('POST', '/lucky-triple/admin/tournaments/:tournamentId/settle', { ...admin, ...cancelled, body: {} });
+        await call('POST', '/lucky-triple/tournaments/:tournamentId/join', { ...cancelled, token, body: { playerId } });
+        await call('GET', '/lucky-triple/tournaments', { query: { status: 'cancelled' } });
+        await call('GET', '/lucky-triple/admin/refunds', { ...admin, query: { reason: 'tournament-cancelled' } });
+
+        await call('GET', '/lucky-triple/admin/treasury', admin);
+        await call('POST', '/lucky-triple/admin/treasury/refresh', { ...admin, body: {} });
+        await call('GET', '/lucky-triple/admin/rpc', admin);
+        await call('POST', '/lucky-triple/admin/rpc/check', { ...admin, body: {} });
+        await call('GET', '/lucky-triple/admin/config', admin);
+        await call('GET', '/lucky-triple/admin/audit', { ...admin, query: { limit: 10 } });
+    } finally {
+        await server.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    const { checked, problems } = report();
+    for (const problem of problems) {
+        console.error(problem);
+    }
+    console.log(`${checked} responses checked, ${problems.length} problems`);
+    return problems.length === 0;
+}
+
+run().then(ok => {
+    process.exitCode = ok ? 0 : 1;
+}).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
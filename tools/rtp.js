@@ -0,0 +1,229 @@
+// Return-to-player and house edge of a game variant's paytable.
+//
+//   npm run rtp -- [--variant <id>] [--paytable <json or file>] [--entry-fee <cards>]
+//                  [--mode exact|monte-carlo] [--strategy <name or module>]
+//                  [--games <count>] [--seed <seed>] [--json]
+//
+// Exact mode enumerates every game under optimal holds (lib/hold-strategy.js).
+// Monte Carlo mode plays shuffled games with the real draw and hold rules and a
+// built-in strategy, or a module exporting `decide(context)` that returns
+// `{ stop: true }` or `{ heldIndexes: [...] }`.
+const fs = require('fs');
+const path = require('path');
+const { HAND_SIZE, COMBINATIONS, createDeck, dealHand, evaluateHandCombination } = require('../lib/game-rules');
+const { loadVariants, createVariantCatalog, getDeckSpec } = require('../lib/variants');
+const { createSeededRng, shuffleDeck } = require('../lib/fair-shuffle');
+const { createHoldSolver } = require('../lib/hold-strategy');
+
+function parseArgs(argv) {
+    const options = {
+        variant: null,
+        variantsFile: undefined,
+        paytable: null,
+        entryFee: null,
+        mode: 'exact',
+        strategy: 'optimal',
+        games: 10000,
+        seed: 'lucky-triple-rtp',
+        json: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+
+        if (arg === '--variant') options.variant = value();
+        else if (arg === '--variants-file') options.variantsFile = value();
+        else if (arg === '--paytable') options.paytable = value();
+        else if (arg === '--entry-fee') options.entryFee = Number(value());
+        else if (arg === '--mode') options.mode = value();
+        else if (arg === '--strategy') options.strategy = value();
+        else if (arg === '--games') options.games = parseInt(value(), 10);
+        else if (arg === '--seed') options.seed = value();
+        else if (arg === '--json') options.json = true;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+
+    if (!['exact', 'monte-carlo'].includes(options.mode)) throw new Error('--mode must be exact or monte-carlo');
+    if (!(options.games > 0)) throw new Error('--games must be a positive integer');
+    return options;
+}
+
+// The variant with the candidate paytable and entry fee applied, validated
+// like the variants config
+function resolveVariant(options) {
+    const catalog = loadVariants(options.variantsFile);
+    const id = options.variant || catalog.defaultVariant;
+    const variant = catalog.lookup(id);
+    if (!variant) throw new Error(`Unknown variant "${id}"`);
+
+    let paytable = variant.paytable;
+    if (options.paytable) {
+        const source = options.paytable.trim().startsWith('{') ? options.paytable : fs.readFileSync(options.paytable, 'utf8');
+        paytable = { ...paytable, ...JSON.parse(source) };
+    }
+    const entryFee = options.entryFee === null ? variant.entryFee : options.entryFee;
+
+    return createVariantCatalog({ variants: { [id]: { ...variant, paytable, entryFee, enabled: true } } }).get(id);
+}
+
+// Built-in Monte Carlo strategies
+const STRATEGIES = {
+    // Exact best option at every decision
+    optimal: variant => {
+        const solver = createHoldSolver(variant);
+        return ({ cards, deck, roundsLeft }) => solver.analyzeHand({ cards, deck, roundsLeft }).best;
+    },
+    // Stop on any paying hand, otherwise draw three new cards
+    'stand-on-win': () => ({ cards, evaluate }) => (evaluate(cards).reward > 0 ? { stop: true } : { heldIndexes: [] }),
+    // Stop on any paying hand, otherwise keep two cards of the same rank or suit
+    'keep-pair': variant => ({ cards, evaluate }) => {
+        if (evaluate(cards).reward > 0) return { stop: true };
+        if (variant.holdLimit < 2) return { heldIndexes: [] };
+        for (const key of ['rank', 'suit']) {
+            for (let i = 0; i < HAND_SIZE; i++) {
+                for (let j = i + 1; j < HAND_SIZE; j++) {
+                    if (cards[i][key] === cards[j][key]) return { heldIndexes: [i, j] };
+                }
+            }
+        }
+        return { heldIndexes: [] };
+    }
+};
+
+function loadStrategy(name, variant) {
+    if (STRATEGIES[name]) {
+        return STRATEGIES[name](variant);
+    }
+    const strategy = require(path.resolve(name));
+    if (typeof strategy.decide !== 'function') {
+        throw new Error(`Strategy module ${name} must export decide(context)`);
+    }
+    return strategy.decide;
+}
+
+// Play one game the way the server deals it: a shuffled deck per nonce, a
+// fresh deck when fewer than HAND_SIZE cards are left, held cards kept
+function playGame(variant, decide, seed, gameIndex) {
+    const evaluate = cards => evaluateHandCombination(cards, variant);
+    const newDeck = deckNonce => shuffleDeck(createDeck(getDeckSpec(variant)), createSeededRng(seed, `game-${gameIndex}`, deckNonce));
+
+    let deckNonce = 0;
+    let deck = newDeck(deckNonce);
+    let cards = [];
+    let heldIndexes = [];
+
+    for (let round = 1; round <= variant.maxRounds; round++) {
+        if (deck.length < HAND_SIZE) {
+            deck = newDeck(++deckNonce);
+        }
+        cards = dealHand(deck, cards, heldIndexes);
+
+        const roundsLeft = variant.maxRounds - round;
+        if (roundsLeft === 0) break;
+
+        // Strategies see which cards are left, not their order
+        const remaining = [...deck].sort((a, b) => (a.suit + a.rank).localeCompare(b.suit + b.rank));
+        const decision = decide({ cards, deck: remaining, roundsLeft, round, variant, evaluate });
+        if (decision.stop) break;
+
+        heldIndexes = [...new Set(decision.heldIndexes || [])];
+        if (heldIndexes.length > variant.holdLimit || heldIndexes.some(index => !(index >= 0 && index < HAND_SIZE))) {
+            throw new Error(`Strategy returned an invalid hold: ${JSON.stringify(decision.heldIndexes)}`);
+        }
+    }
+
+    return evaluate(cards);
+}
+
+function simulate(variant, options) {
+    const decide = loadStrategy(options.strategy, variant);
+    const counts = Object.fromEntries(COMBINATIONS.map(combination => [combination, 0]));
+    let total = 0;
+    let totalSquares = 0;
+
+    for (let game = 0; game < options.games; game++) {
+        const { combination, reward } = playGame(variant, decide, options.seed, game);
+        counts[combination]++;
+        total += reward;
+        totalSquares += reward * reward;
+    }
+
+    const expectedReward = total / options.games;
+    const variance = Math.max(0, totalSquares / options.games - expectedReward * expectedReward);
+    return {
+        expectedReward,
+        standardError: Math.sqrt(variance / options.games),
+        probabilities: Object.fromEntries(COMBINATIONS.map(combination => [combination, counts[combination] / options.games]))
+    };
+}
+
+function buildReport(variant, options, analysis) {
+    const rtp = variant.entryFee > 0 ? analysis.expectedReward / variant.entryFee : null;
+    return {
+        variant: variant.id,
+        mode: options.mode,
+        strategy: options.mode === 'exact' ? 'optimal' : options.strategy,
+        games: options.mode === 'exact' ? null : options.games,
+        entryFee: variant.entryFee,
+        paytable: variant.paytable,
+        combinations: COMBINATIONS.map(combination => ({
+            combination,
+            reward: variant.paytable[combination],
+            probability: analysis.probabilities[combination],
+            contribution: analysis.probabilities[combination] * variant.paytable[combination]
+        })),
+        expectedReward: analysis.expectedReward,
+        standardError: analysis.standardError === undefined ? null : analysis.standardError,
+        rtp,
+        houseEdge: rtp === null ? null : 1 - rtp
+    };
+}
+
+function percent(value, digits = 4) {
+    return value === null ? '-' : `${(value * 100).toFixed(digits)}%`;
+}
+
+function printReport(report) {
+    console.log(`Variant ${report.variant}, ${report.mode === 'exact' ? 'exact enumeration' : `Monte Carlo, ${report.games} games`}, strategy ${report.strategy}`);
+    console.log('');
+    console.log(`${'Combination'.padEnd(16)}${'Reward'.padStart(8)}${'Probability'.padStart(14)}${'Contribution'.padStart(14)}`);
+    for (const row of report.combinations) {
+        console.log(
+            `${row.combination.padEnd(16)}${String(row.reward).padStart(8)}` +
+            `${percent(row.probability).padStart(14)}${row.contribution.toFixed(6).padStart(14)}`
+        );
+    }
+    console.log('');
+
+    const error = report.standardError === null ? '' : ` (± ${(1.96 * report.standardError).toFixed(6)} at 95%)`;
+    console.log(`Expected reward: ${report.expectedReward.toFixed(6)} CARDS${error}`);
+    console.log(`Entry fee:       ${report.entryFee} CARDS`);
+    console.log(`RTP:             ${percent(report.rtp)}`);
+    console.log(`House edge:      ${percent(report.houseEdge)}`);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const variant = resolveVariant(options);
+    const analysis = options.mode === 'exact'
+        ? createHoldSolver(variant).analyzeGame()
+        : simulate(variant, options);
+    const report = buildReport(variant, options, analysis);
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}